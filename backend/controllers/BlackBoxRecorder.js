@@ -0,0 +1,279 @@
+/**
+ * 安全事件黑匣子 - 控制周期环形缓冲与事故文件
+ *
+ * 功能：
+ * - 以控制循环频率记录最近 N 秒的关节设定值、实际值、速度、电流、碰撞残差、TCP 位姿与安全状态
+ * - 锁存新的安全故障 (保护性停止 / 紧急停止) 时继续记录 postTrigger 秒 (覆盖停止过程)，
+ *   随后冻结缓冲并写入结构化事故文件 (JSON，含触发事件与元数据)
+ * - 事故列表、读取 (下载 / 3D 回放) 与数量上限清理
+ *
+ * 事故文件位于 directory，索引 index.json 保存各事故摘要，列表无需读取完整文件。
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+// 事故ID格式 (同时防止路径穿越)
+const INCIDENT_ID = /^incident-[0-9]{8}T[0-9]{9}-[a-z-]+$/;
+
+class BlackBoxRecorder extends EventEmitter {
+  /**
+   * @param {RobotController} robotController - 机器人控制器 (每周期 'control-cycle' 事件)
+   * @param {SafetyMonitor} safetyMonitor - 安全监控 ('fault' 事件)
+   * @param {Object} options - {duration (s), postTrigger (s), directory, maxIncidents}
+   */
+  constructor(robotController, safetyMonitor, options = {}) {
+    super();
+
+    this.robotController = robotController;
+    this.safetyMonitor = safetyMonitor;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [
+        new winston.transports.File({ filename: 'logs/black-box.log' })
+      ]
+    });
+
+    this.configure({ duration: 10, postTrigger: 1, directory: 'data/incidents', maxIncidents: 50, ...options });
+
+    // 进行中的记录 {trigger, events, timer}
+    this.capture = null;
+
+    this.incidents = [];
+    this.loadIndex();
+
+    robotController.on('control-cycle', () => this.record());
+    safetyMonitor.on('fault', (fault) => this.trigger(fault));
+  }
+
+  /**
+   * 设置记录参数，缓冲容量 = (duration + postTrigger) / 控制周期
+   */
+  configure(options = {}) {
+    for (const key of ['duration', 'postTrigger', 'maxIncidents']) {
+      const value = options[key];
+      if (value === undefined) continue;
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Black box ${key} must be a positive number`);
+      }
+      this[key] = value;
+    }
+    if (options.directory !== undefined) {
+      this.directory = options.directory;
+    }
+
+    this.sampleTime = this.robotController.cycleTime / 1000;
+    this.buffer = new Array(Math.ceil((this.duration + this.postTrigger) / this.sampleTime));
+    this.head = 0;
+    this.count = 0;
+  }
+
+  /**
+   * 控制周期采样 (写入环形缓冲，覆盖最旧的采样)
+   */
+  record() {
+    const rc = this.robotController;
+    const status = this.safetyMonitor.safetyStatus;
+    const pose = rc.getEndEffectorPose();
+
+    this.buffer[this.head] = {
+      time: Date.now(),
+      setpoint: [...rc.targetJoints],
+      actual: [...rc.currentJoints],
+      velocities: rc.getJointVelocities(),
+      currents: rc.getJointCurrents(),
+      residuals: rc.collisionObserver.residualCurrents(),
+      tcp: {
+        position: { ...pose.position },
+        orientation: { ...pose.orientation }
+      },
+      safety: {
+        executor: rc.trajectoryExecutor.state,
+        drivesEnabled: rc.drivesEnabled,
+        emergencyStopped: status.emergencyStopped,
+        faults: status.faults.map(fault => fault.event),
+        tcpSpeed: status.tcpSpeed,
+        collisionResidual: status.collisionResidual.peak,
+        selfDistance: status.selfCollision.distance
+      }
+    };
+
+    this.head = (this.head + 1) % this.buffer.length;
+    this.count = Math.min(this.count + 1, this.buffer.length);
+  }
+
+  /**
+   * 按时间顺序取出缓冲中的采样
+   */
+  snapshot() {
+    const start = (this.head - this.count + this.buffer.length) % this.buffer.length;
+    const samples = [];
+
+    for (let k = 0; k < this.count; k++) {
+      samples.push(this.buffer[(start + k) % this.buffer.length]);
+    }
+    return samples;
+  }
+
+  /**
+   * 安全故障触发记录；记录进行中时并入当前事故
+   * @param {Object} fault - {event, category, reason, timestamp}
+   */
+  trigger(fault) {
+    if (this.capture) {
+      this.capture.events.push(fault);
+      return;
+    }
+
+    this.capture = {
+      trigger: fault,
+      events: [fault],
+      timer: setTimeout(() => {
+        this.freeze().catch(error => {
+          this.logger.error(`Failed to write incident: ${error.message}`);
+        });
+      }, this.postTrigger * 1000)
+    };
+
+    this.logger.info(`Incident capture triggered by ${fault.event}: ${fault.reason}`);
+  }
+
+  /**
+   * 冻结缓冲并写入事故文件
+   * @returns {Promise<Object>} 事故摘要
+   */
+  async freeze() {
+    const { trigger, events } = this.capture;
+    this.capture = null;
+
+    const samples = this.snapshot().map(({ time, ...sample }) => ({
+      t: (time - trigger.timestamp) / 1000,
+      ...sample
+    }));
+
+    const id = `incident-${BlackBoxRecorder.formatTimestamp(trigger.timestamp)}-${trigger.event}`;
+    const summary = {
+      id,
+      timestamp: trigger.timestamp,
+      event: trigger.event,
+      category: trigger.category,
+      reason: trigger.reason,
+      events: events.length,
+      duration: samples.length > 0 ? samples[samples.length - 1].t - samples[0].t : 0,
+      samples: samples.length
+    };
+
+    const incident = {
+      ...summary,
+      trigger,
+      events,
+      sampleTime: this.sampleTime,
+      preTrigger: this.duration,
+      postTrigger: this.postTrigger,
+      robot: {
+        simulationMode: this.robotController.simulationMode,
+        tool: this.robotController.getActiveTool().name,
+        stopCategories: { ...this.safetyMonitor.stopCategories }
+      },
+      units: { joints: 'rad', velocities: 'rad/s', currents: 'A', position: 'm', tcpSpeed: 'm/s', t: 's' },
+      samples
+    };
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.incidentPath(id), JSON.stringify(incident));
+
+    this.incidents.push(summary);
+    await this.prune();
+    await this.saveIndex();
+
+    this.logger.info(`Incident ${id} written: ${samples.length} samples, ${events.length} events`);
+    this.emit('incident', summary);
+    return summary;
+  }
+
+  /**
+   * 超过数量上限时删除最旧的事故
+   */
+  async prune() {
+    while (this.incidents.length > this.maxIncidents) {
+      const { id } = this.incidents.shift();
+      await fs.promises.rm(this.incidentPath(id), { force: true });
+      this.logger.info(`Incident ${id} removed (limit ${this.maxIncidents})`);
+    }
+  }
+
+  /**
+   * 事故摘要列表 (最新在前)
+   */
+  listIncidents() {
+    return [...this.incidents].reverse();
+  }
+
+  /**
+   * 读取完整事故记录
+   */
+  async getIncident(id) {
+    return JSON.parse(await fs.promises.readFile(this.requireIncident(id), 'utf8'));
+  }
+
+  /**
+   * 事故文件路径，不存在时抛出异常
+   */
+  requireIncident(id) {
+    if (!INCIDENT_ID.test(id) || !this.incidents.some(incident => incident.id === id)) {
+      throw new Error(`Incident ${id} not found`);
+    }
+    return this.incidentPath(id);
+  }
+
+  incidentPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * 加载事故索引 (忽略文件已不存在的条目)
+   */
+  loadIndex() {
+    const indexPath = path.join(this.directory, 'index.json');
+    if (!fs.existsSync(indexPath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      this.incidents = (data.incidents || []).filter(incident =>
+        INCIDENT_ID.test(incident.id) && fs.existsSync(this.incidentPath(incident.id))
+      );
+      this.logger.info(`Loaded ${this.incidents.length} incidents from ${this.directory}`);
+    } catch (error) {
+      this.logger.error(`Failed to load incident index from ${indexPath}: ${error.message}`);
+    }
+  }
+
+  async saveIndex() {
+    await fs.promises.writeFile(
+      path.join(this.directory, 'index.json'),
+      JSON.stringify({ incidents: this.incidents }, null, 2)
+    );
+  }
+
+  /**
+   * 停止记录 (进行中的记录立即写入)
+   */
+  async stop() {
+    if (this.capture) {
+      clearTimeout(this.capture.timer);
+      await this.freeze();
+    }
+  }
+
+  /**
+   * 时间戳格式 YYYYMMDDTHHmmssSSS (UTC)
+   */
+  static formatTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:.Z]/g, '');
+  }
+}
+
+module.exports = BlackBoxRecorder;
@@ -0,0 +1,209 @@
+/**
+ * 碰撞模型 - 机械臂连杆胶囊体与静态障碍物
+ *
+ * 功能：
+ * - 由 DH 参数确定的连杆胶囊体 (线段 + 半径)，端点取各关节坐标系原点
+ * - 基坐标系下的静态障碍物 (长方体、竖直圆柱、球、半空间、凸多面体，见 ConvexShape)
+ * - 连杆与障碍物的最小间距查询
+ * - 自碰撞: 不相邻连杆胶囊体间的最小间距查询
+ *
+ * 障碍物以有符号距离函数表示 (内部为负)，沿连杆线段的最小值减去胶囊体半径即为间距。
+ * 底座与基坐标系固连，不参与障碍物检查。
+ * 两胶囊体间距为轴线段最近距离 (闭式解) 减去两半径。相邻连杆在关节处相接，
+ * 其相对位置由关节限位约束，不做检查。胶囊体半径为包络尺寸，间距为负即视为接触。
+ */
+
+const ConvexShape = require('./ConvexShape');
+
+const UNITS = { m: 1, mm: 0.001 };
+
+class CollisionModel {
+  /**
+   * @param {Kinematics} kinematics - 运动学模型 (连杆坐标系与当前工具)
+   * @param {Object} options - {linkRadii: 各连杆胶囊体半径 (m)}
+   */
+  constructor(kinematics, options = {}) {
+    this.kinematics = kinematics;
+
+    // 连杆胶囊体: 端点为坐标系原点序号 (0 基坐标系，1-6 关节坐标系，'tcp' 工具中心点)
+    this.links = [
+      { name: 'base', from: 0, to: 1, radius: 0.08, fixed: true },
+      { name: 'shoulder', from: 1, to: 2, radius: 0.07 },
+      { name: 'upper-arm', from: 2, to: 3, radius: 0.06 },
+      { name: 'forearm', from: 3, to: 5, radius: 0.05 },
+      { name: 'tool', from: 6, to: 'tcp', radius: 0.02 } // 半径随当前工具设置
+    ];
+    for (const link of this.links) {
+      if (options.linkRadii && options.linkRadii[link.name] !== undefined) {
+        link.radius = options.linkRadii[link.name];
+      }
+    }
+
+    // 障碍物 (m，基坐标系)
+    this.obstacles = [];
+
+    // 允许的最小间距 (m)
+    this.clearance = 0.01;
+  }
+
+  /**
+   * 设置工具胶囊体半径 (m，法兰至 TCP)
+   */
+  setToolRadius(radius) {
+    if (!Number.isFinite(radius) || radius < 0) {
+      throw new Error('Tool collision radius must be a non-negative number');
+    }
+    this.links.find(link => link.name === 'tool').radius = radius;
+  }
+
+  /**
+   * 按配置设置障碍物
+   * @param {Object} config - {unit: 'm' | 'mm', clearance, obstacles: [{name, type, ...形状参数}]}
+   *   形状参数见 ConvexShape (box: center、size；cylinder: center、radius、height；sphere: center、radius 等)
+   */
+  configure(config = {}) {
+    const { unit = 'm', clearance, obstacles = [] } = config;
+    const scale = UNITS[unit];
+    if (!scale) {
+      throw new Error(`Invalid collision model unit "${unit}" (expected m or mm)`);
+    }
+
+    if (clearance !== undefined) {
+      if (!Number.isFinite(clearance) || clearance < 0) {
+        throw new Error('Collision clearance must be a non-negative number');
+      }
+      this.clearance = clearance * scale;
+    }
+
+    this.obstacles = obstacles.map((obstacle = {}, i) => {
+      const name = obstacle.name || `obstacle-${i + 1}`;
+      return { name, ...ConvexShape.normalize(obstacle, scale, `Obstacle "${name}"`) };
+    });
+    return this.obstacles;
+  }
+
+  /**
+   * 各连杆胶囊体 [{name, start, end, radius, fixed}] (m，基坐标系)
+   */
+  linkCapsules(joints) {
+    const frames = this.kinematics.linkFrames(joints);
+    const tcp = this.kinematics.tcpTransform(joints);
+    const origin = index => {
+      if (index === 0) return [0, 0, 0];
+      const T = index === 'tcp' ? tcp : frames[index - 1];
+      return [T[0][3], T[1][3], T[2][3]];
+    };
+
+    return this.links.map(link => ({
+      name: link.name,
+      start: origin(link.from),
+      end: origin(link.to),
+      radius: link.radius,
+      fixed: !!link.fixed
+    }));
+  }
+
+  /**
+   * 连杆与障碍物的最小间距
+   * @param {number[]} joints - 关节角度
+   * @returns {Object} {distance (m，负值为穿透), link, obstacle}，无障碍物时 distance 为 Infinity
+   */
+  obstacleDistance(joints) {
+    let closest = { distance: Infinity, link: null, obstacle: null };
+
+    if (this.obstacles.length === 0) return closest;
+
+    for (const capsule of this.linkCapsules(joints)) {
+      if (capsule.fixed) continue;
+
+      for (const obstacle of this.obstacles) {
+        const distance = ConvexShape.segmentMinimum(obstacle, capsule.start, capsule.end) - capsule.radius;
+        if (distance < closest.distance) {
+          closest = { distance, link: capsule.name, obstacle: obstacle.name };
+        }
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * 不相邻连杆间的最小间距 (自碰撞)
+   * @param {number[]} joints - 关节角度
+   * @returns {Object} {distance (m，负值为穿透), links: [连杆名, 连杆名]}
+   */
+  selfDistance(joints) {
+    const capsules = this.linkCapsules(joints);
+    let closest = { distance: Infinity, links: null };
+
+    for (let i = 0; i < capsules.length; i++) {
+      for (let j = i + 2; j < capsules.length; j++) {
+        const a = capsules[i];
+        const b = capsules[j];
+        const distance = segmentSegmentDistance(a.start, a.end, b.start, b.end) - a.radius - b.radius;
+        if (distance < closest.distance) {
+          closest = { distance, links: [a.name, b.name] };
+        }
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * 给定关节角下是否与障碍物、自身其他连杆均保持最小间距
+   */
+  isCollisionFree(joints) {
+    return this.obstacleDistance(joints).distance >= this.clearance &&
+      this.selfDistance(joints).distance >= this.clearance;
+  }
+
+  /**
+   * 障碍物列表 (m，对外展示)
+   */
+  listObstacles() {
+    return this.obstacles.map(obstacle => ({ name: obstacle.name, ...ConvexShape.serialize(obstacle) }));
+  }
+}
+
+/**
+ * 两线段 [p1, q1]、[p2, q2] 的最近距离 (闭式解，含退化为点的情况)
+ */
+function segmentSegmentDistance(p1, q1, p2, q2) {
+  const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+  const d1 = q1.map((value, i) => value - p1[i]);
+  const d2 = q2.map((value, i) => value - p2[i]);
+  const r = p1.map((value, i) => value - p2[i]);
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  let s = 0;
+  let t = 0;
+
+  if (a > 1e-12 && e > 1e-12) {
+    const b = dot(d1, d2);
+    const c = dot(d1, r);
+    const denominator = a * e - b * b;
+
+    // 平行时取 s = 0
+    s = denominator > 1e-12 ? clamp((b * f - c * e) / denominator) : 0;
+    t = (b * s + f) / e;
+    if (t < 0) {
+      t = 0;
+      s = clamp(-c / a);
+    } else if (t > 1) {
+      t = 1;
+      s = clamp((b - c) / a);
+    }
+  } else if (a > 1e-12) {
+    s = clamp(-dot(d1, r) / a);
+  } else if (e > 1e-12) {
+    t = clamp(f / e);
+  }
+
+  const delta = p1.map((value, i) => value + d1[i] * s - p2[i] - d2[i] * t);
+  return Math.sqrt(dot(delta, delta));
+}
+
+module.exports = CollisionModel;
@@ -0,0 +1,88 @@
+/**
+ * 碰撞观测器 - 基于电机电流的广义动量观测器
+ *
+ * 残差 r = K_O·(p(t) - p(0) - ∫(τ_m - τ_f + Cᵀ(q, q̇)·q̇ - g(q) + r) dt)，其中 p = M(q)·q̇，
+ * τ_m 为实际电流 (0x6077) 换算的电机力矩。无外力时 r ≈ 0 (模型误差与噪声)，发生碰撞时 r 以
+ * 时间常数 1/K_O 收敛到外力矩 τ_ext。与直接比较电流和逆动力学力矩相比无需关节加速度。
+ *
+ * 残差按关节换算为电流 (A) 与额定电流比例，阈值比较由 SafetyMonitor 负责；
+ * 观测器记录两次读取之间的残差峰值，避免安全检查周期漏检短时冲击。
+ */
+
+class CollisionObserver {
+  /**
+   * @param {DynamicsModel} dynamics - 动力学模型
+   * @param {number} gain - 观测器增益 K_O (1/s)
+   */
+  constructor(dynamics, gain = 25) {
+    this.dynamics = dynamics;
+    this.setGain(gain);
+    this.reset();
+  }
+
+  setGain(gain) {
+    if (!Number.isFinite(gain) || gain <= 0) {
+      throw new Error('Collision observer gain must be a positive number');
+    }
+    this.gain = gain;
+  }
+
+  /**
+   * 清零残差，下一周期重新以当前动量为初值
+   */
+  reset() {
+    this.initialMomentum = null;
+    this.integral = [0, 0, 0, 0, 0, 0];
+    this.residual = [0, 0, 0, 0, 0, 0];
+    this.peak = [0, 0, 0, 0, 0, 0];
+  }
+
+  /**
+   * 观测器单周期更新
+   * @param {Object} terms - 本周期动力学项 (DynamicsModel.evaluate)
+   * @param {number[]} currents - 实际电流 (A)
+   * @param {number} dt - 周期 (s)
+   * @returns {number[]} 残差 (关节外力矩估计，N·m)
+   */
+  update(terms, currents, dt) {
+    const { momentum, coriolis, gravity, friction } = terms;
+
+    if (!this.initialMomentum) {
+      this.initialMomentum = momentum;
+      return this.residual;
+    }
+
+    const motor = this.dynamics.currentToTorque(currents);
+
+    this.residual = momentum.map((p, i) => {
+      this.integral[i] += (motor[i] - friction[i] + coriolis[i] - gravity[i] + this.residual[i]) * dt;
+      return this.gain * (p - this.initialMomentum[i] - this.integral[i]);
+    });
+
+    this.residualCurrents().forEach((current, i) => {
+      if (Math.abs(current) > Math.abs(this.peak[i])) {
+        this.peak[i] = current;
+      }
+    });
+
+    return this.residual;
+  }
+
+  /**
+   * 残差换算的电机电流 (A)
+   */
+  residualCurrents() {
+    return this.dynamics.torqueToCurrent(this.residual);
+  }
+
+  /**
+   * 读取并清零上次读取以来各关节的残差电流峰值 (A，保留符号)
+   */
+  takePeak() {
+    const peak = this.peak;
+    this.peak = [0, 0, 0, 0, 0, 0];
+    return peak;
+  }
+}
+
+module.exports = CollisionObserver;
@@ -0,0 +1,229 @@
+/**
+ * 凸几何体 - 障碍物与安全区共用的形状定义与有符号距离
+ *
+ * 形状 (基坐标系)：
+ * - box: 轴对齐长方体 {center, size (三轴全长)}
+ * - cylinder: 轴线沿 z 的圆柱 {center (轴线中点), radius, height}
+ * - sphere: 球 {center, radius}
+ * - plane: 半空间 {point, normal}，区域为法向量背面一侧 (法向量指向区域外)
+ * - polyhedron: 凸多面体 {planes: [{point, normal}]}，为各半空间的交集
+ *
+ * 有符号距离内部为负。长方体、圆柱、球、半空间为精确距离；多面体取各面距离的最大值，
+ * 内部精确，外部不大于真实距离 (偏保守)。有符号距离对凸体是凸函数，沿线段的最小值
+ * 用黄金分割搜索，最大值在端点取得。
+ */
+
+const SHAPES = ['box', 'cylinder', 'sphere', 'plane', 'polyhedron'];
+
+// 沿线段搜索最小距离的黄金分割迭代次数 (区间缩至 0.618^n)
+const SEARCH_ITERATIONS = 30;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+class ConvexShape {
+  /**
+   * 校验形状定义并换算为 m
+   * @param {Object} definition - 形状定义 (见文件头)
+   * @param {number} scale - 长度换算系数 (定义单位 → m)
+   * @param {string} label - 错误信息前缀
+   */
+  static normalize(definition = {}, scale, label) {
+    const { type } = definition;
+    const vector = (value, key) => {
+      if (!value || !['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]))) {
+        throw new Error(`${label}: ${key} must have finite x, y, z`);
+      }
+      return [value.x * scale, value.y * scale, value.z * scale];
+    };
+    const positive = (value, key) => {
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`${label}: ${key} must be a positive number`);
+      }
+      return value * scale;
+    };
+    const halfSpace = (plane, key) => {
+      const normal = vector(plane?.normal, `${key}.normal`);
+      const length = Math.hypot(...normal);
+      if (length === 0) {
+        throw new Error(`${label}: ${key}.normal must be non-zero`);
+      }
+      return { point: vector(plane.point, `${key}.point`), normal: normal.map(value => value / length) };
+    };
+
+    switch (type) {
+      case 'box': {
+        const size = vector(definition.size, 'size');
+        if (size.some(value => value <= 0)) {
+          throw new Error(`${label}: size must be positive`);
+        }
+        return { type, center: vector(definition.center, 'center'), halfSize: size.map(value => value / 2) };
+      }
+      case 'cylinder':
+        return {
+          type,
+          center: vector(definition.center, 'center'),
+          radius: positive(definition.radius, 'radius'),
+          halfHeight: positive(definition.height, 'height') / 2
+        };
+      case 'sphere':
+        return { type, center: vector(definition.center, 'center'), radius: positive(definition.radius, 'radius') };
+      case 'plane':
+        return { type, ...halfSpace(definition, 'plane') };
+      case 'polyhedron':
+        if (!Array.isArray(definition.planes) || definition.planes.length === 0) {
+          throw new Error(`${label}: planes must be a non-empty array`);
+        }
+        return { type, planes: definition.planes.map((plane, i) => halfSpace(plane, `planes[${i}]`)) };
+      default:
+        throw new Error(`${label}: type must be ${SHAPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * 形状定义 (m，对外展示)，多面体附带顶点与棱 (各面求交)
+   */
+  static serialize(shape) {
+    const point = ([x, y, z]) => ({ x, y, z });
+
+    switch (shape.type) {
+      case 'box':
+        return { type: shape.type, center: point(shape.center), size: point(shape.halfSize.map(h => h * 2)) };
+      case 'cylinder':
+        return { type: shape.type, center: point(shape.center), radius: shape.radius, height: shape.halfHeight * 2 };
+      case 'sphere':
+        return { type: shape.type, center: point(shape.center), radius: shape.radius };
+      case 'plane':
+        return { type: shape.type, point: point(shape.point), normal: point(shape.normal) };
+      default: {
+        const { vertices, edges } = polyhedronEdges(shape.planes);
+        return {
+          type: shape.type,
+          planes: shape.planes.map(plane => ({ point: point(plane.point), normal: point(plane.normal) })),
+          vertices: vertices.map(point),
+          edges
+        };
+      }
+    }
+  }
+
+  /**
+   * 有符号距离 (m，内部为负)
+   */
+  static signedDistance(shape, point) {
+    switch (shape.type) {
+      case 'box': {
+        const q = point.map((value, i) => Math.abs(value - shape.center[i]) - shape.halfSize[i]);
+        const outside = Math.sqrt(q.reduce((sum, value) => sum + Math.pow(Math.max(value, 0), 2), 0));
+        return outside + Math.min(Math.max(...q), 0);
+      }
+      case 'cylinder': {
+        const d = point.map((value, i) => value - shape.center[i]);
+        const radial = Math.sqrt(d[0] * d[0] + d[1] * d[1]) - shape.radius;
+        const axial = Math.abs(d[2]) - shape.halfHeight;
+        return Math.sqrt(Math.pow(Math.max(radial, 0), 2) + Math.pow(Math.max(axial, 0), 2)) + Math.min(Math.max(radial, axial), 0);
+      }
+      case 'sphere':
+        return Math.hypot(...point.map((value, i) => value - shape.center[i])) - shape.radius;
+      case 'plane':
+        return planeDistance(shape, point);
+      default:
+        return Math.max(...shape.planes.map(plane => planeDistance(plane, point)));
+    }
+  }
+
+  /**
+   * 线段 [a, b] 上有符号距离的最小值 (黄金分割搜索)
+   */
+  static segmentMinimum(shape, a, b) {
+    const at = t => ConvexShape.signedDistance(shape, a.map((value, i) => value + t * (b[i] - value)));
+    let lo = 0;
+    let hi = 1;
+    let x1 = hi - GOLDEN * (hi - lo);
+    let x2 = lo + GOLDEN * (hi - lo);
+    let f1 = at(x1);
+    let f2 = at(x2);
+
+    for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+      if (f1 < f2) {
+        hi = x2;
+        x2 = x1;
+        f2 = f1;
+        x1 = hi - GOLDEN * (hi - lo);
+        f1 = at(x1);
+      } else {
+        lo = x1;
+        x1 = x2;
+        f1 = f2;
+        x2 = lo + GOLDEN * (hi - lo);
+        f2 = at(x2);
+      }
+    }
+
+    return Math.min(f1, f2, at(0), at(1));
+  }
+
+  /**
+   * 线段 [a, b] 上有符号距离的最大值 (凸函数，在端点取得)
+   */
+  static segmentMaximum(shape, a, b) {
+    return Math.max(ConvexShape.signedDistance(shape, a), ConvexShape.signedDistance(shape, b));
+  }
+}
+
+ConvexShape.SHAPES = SHAPES;
+
+function planeDistance(plane, point) {
+  return point.reduce((sum, value, i) => sum + (value - plane.point[i]) * plane.normal[i], 0);
+}
+
+/**
+ * 凸多面体顶点与棱: 任取三个面求交点，保留满足全部半空间的点；
+ * 两顶点共有至少两个面时相连成棱 (无界多面体只给出有限顶点)
+ */
+function polyhedronEdges(planes) {
+  const vertices = [];
+  const faces = [];
+  const offset = plane => plane.normal.reduce((sum, value, i) => sum + value * plane.point[i], 0);
+
+  for (let i = 0; i < planes.length; i++) {
+    for (let j = i + 1; j < planes.length; j++) {
+      for (let k = j + 1; k < planes.length; k++) {
+        const point = intersect([planes[i], planes[j], planes[k]].map(plane => [...plane.normal, offset(plane)]));
+        if (!point || planes.some(plane => planeDistance(plane, point) > 1e-7)) continue;
+
+        const existing = vertices.findIndex(vertex => Math.hypot(...vertex.map((value, n) => value - point[n])) < 1e-7);
+        if (existing >= 0) {
+          [i, j, k].forEach(face => faces[existing].add(face));
+        } else {
+          vertices.push(point);
+          faces.push(new Set([i, j, k]));
+        }
+      }
+    }
+  }
+
+  const edges = [];
+  for (let a = 0; a < vertices.length; a++) {
+    for (let b = a + 1; b < vertices.length; b++) {
+      const shared = [...faces[a]].filter(face => faces[b].has(face)).length;
+      if (shared >= 2) edges.push([a, b]);
+    }
+  }
+
+  return { vertices, edges };
+}
+
+/**
+ * 三平面 n·x = d 的交点 (克莱姆法则，近似平行时返回 null)
+ */
+function intersect(rows) {
+  const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const A = rows.map(row => row.slice(0, 3));
+  const D = det(A);
+  if (Math.abs(D) < 1e-9) return null;
+
+  return [0, 1, 2].map(column => det(A.map((row, r) => row.map((value, c) => (c === column ? rows[r][3] : value)))) / D);
+}
+
+module.exports = ConvexShape;
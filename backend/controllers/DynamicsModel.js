@@ -0,0 +1,328 @@
+/**
+ * 动力学模型 - 关节力矩与电机电流的期望值
+ *
+ * 简化刚体模型：
+ * - 各运动体为集中质量，质心位于两个坐标系原点连线上 (与 CollisionModel 同样以 DH 坐标系原点定位)，
+ *   转动惯量取各向同性 m·ρ² (ρ 为回转半径)；末端负载取当前工具的质量与重心
+ * - 电机转子惯量按减速比平方折算到关节侧 (惯量矩阵对角项)
+ * - 摩擦: 库仑摩擦 (tanh 平滑) + 粘性摩擦，可由准静态运动数据辨识
+ * - 电机: 关节力矩 = 电流 × 力矩常数 × 减速比
+ *
+ * 惯量矩阵 M(q) = Σ m·Jvᵀ·Jv + m·ρ²·Jwᵀ·Jw + diag(Jr·N²)，重力项 g(q) = ∂U/∂q。
+ * 动量观测器所需的 Cᵀ(q, q̇)·q̇ 由恒等式 Cᵀq̇ = ∂T/∂q (T 为动能) 数值求导，无需显式科氏矩阵。
+ */
+
+const GRAVITY = 9.81;
+
+// 默认运动体: 质量 (kg)、质心所在连线 (坐标系原点序号 0-6) 与比例、回转半径 (m)
+const DEFAULT_BODIES = [
+  { joint: 1, mass: 4.0, from: 1, to: 2, ratio: 0.5, gyration: 0.06 },  // 肩部偏置
+  { joint: 2, mass: 3.5, from: 2, to: 3, ratio: 0.5, gyration: 0.10 },  // 大臂
+  { joint: 3, mass: 2.0, from: 3, to: 3, ratio: 0, gyration: 0.05 },    // 肘部
+  { joint: 4, mass: 2.5, from: 4, to: 5, ratio: 0.5, gyration: 0.10 },  // 小臂
+  { joint: 5, mass: 1.0, from: 5, to: 5, ratio: 0, gyration: 0.04 },    // 腕部
+  { joint: 6, mass: 0.3, from: 6, to: 6, ratio: 0, gyration: 0.03 }     // 法兰
+];
+
+class DynamicsModel {
+  /**
+   * @param {Kinematics} kinematics - 运动学模型 (连杆坐标系与当前工具)
+   * @param {Object} options - 覆盖默认参数 (见 configure)
+   */
+  constructor(kinematics, options = {}) {
+    this.kinematics = kinematics;
+    this.bodies = DEFAULT_BODIES.map(body => ({ ...body }));
+
+    // 末端负载 (kg，重心为法兰坐标系下 m)
+    this.payload = { mass: 0, centerOfGravity: [0, 0, 0] };
+
+    // 减速比 (与编码器换算一致)
+    this.gearRatios = [160, 160, 120, 50, 50, 50];
+
+    // 电机力矩常数 (N·m/A，电机侧) 与额定电流 (A，0x6077 以额定电流千分比表示)
+    this.torqueConstants = [0.2, 0.2, 0.2, 0.1, 0.1, 0.1];
+    this.ratedCurrents = [6.0, 6.0, 4.0, 2.5, 2.5, 2.5];
+
+    // 转子惯量 (kg·m²，电机侧)
+    this.rotorInertias = [2e-5, 2e-5, 1e-5, 5e-6, 5e-6, 5e-6];
+
+    // 关节侧摩擦: 库仑 (N·m)、粘性 (N·m·s/rad)，库仑项平滑速度 (rad/s)
+    this.coulombFriction = [6.0, 6.0, 4.0, 2.0, 2.0, 1.0];
+    this.viscousFriction = [8.0, 8.0, 5.0, 2.0, 2.0, 1.0];
+    this.frictionSmoothing = 0.01;
+
+    this.configure(options);
+  }
+
+  /**
+   * 设置模型参数 (未给出的保持不变)
+   * @param {Object} config - {masses, gearRatios, torqueConstants, ratedCurrents, rotorInertias,
+   *   coulombFriction, viscousFriction} 均为 6 元数组
+   */
+  configure(config = {}) {
+    const arrays = ['gearRatios', 'torqueConstants', 'ratedCurrents', 'rotorInertias', 'coulombFriction', 'viscousFriction'];
+
+    for (const key of [...arrays, 'masses']) {
+      const value = config[key];
+      if (value === undefined) continue;
+      if (!Array.isArray(value) || value.length !== 6 || !value.every(v => Number.isFinite(v) && v >= 0)) {
+        throw new Error(`Dynamics ${key} must be an array of 6 non-negative numbers`);
+      }
+    }
+
+    for (const key of arrays) {
+      if (config[key]) this[key] = [...config[key]];
+    }
+    if (config.masses) {
+      this.bodies.forEach((body, i) => { body.mass = config.masses[i]; });
+    }
+  }
+
+  /**
+   * 设置末端负载 (当前工具)
+   * @param {number} mass - 质量 (kg)
+   * @param {Object} centerOfGravity - 重心 {x, y, z} (mm，法兰坐标系)
+   */
+  setPayload(mass, centerOfGravity = { x: 0, y: 0, z: 0 }) {
+    this.payload = {
+      mass,
+      centerOfGravity: [centerOfGravity.x / 1000, centerOfGravity.y / 1000, centerOfGravity.z / 1000]
+    };
+  }
+
+  /**
+   * 各集中质量的质心与雅可比 [{mass, gyration, center, Jv, Jw}] (基坐标系)
+   */
+  masses(joints) {
+    const frames = this.kinematics.linkFrames(joints);
+    const origins = [[0, 0, 0], ...frames.map(T => [T[0][3], T[1][3], T[2][3]])];
+    const axes = frames.map(T => [T[0][2], T[1][2], T[2][2]]);
+
+    // 关节 i 仅带动其后的运动体: Jv 列为 z_i × (c - o_i)，Jw 列为 z_i
+    const jacobian = (joint, center) => {
+      const Jv = [[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0]];
+      const Jw = [[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0]];
+      for (let i = 0; i < joint; i++) {
+        const z = axes[i];
+        const o = origins[i + 1];
+        const r0 = center[0] - o[0];
+        const r1 = center[1] - o[1];
+        const r2 = center[2] - o[2];
+        Jv[0][i] = z[1] * r2 - z[2] * r1;
+        Jv[1][i] = z[2] * r0 - z[0] * r2;
+        Jv[2][i] = z[0] * r1 - z[1] * r0;
+        Jw[0][i] = z[0];
+        Jw[1][i] = z[1];
+        Jw[2][i] = z[2];
+      }
+      return { Jv, Jw };
+    };
+
+    const result = this.bodies.map(body => {
+      const a = origins[body.from];
+      const b = origins[body.to];
+      const center = a.map((value, k) => value + body.ratio * (b[k] - value));
+      return { mass: body.mass, gyration: body.gyration, center, ...jacobian(body.joint, center) };
+    });
+
+    if (this.payload.mass > 0) {
+      const flange = frames[5];
+      const c = this.payload.centerOfGravity;
+      const center = [0, 1, 2].map(k => flange[k][0] * c[0] + flange[k][1] * c[1] + flange[k][2] * c[2] + flange[k][3]);
+      result.push({ mass: this.payload.mass, gyration: 0, center, ...jacobian(6, center) });
+    }
+
+    return result;
+  }
+
+  /**
+   * 惯量矩阵 M(q) (6x6，含折算转子惯量)
+   */
+  massMatrix(joints) {
+    const M = this.gearRatios.map((N, i) => this.gearRatios.map((_, j) => (i === j ? this.rotorInertias[i] * N * N : 0)));
+
+    for (const { mass, gyration, Jv, Jw } of this.masses(joints)) {
+      const inertia = mass * gyration * gyration;
+      for (let i = 0; i < 6; i++) {
+        for (let j = i; j < 6; j++) {
+          let value = 0;
+          for (let k = 0; k < 3; k++) {
+            value += mass * Jv[k][i] * Jv[k][j] + inertia * Jw[k][i] * Jw[k][j];
+          }
+          M[i][j] += value;
+          if (j !== i) M[j][i] += value;
+        }
+      }
+    }
+
+    return M;
+  }
+
+  /**
+   * 重力项 g(q) (N·m)
+   */
+  gravity(joints) {
+    const g = [0, 0, 0, 0, 0, 0];
+    for (const { mass, Jv } of this.masses(joints)) {
+      for (let i = 0; i < 6; i++) {
+        g[i] += mass * GRAVITY * Jv[2][i];
+      }
+    }
+    return g;
+  }
+
+  /**
+   * 摩擦力矩 (N·m)
+   */
+  friction(velocities) {
+    return velocities.map((v, i) =>
+      this.coulombFriction[i] * Math.tanh(v / this.frictionSmoothing) + this.viscousFriction[i] * v
+    );
+  }
+
+  /**
+   * 广义动量 p = M(q)·q̇
+   */
+  momentum(joints, velocities) {
+    return multiply(this.massMatrix(joints), velocities);
+  }
+
+  /**
+   * 单周期所需的各动力学项 (模拟电流与动量观测器共用)
+   * @returns {Object} {momentum, coriolis: Cᵀq̇, gravity, friction} (N·m，动量为 N·m·s)
+   */
+  evaluate(joints, velocities) {
+    return {
+      momentum: this.momentum(joints, velocities),
+      coriolis: this.coriolisTranspose(joints, velocities),
+      gravity: this.gravity(joints),
+      friction: this.friction(velocities)
+    };
+  }
+
+  /**
+   * 动能 T = ½·q̇ᵀ·M(q)·q̇ 中与构型相关的部分 (不含转子惯量)
+   */
+  kineticEnergy(joints, velocities) {
+    let energy = 0;
+
+    for (const { mass, gyration, Jv, Jw } of this.masses(joints)) {
+      const v = dot(Jv[0], velocities) ** 2 + dot(Jv[1], velocities) ** 2 + dot(Jv[2], velocities) ** 2;
+      const w = dot(Jw[0], velocities) ** 2 + dot(Jw[1], velocities) ** 2 + dot(Jw[2], velocities) ** 2;
+      energy += 0.5 * mass * (v + gyration * gyration * w);
+    }
+
+    return energy;
+  }
+
+  /**
+   * Cᵀ(q, q̇)·q̇ = ∂T/∂q (中心差分)
+   */
+  coriolisTranspose(joints, velocities, step = 1e-6) {
+    return joints.map((_, i) => {
+      const plus = [...joints];
+      const minus = [...joints];
+      plus[i] += step;
+      minus[i] -= step;
+      return (this.kineticEnergy(plus, velocities) - this.kineticEnergy(minus, velocities)) / (2 * step);
+    });
+  }
+
+  /**
+   * TCP 处外力对应的关节力矩 τ = Jvᵀ·F
+   * @param {number[]} force - [Fx, Fy, Fz] (N，基坐标系)
+   */
+  externalTorques(joints, force) {
+    const frames = this.kinematics.linkFrames(joints);
+    const tcp = this.kinematics.tcpTransform(joints);
+
+    return frames.map(frame => {
+      const z = [frame[0][2], frame[1][2], frame[2][2]];
+      const r = [0, 1, 2].map(k => tcp[k][3] - frame[k][3]);
+      const v = [z[1] * r[2] - z[2] * r[1], z[2] * r[0] - z[0] * r[2], z[0] * r[1] - z[1] * r[0]];
+      return dot(v, force);
+    });
+  }
+
+  /**
+   * 关节力矩与电机电流换算
+   */
+  currentToTorque(currents) {
+    return currents.map((current, i) => current * this.torqueConstants[i] * this.gearRatios[i]);
+  }
+
+  torqueToCurrent(torques) {
+    return torques.map((torque, i) => torque / (this.torqueConstants[i] * this.gearRatios[i]));
+  }
+
+  /**
+   * 0x6077 实际电流 (INT16，额定电流千分比) 与电流 (A) 换算
+   */
+  currentFromRaw(raw, jointIndex) {
+    const signed = raw > 0x7FFF ? raw - 0x10000 : raw;
+    return signed / 1000 * this.ratedCurrents[jointIndex];
+  }
+
+  currentToRaw(current, jointIndex) {
+    const permille = Math.round(current / this.ratedCurrents[jointIndex] * 1000);
+    return Math.max(-0x8000, Math.min(0x7FFF, permille));
+  }
+
+  /**
+   * 由准静态运动数据辨识摩擦参数 (关节侧)
+   * 各关节按 τ - g(q) = Fc·sign(q̇) + Fv·q̇ 最小二乘拟合，速度接近零的样本不参与该关节拟合
+   * @param {Object[]} samples - [{joints, velocities (rad/s), currents (A)}]，加速度应可忽略
+   * @returns {Object} {coulombFriction, viscousFriction, samples: 各关节有效样本数}
+   */
+  identifyFriction(samples, minVelocity = 0.01) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new Error('Friction identification requires samples');
+    }
+
+    const sums = Array.from({ length: 6 }, () => ({ ss: 0, sv: 0, vv: 0, sy: 0, vy: 0, count: 0 }));
+
+    for (const { joints, velocities, currents } of samples) {
+      const torques = this.currentToTorque(currents);
+      const g = this.gravity(joints);
+
+      velocities.forEach((v, i) => {
+        if (Math.abs(v) < minVelocity) return;
+        const s = Math.sign(v);
+        const y = torques[i] - g[i];
+        const sum = sums[i];
+        sum.ss += s * s;
+        sum.sv += s * v;
+        sum.vv += v * v;
+        sum.sy += s * y;
+        sum.vy += v * y;
+        sum.count++;
+      });
+    }
+
+    sums.forEach((sum, i) => {
+      const det = sum.ss * sum.vv - sum.sv * sum.sv;
+      if (sum.count < 2 || Math.abs(det) < 1e-12) {
+        throw new Error(`Friction identification: joint ${i + 1} needs samples moving in both directions at different speeds`);
+      }
+    });
+
+    this.coulombFriction = sums.map(sum => Math.max(0, (sum.sy * sum.vv - sum.vy * sum.sv) / (sum.ss * sum.vv - sum.sv * sum.sv)));
+    this.viscousFriction = sums.map(sum => Math.max(0, (sum.ss * sum.vy - sum.sv * sum.sy) / (sum.ss * sum.vv - sum.sv * sum.sv)));
+
+    return {
+      coulombFriction: [...this.coulombFriction],
+      viscousFriction: [...this.viscousFriction],
+      samples: sums.map(sum => sum.count)
+    };
+  }
+}
+
+function multiply(M, v) {
+  return M.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+module.exports = DynamicsModel;
@@ -0,0 +1,238 @@
+/**
+ * 用户坐标系管理器 - 书写平面、工装等工件坐标系
+ *
+ * 功能：
+ * - 命名用户坐标系定义 (原点、姿态)，持久化保存
+ * - 三点示教 (原点、X方向点、XY平面点)
+ * - 用户坐标系与基坐标系之间的位姿转换
+ *
+ * 坐标系相对机器人基坐标系定义，原点单位 mm，姿态为 XYZ 欧拉角 (rad)。
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+const Pose = require('./Pose');
+
+// 基坐标系 (不可修改或删除)
+const BASE_FRAME = {
+  name: 'base',
+  origin: { x: 0, y: 0, z: 0 },
+  orientation: { rx: 0, ry: 0, rz: 0 }
+};
+
+class FrameManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || 'data/frames.json';
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [
+        new winston.transports.File({ filename: 'logs/frames.log' })
+      ]
+    });
+
+    this.frames = new Map([[BASE_FRAME.name, BASE_FRAME]]);
+
+    // 示教点之间的最小距离 (mm)
+    this.minTeachDistance = 10;
+
+    this.load();
+  }
+
+  /**
+   * 从文件加载坐标系定义
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      for (const frame of data.frames || []) {
+        if (frame.name !== BASE_FRAME.name) {
+          this.frames.set(frame.name, this.normalizeFrame(frame));
+        }
+      }
+
+      this.logger.info(`Loaded ${this.frames.size} user frames`);
+    } catch (error) {
+      this.logger.error(`Failed to load frames from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存坐标系定义到文件
+   */
+  save() {
+    const data = {
+      frames: this.listFrames().filter(frame => frame.name !== BASE_FRAME.name)
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * 校验并规范化坐标系定义
+   */
+  normalizeFrame(frame) {
+    if (!frame || typeof frame.name !== 'string' || frame.name.trim() === '') {
+      throw new Error('Frame name is required');
+    }
+
+    const vector = (value, keys, label) => {
+      const result = {};
+      for (const key of keys) {
+        const number = Number(value?.[key] ?? 0);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Frame ${frame.name}: ${label}.${key} must be a finite number`);
+        }
+        result[key] = number;
+      }
+      return result;
+    };
+
+    return {
+      name: frame.name.trim(),
+      origin: vector(frame.origin, ['x', 'y', 'z'], 'origin'),
+      orientation: vector(frame.orientation, ['rx', 'ry', 'rz'], 'orientation')
+    };
+  }
+
+  /**
+   * 列出全部坐标系
+   */
+  listFrames() {
+    return Array.from(this.frames.values());
+  }
+
+  /**
+   * 获取坐标系，不存在时抛出异常
+   */
+  getFrame(name = BASE_FRAME.name) {
+    const frame = this.frames.get(name);
+    if (!frame) {
+      throw new Error(`Frame ${name} not found`);
+    }
+    return frame;
+  }
+
+  /**
+   * 新建或更新坐标系
+   * @param {Object} frame - {name, origin, orientation}
+   * @returns {Object} 规范化后的坐标系定义
+   */
+  defineFrame(frame) {
+    const normalized = this.normalizeFrame(frame);
+
+    if (normalized.name === BASE_FRAME.name) {
+      throw new Error('The base frame cannot be redefined');
+    }
+
+    this.frames.set(normalized.name, normalized);
+    this.save();
+
+    this.logger.info(`Frame ${normalized.name} defined: ${JSON.stringify(normalized)}`);
+    this.emit('frames-changed', this.listFrames());
+    return normalized;
+  }
+
+  /**
+   * 删除坐标系
+   */
+  removeFrame(name) {
+    this.getFrame(name);
+
+    if (name === BASE_FRAME.name) {
+      throw new Error('The base frame cannot be removed');
+    }
+
+    this.frames.delete(name);
+    this.save();
+
+    this.logger.info(`Frame ${name} removed`);
+    this.emit('frames-changed', this.listFrames());
+  }
+
+  /**
+   * 三点示教
+   * X轴由原点指向X方向点，Z轴垂直于三点所在平面 (XY平面点位于 +Y 一侧)
+   * @param {string} name - 坐标系名称
+   * @param {Object} origin - 原点 {x, y, z} (mm，基坐标系)
+   * @param {Object} xPoint - X轴正方向上的点
+   * @param {Object} xyPoint - XY平面内 +Y 一侧的点
+   * @returns {Object} 坐标系定义
+   */
+  teachFrame(name, origin, xPoint, xyPoint) {
+    const toArray = p => [p.x, p.y, p.z];
+    const subtract = (a, b) => a.map((v, i) => v - b[i]);
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const norm = v => Math.hypot(...v);
+
+    const o = toArray(origin);
+    const vx = subtract(toArray(xPoint), o);
+    const vxy = subtract(toArray(xyPoint), o);
+
+    if (norm(vx) < this.minTeachDistance || norm(vxy) < this.minTeachDistance) {
+      throw new Error(`Frame teach points must be at least ${this.minTeachDistance} mm from the origin`);
+    }
+
+    // 三点夹角过小 (约 6° 以内) 视为共线
+    const z = cross(vx, vxy);
+    if (norm(z) < 0.1 * norm(vx) * norm(vxy)) {
+      throw new Error('Frame teach points are collinear');
+    }
+
+    const ex = vx.map(v => v / norm(vx));
+    const ez = z.map(v => v / norm(z));
+    const ey = cross(ez, ex);
+    const R = [0, 1, 2].map(r => [ex[r], ey[r], ez[r]]);
+
+    return this.defineFrame({
+      name,
+      origin: { x: o[0], y: o[1], z: o[2] },
+      orientation: Pose.rotationToEuler(R)
+    });
+  }
+
+  /**
+   * 坐标系相对基坐标系的位姿
+   */
+  getFramePose(name = BASE_FRAME.name) {
+    const { origin, orientation } = this.getFrame(name);
+    return Pose.fromEuler(origin, orientation, { length: 'mm', angle: 'rad' });
+  }
+
+  /**
+   * 坐标系相对基坐标系的变换矩阵 (数组形式，单位 m)
+   */
+  getFrameTransform(name = BASE_FRAME.name) {
+    return this.getFramePose(name).toTransform();
+  }
+
+  /**
+   * 用户坐标系下的位姿转换到基坐标系
+   * @param {string} name - 坐标系名称
+   * @param {Pose} pose - 用户坐标系下的位姿
+   * @returns {Pose} 基坐标系下的位姿
+   */
+  toBase(name, pose) {
+    return this.getFramePose(name).multiply(pose);
+  }
+
+  /**
+   * 基坐标系下的位姿转换到用户坐标系
+   */
+  fromBase(name, pose) {
+    return this.getFramePose(name).inverse().multiply(pose);
+  }
+}
+
+FrameManager.BASE_FRAME = BASE_FRAME;
+
+module.exports = FrameManager;
@@ -0,0 +1,198 @@
+/**
+ * 关节空间避障路径规划 - RRT-Connect 与捷径平滑
+ *
+ * 从起点、终点各生长一棵随机树：一棵树向随机采样点扩展一步，另一棵树随即向新节点
+ * 连续扩展直至连通或受阻，之后两树交换角色。连通后的折线路径再做随机捷径平滑：
+ * 在路径上任取两点，两点间直线无碰撞时替换中间部分；最后删去可直接跨过的中间点，
+ * 减少拐角 (时间参数化在拐角处须减速)。
+ * 碰撞检查由调用方提供 (isFree)，直线段按 checkStep 细分后逐点检查，可完全离线运行。
+ * 搜索与平滑按时间片让出事件循环 (见 TimeSlice)。
+ */
+
+const TimeSlice = require('./TimeSlice');
+
+class JointPathPlanner {
+  /**
+   * @param {Object} options - {stepSize, checkStep (rad)，maxIterations, shortcutIterations, random}
+   */
+  constructor(options = {}) {
+    // 树扩展步长 (关节空间欧氏距离，rad)
+    this.stepSize = options.stepSize || 0.3;
+
+    // 直线段碰撞检查间隔 (单关节最大位移，rad)
+    this.checkStep = options.checkStep || 0.02;
+
+    // 最大采样次数与捷径平滑次数
+    this.maxIterations = options.maxIterations || 5000;
+    this.shortcutIterations = options.shortcutIterations || 100;
+
+    // 随机数源 [0, 1)
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * 规划无碰撞关节路径
+   * @param {number[]} start - 起点关节角
+   * @param {number[]} goal - 终点关节角
+   * @param {Function} isFree - (joints) => boolean
+   * @param {Object[]} limits - 采样范围 [{min, max}]
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<number[][]>} 平滑后的路径点 (含起止点)
+   */
+  async plan(start, goal, isFree, limits, slice = new TimeSlice()) {
+    if (await this.isSegmentFree(start, goal, isFree, slice)) {
+      return [[...start], [...goal]];
+    }
+
+    let treeA = [{ joints: [...start], parent: -1 }];
+    let treeB = [{ joints: [...goal], parent: -1 }];
+    let startTree = true; // treeA 是否为起点树
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      await slice.yield();
+
+      const target = limits.map(({ min, max }) => min + this.random() * (max - min));
+      const added = await this.extend(treeA, target, isFree, slice);
+
+      if (added !== null) {
+        const reached = await this.connect(treeB, treeA[added].joints, isFree, slice);
+        if (reached !== null) {
+          const path = [...this.branch(treeA, added), ...this.branch(treeB, reached).reverse().slice(1)];
+          return this.shortcut(startTree ? path : path.reverse(), isFree, slice);
+        }
+      }
+
+      [treeA, treeB] = [treeB, treeA];
+      startTree = !startTree;
+    }
+
+    throw new Error(`No collision-free path found after ${this.maxIterations} samples`);
+  }
+
+  /**
+   * 树向目标扩展一步，返回新节点序号 (受阻时返回 null)
+   */
+  async extend(tree, target, isFree, slice) {
+    const nearest = this.nearest(tree, target);
+    const from = tree[nearest].joints;
+    const distance = this.distance(from, target);
+    const joints = distance <= this.stepSize
+      ? [...target]
+      : from.map((q, j) => q + (target[j] - q) * this.stepSize / distance);
+
+    if (!(await this.isSegmentFree(from, joints, isFree, slice))) return null;
+
+    tree.push({ joints, parent: nearest });
+    return tree.length - 1;
+  }
+
+  /**
+   * 树向目标连续扩展，到达时返回到达节点序号，受阻时返回 null
+   */
+  async connect(tree, target, isFree, slice) {
+    for (;;) {
+      const added = await this.extend(tree, target, isFree, slice);
+      if (added === null) return null;
+      if (this.distance(tree[added].joints, target) < 1e-9) return added;
+    }
+  }
+
+  nearest(tree, joints) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    tree.forEach((node, i) => {
+      const distance = this.distance(node.joints, joints);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 树根到指定节点的路径
+   */
+  branch(tree, index) {
+    const path = [];
+    for (let i = index; i >= 0; i = tree[i].parent) {
+      path.unshift(tree[i].joints);
+    }
+    return path;
+  }
+
+  /**
+   * 随机捷径平滑: 路径上任取两点 (可位于段内)，直线无碰撞时替换其间部分
+   */
+  async shortcut(path, isFree, slice = new TimeSlice()) {
+    let result = path.map(joints => [...joints]);
+
+    for (let iteration = 0; iteration < this.shortcutIterations && result.length > 2; iteration++) {
+      await slice.yield();
+
+      const lengths = [0];
+      for (let i = 1; i < result.length; i++) {
+        lengths.push(lengths[i - 1] + this.distance(result[i - 1], result[i]));
+      }
+      const total = lengths[lengths.length - 1];
+
+      const [a, b] = [this.random() * total, this.random() * total].sort((x, y) => x - y);
+      const locate = s => {
+        const i = Math.max(1, lengths.findIndex(length => length >= s));
+        const span = lengths[i] - lengths[i - 1];
+        const t = span > 0 ? (s - lengths[i - 1]) / span : 0;
+        return { index: i, joints: result[i - 1].map((q, j) => q + t * (result[i][j] - q)) };
+      };
+      const first = locate(a);
+      const second = locate(b);
+
+      // 同一段内的两点无需替换
+      if (first.index === second.index) continue;
+      if (!(await this.isSegmentFree(first.joints, second.joints, isFree, slice))) continue;
+
+      result = [...result.slice(0, first.index), first.joints, second.joints, ...result.slice(second.index)];
+    }
+
+    return this.removeRedundant(result, isFree, slice);
+  }
+
+  /**
+   * 删去冗余中间点: 前一保留点与后一点可直接无碰撞相连时去掉该点
+   */
+  async removeRedundant(path, isFree, slice) {
+    const result = [path[0]];
+
+    for (let i = 1; i < path.length - 1; i++) {
+      if (!(await this.isSegmentFree(result[result.length - 1], path[i + 1], isFree, slice))) {
+        result.push(path[i]);
+      }
+    }
+
+    result.push(path[path.length - 1]);
+    return result;
+  }
+
+  /**
+   * 直线段是否无碰撞 (按 checkStep 细分检查，含端点)
+   */
+  async isSegmentFree(from, to, isFree, slice = new TimeSlice()) {
+    const step = Math.max(...to.map((q, j) => Math.abs(q - from[j])));
+    const count = Math.max(1, Math.ceil(step / this.checkStep));
+
+    for (let k = 0; k <= count; k++) {
+      await slice.yield();
+
+      const s = k / count;
+      if (!isFree(from.map((q, j) => q + s * (to[j] - q)))) return false;
+    }
+    return true;
+  }
+
+  distance(a, b) {
+    return Math.sqrt(a.reduce((sum, q, j) => sum + Math.pow(q - b[j], 2), 0));
+  }
+}
+
+module.exports = JointPathPlanner;
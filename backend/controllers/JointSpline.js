@@ -0,0 +1,415 @@
+/**
+ * 关节空间样条 - 多路点平滑插值与逼近
+ *
+ * 功能：
+ * - 自然三次样条插值 (经过全部路点)
+ * - 三次 / 五次 B 样条插值，或按容差逼近 (控制点少于路点)
+ * - 位置、速度、加速度、加加速度解析求值 (轨迹基元，可直接交由轨迹执行器)
+ *
+ * 均以时间为参数、以首末节点重复 p+1 次的 B 样条表示。首末各三个控制点分别取起止路点，
+ * 起止速度、加速度为零 (静止起停)，内部 C^(p-1) 连续。插值时内部节点取路点时刻；
+ * 三次样条自由度不足，在首末区间各插入一个虚拟节点 (端点加速度为零，即自然边界)。
+ * 逼近时按路点时刻平均分布内部节点做最小二乘拟合，逐步增加控制点直至各路点误差不超过容差。
+ */
+
+const TrajectoryPrimitive = require('./TrajectoryPrimitive');
+const TimeSlice = require('./TimeSlice');
+
+const TYPES = ['natural', 'bspline'];
+const MODES = ['interpolate', 'approximate'];
+
+// 起止各固定的控制点数 (位置、速度、加速度)
+const FIXED_CONTROLS = 3;
+
+class JointSpline extends TrajectoryPrimitive {
+  /**
+   * @param {number} degree - 次数
+   * @param {number[]} knots - 节点向量 (秒)
+   * @param {number[][]} controlPoints - 控制点 (关节角，rad)
+   */
+  constructor(degree, knots, controlPoints) {
+    super(knots[knots.length - 1] - knots[0]);
+    this.degree = degree;
+    this.knots = knots;
+    this.controlPoints = controlPoints;
+  }
+
+  /**
+   * 校验并补全拟合选项
+   * @param {Object} options - {type: 'natural' | 'bspline', degree: 3 | 5, mode: 'interpolate' | 'approximate', tolerance (rad)}
+   * @returns {Object} 补全后的选项
+   */
+  static normalizeOptions(options = {}) {
+    const { type = 'bspline', mode = 'interpolate', tolerance = 0.001 } = options;
+    const degree = options.degree ?? (type === 'natural' ? 3 : 5);
+
+    if (!TYPES.includes(type)) {
+      throw new Error(`Spline type must be ${TYPES.join(' or ')}`);
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Spline mode must be ${MODES.join(' or ')}`);
+    }
+    if (degree !== 3 && degree !== 5) {
+      throw new Error('Spline degree must be 3 or 5');
+    }
+    if (type === 'natural' && (degree !== 3 || mode !== 'interpolate')) {
+      throw new Error('Natural spline is a cubic interpolating spline');
+    }
+    if (mode === 'approximate' && !(tolerance > 0)) {
+      throw new Error('Spline approximation tolerance must be a positive number of rad');
+    }
+
+    return { type, degree, mode, tolerance };
+  }
+
+  /**
+   * 按路点拟合样条
+   * @param {number[][]} points - 路点关节角 (rad)
+   * @param {number[]} times - 路点时刻 (秒，严格递增)
+   * @param {Object} options - 见 normalizeOptions
+   * @param {TimeSlice} slice - 时间片 (逐路点计算时让出事件循环)
+   * @returns {Promise<JointSpline>}
+   */
+  static async fit(points, times, options = {}, slice = new TimeSlice()) {
+    const { degree, mode, tolerance } = JointSpline.normalizeOptions(options);
+
+    if (!Array.isArray(points) || points.length < 2) {
+      throw new Error('Spline requires at least 2 waypoints');
+    }
+    if (!Array.isArray(times) || times.length !== points.length) {
+      throw new Error('Spline requires one time per waypoint');
+    }
+    for (let i = 1; i < times.length; i++) {
+      if (!(times[i] > times[i - 1])) {
+        throw new Error(`Spline waypoint times must increase (waypoint ${i + 1})`);
+      }
+    }
+
+    return mode === 'interpolate'
+      ? JointSpline.interpolate(points, times, degree, slice)
+      : JointSpline.approximate(points, times, degree, tolerance, slice);
+  }
+
+  /**
+   * 插值: 经过全部路点，控制点数为路点数 + 4
+   */
+  static async interpolate(points, times, degree, slice = new TimeSlice()) {
+    const n = points.length;
+    let interior = times.slice(1, -1);
+
+    if (degree === 3) {
+      const last = times.length - 1;
+      const [first, final] = n === 2
+        ? [(2 * times[0] + times[1]) / 3, (times[0] + 2 * times[1]) / 3]
+        : [(times[0] + times[1]) / 2, (times[last - 1] + times[last]) / 2];
+      interior = [first, ...interior, final];
+    }
+
+    const knots = clampedKnots(times[0], times[n - 1], interior, degree);
+    return JointSpline.solve(points, times, degree, knots, points.map((_, i) => i > 0 && i < n - 1), slice);
+  }
+
+  /**
+   * 逼近: 控制点数从最少开始逐步增加，直至各路点误差不超过容差；达到插值控制点数时改为插值
+   */
+  static async approximate(points, times, degree, tolerance, slice = new TimeSlice()) {
+    const n = points.length;
+    const interpolationControls = n + 4;
+    let controls = 2 * FIXED_CONTROLS;
+
+    while (controls < interpolationControls) {
+      const count = controls - degree - 1;
+      const knots = clampedKnots(times[0], times[n - 1], averagedKnots(times, count), degree);
+      const spline = await JointSpline.solve(points, times, degree, knots, points.map(() => true), slice);
+
+      if (await spline.maxDeviation(points, times, slice) <= tolerance) {
+        return spline;
+      }
+      controls = Math.ceil(controls * 1.5);
+    }
+
+    return JointSpline.interpolate(points, times, degree, slice);
+  }
+
+  /**
+   * 固定首末控制点后求解其余控制点 (路点数与未知数相同时为插值，否则为最小二乘)
+   * @param {boolean[]} used - 参与拟合的路点
+   */
+  static async solve(points, times, degree, knots, used, slice = new TimeSlice()) {
+    const controls = knots.length - degree - 1;
+    const free = controls - 2 * FIXED_CONTROLS;
+    const start = points[0];
+    const end = points[points.length - 1];
+    const controlPoints = [];
+
+    for (let c = 0; c < controls; c++) {
+      controlPoints.push(c < FIXED_CONTROLS ? [...start] : c >= controls - FIXED_CONTROLS ? [...end] : null);
+    }
+
+    if (free > 0) {
+      // 各路点的基函数行 (仅自由控制点)，固定控制点的贡献移到右端
+      const rows = [];
+      for (const [i, point] of points.entries()) {
+        if (!used[i]) continue;
+        await slice.yield();
+
+        const span = findSpan(knots, degree, times[i]);
+        const basis = basisDerivatives(knots, degree, span, times[i], 0)[0];
+        const residual = [...point];
+        const values = [];
+        let first = null;
+
+        basis.forEach((value, r) => {
+          const c = span - degree + r;
+          if (controlPoints[c]) {
+            controlPoints[c].forEach((q, j) => { residual[j] -= value * q; });
+          } else {
+            if (first === null) first = c - FIXED_CONTROLS;
+            values.push(value);
+          }
+        });
+
+        if (first !== null) rows.push({ start: first, values, rhs: residual });
+      }
+
+      const solution = rows.length === free
+        ? solveBanded(rows, rows.map(row => row.rhs))
+        : solveLeastSquares(rows, free, degree);
+
+      solution.forEach((value, k) => { controlPoints[FIXED_CONTROLS + k] = value; });
+    }
+
+    return new JointSpline(degree, knots, controlPoints);
+  }
+
+  /**
+   * 各路点处样条与路点的最大关节偏差 (rad)
+   */
+  async maxDeviation(points, times, slice = new TimeSlice()) {
+    let deviation = 0;
+    for (const [i, point] of points.entries()) {
+      await slice.yield();
+      this.position(times[i]).forEach((q, j) => {
+        deviation = Math.max(deviation, Math.abs(q - point[j]));
+      });
+    }
+    return deviation;
+  }
+
+  /**
+   * 时间缩放: 时长变为 factor 倍，k 阶导数变为 1/factor^k 倍
+   */
+  scaleTime(factor) {
+    return new JointSpline(this.degree, this.knots.map(knot => knot * factor), this.controlPoints);
+  }
+
+  /**
+   * t 时刻的 order 阶导数 (范围外保持端点静止)
+   */
+  evaluate(t, order) {
+    const { degree, knots, controlPoints } = this;
+    const joints = controlPoints[0].length;
+
+    if (t <= knots[0] || t >= knots[knots.length - 1]) {
+      const point = t <= knots[0] ? controlPoints[0] : controlPoints[controlPoints.length - 1];
+      return order === 0 ? [...point] : new Array(joints).fill(0);
+    }
+
+    const span = findSpan(knots, degree, t);
+    const basis = basisDerivatives(knots, degree, span, t, order)[order];
+    const result = new Array(joints).fill(0);
+
+    basis.forEach((value, r) => {
+      controlPoints[span - degree + r].forEach((q, j) => { result[j] += value * q; });
+    });
+    return result;
+  }
+}
+
+/**
+ * 首末节点重复 degree+1 次的节点向量
+ */
+function clampedKnots(start, end, interior, degree) {
+  return [
+    ...new Array(degree + 1).fill(start),
+    ...interior,
+    ...new Array(degree + 1).fill(end)
+  ];
+}
+
+/**
+ * 逼近用内部节点: 按路点时刻平均分布 (Piegl & Tiller 式 9.69)
+ */
+function averagedKnots(times, count) {
+  const d = times.length / (count + 1);
+  const knots = [];
+
+  for (let k = 1; k <= count; k++) {
+    const i = Math.min(times.length - 1, Math.max(1, Math.floor(k * d)));
+    const alpha = k * d - Math.floor(k * d);
+    knots.push((1 - alpha) * times[i - 1] + alpha * times[i]);
+  }
+  return knots;
+}
+
+/**
+ * t 所在的节点区间序号 (末端点归入最后一个非空区间)
+ */
+function findSpan(knots, degree, t) {
+  const n = knots.length - degree - 2;
+
+  if (t >= knots[n + 1]) return n;
+  if (t <= knots[degree]) return degree;
+
+  let low = degree;
+  let high = n + 1;
+  let mid = Math.floor((low + high) / 2);
+  while (t < knots[mid] || t >= knots[mid + 1]) {
+    if (t < knots[mid]) high = mid; else low = mid;
+    mid = Math.floor((low + high) / 2);
+  }
+  return mid;
+}
+
+/**
+ * 区间 span 上非零基函数及其 0 ~ order 阶导数 (Piegl & Tiller 算法 A2.3)
+ * @returns {number[][]} ders[k][r] 为第 span-degree+r 个基函数的 k 阶导数
+ */
+function basisDerivatives(knots, degree, span, t, order) {
+  const ndu = [...new Array(degree + 1)].map(() => new Array(degree + 1).fill(0));
+  const left = new Array(degree + 1).fill(0);
+  const right = new Array(degree + 1).fill(0);
+  ndu[0][0] = 1;
+
+  for (let j = 1; j <= degree; j++) {
+    left[j] = t - knots[span + 1 - j];
+    right[j] = knots[span + j] - t;
+    let saved = 0;
+    for (let r = 0; r < j; r++) {
+      ndu[j][r] = right[r + 1] + left[j - r];
+      const temp = ndu[r][j - 1] / ndu[j][r];
+      ndu[r][j] = saved + right[r + 1] * temp;
+      saved = left[j - r] * temp;
+    }
+    ndu[j][j] = saved;
+  }
+
+  const ders = [...new Array(order + 1)].map(() => new Array(degree + 1).fill(0));
+  for (let r = 0; r <= degree; r++) {
+    ders[0][r] = ndu[r][degree];
+  }
+
+  for (let r = 0; r <= degree; r++) {
+    const a = [new Array(degree + 1).fill(0), new Array(degree + 1).fill(0)];
+    let s1 = 0;
+    let s2 = 1;
+    a[0][0] = 1;
+
+    for (let k = 1; k <= order; k++) {
+      let d = 0;
+      const rk = r - k;
+      const pk = degree - k;
+
+      if (r >= k) {
+        a[s2][0] = a[s1][0] / ndu[pk + 1][rk];
+        d = a[s2][0] * ndu[rk][pk];
+      }
+      const j1 = rk >= -1 ? 1 : -rk;
+      const j2 = r - 1 <= pk ? k - 1 : degree - r;
+      for (let j = j1; j <= j2; j++) {
+        a[s2][j] = (a[s1][j] - a[s1][j - 1]) / ndu[pk + 1][rk + j];
+        d += a[s2][j] * ndu[rk + j][pk];
+      }
+      if (r <= pk) {
+        a[s2][k] = -a[s1][k - 1] / ndu[pk + 1][r];
+        d += a[s2][k] * ndu[r][pk];
+      }
+      ders[k][r] = d;
+      [s1, s2] = [s2, s1];
+    }
+  }
+
+  let factor = degree;
+  for (let k = 1; k <= order; k++) {
+    for (let r = 0; r <= degree; r++) ders[k][r] *= factor;
+    factor *= degree - k;
+  }
+
+  return ders;
+}
+
+/**
+ * 带状线性方程组 (无主元消元，适用于 B 样条配置矩阵与法方程)
+ * @param {Object[]} rows - 各行非零元 {start: 首个非零列, values}
+ * @param {number[][]} rhs - 各行右端 (每个关节一列)
+ * @returns {number[][]} 解
+ */
+function solveBanded(rows, rhs) {
+  const n = rows.length;
+  let lower = 0;
+  let upper = 0;
+  rows.forEach(({ start, values }, r) => {
+    lower = Math.max(lower, r - start);
+    upper = Math.max(upper, start + values.length - 1 - r);
+  });
+
+  const band = rows.map(({ start, values }, r) => {
+    const row = new Float64Array(lower + upper + 1);
+    values.forEach((value, k) => { row[start + k - r + lower] = value; });
+    return row;
+  });
+  const b = rhs.map(value => [...value]);
+
+  for (let r = 0; r < n; r++) {
+    const pivot = band[r][lower];
+    if (Math.abs(pivot) < 1e-12) {
+      throw new Error('Spline fit is ill-conditioned: waypoints are too unevenly spaced in time');
+    }
+    for (let rr = r + 1; rr <= Math.min(n - 1, r + lower); rr++) {
+      const factor = band[rr][r - rr + lower] / pivot;
+      if (factor === 0) continue;
+      for (let c = r; c <= Math.min(n - 1, r + upper); c++) {
+        band[rr][c - rr + lower] -= factor * band[r][c - r + lower];
+      }
+      b[rr] = b[rr].map((value, j) => value - factor * b[r][j]);
+    }
+  }
+
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    const value = [...b[r]];
+    for (let c = r + 1; c <= Math.min(n - 1, r + upper); c++) {
+      value.forEach((_, j) => { value[j] -= band[r][c - r + lower] * x[c][j]; });
+    }
+    x[r] = value.map(v => v / band[r][lower]);
+  }
+  return x;
+}
+
+/**
+ * 最小二乘: 法方程 AᵀA·x = Aᵀb (带宽为次数)
+ */
+function solveLeastSquares(rows, unknowns, degree) {
+  const joints = rows[0].rhs.length;
+  const normal = [...new Array(unknowns)].map(() => new Float64Array(2 * degree + 1));
+  const rhs = [...new Array(unknowns)].map(() => new Array(joints).fill(0));
+
+  for (const { start, values, rhs: b } of rows) {
+    values.forEach((vi, i) => {
+      values.forEach((vk, k) => { normal[start + i][k - i + degree] += vi * vk; });
+      b.forEach((value, j) => { rhs[start + i][j] += vi * value; });
+    });
+  }
+
+  const banded = normal.map((row, r) => {
+    const start = Math.max(0, r - degree);
+    const stop = Math.min(unknowns - 1, r + degree);
+    const values = [];
+    for (let c = start; c <= stop; c++) values.push(row[c - r + degree]);
+    return { start, values };
+  });
+
+  return solveBanded(banded, rhs);
+}
+
+module.exports = JointSpline;
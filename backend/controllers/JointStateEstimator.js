@@ -0,0 +1,89 @@
+/**
+ * 关节状态估计 - 滤波后的关节速度与加速度
+ *
+ * 速度来源: 驱动器实际速度 (0x606C) 可用时直接使用，否则由相邻周期位置差分；
+ * 两者均经一阶低通滤波，加速度为滤波速度的差分再经一阶低通滤波。
+ * 截止频率在噪声抑制与相位滞后间折中，周期监控的容差需覆盖滤波滞后。
+ */
+
+class JointStateEstimator {
+  /**
+   * @param {Object} options - {velocityCutoff, accelerationCutoff (Hz)}
+   */
+  constructor(options = {}) {
+    this.configure({ velocityCutoff: 20, accelerationCutoff: 10, ...options });
+    this.reset();
+  }
+
+  /**
+   * 设置滤波截止频率 (Hz)
+   */
+  configure(options = {}) {
+    for (const key of ['velocityCutoff', 'accelerationCutoff']) {
+      const value = options[key];
+      if (value === undefined) continue;
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Joint state estimator ${key} must be a positive frequency (Hz)`);
+      }
+      this[key] = value;
+    }
+  }
+
+  /**
+   * 清除历史 (下一周期以零速度重新开始)
+   */
+  reset() {
+    this.previousJoints = null;
+    this.velocities = [0, 0, 0, 0, 0, 0];
+    this.accelerations = [0, 0, 0, 0, 0, 0];
+    this.source = null;
+  }
+
+  /**
+   * 单周期更新
+   * @param {number[]} joints - 实际关节角度 (rad)
+   * @param {number[]|null} measured - 实际关节速度 (rad/s)，不可用时为 null
+   * @param {number} dt - 周期 (s)
+   * @returns {Object} {velocities (rad/s), accelerations (rad/s²)}
+   */
+  update(joints, measured, dt) {
+    const previous = this.previousJoints;
+    this.previousJoints = [...joints];
+
+    let raw;
+    if (measured) {
+      raw = measured;
+      this.source = 'pdo';
+    } else if (previous) {
+      raw = joints.map((q, i) => (q - previous[i]) / dt);
+      this.source = 'position';
+    } else {
+      return this.getState();
+    }
+
+    const alphaV = JointStateEstimator.smoothing(this.velocityCutoff, dt);
+    const alphaA = JointStateEstimator.smoothing(this.accelerationCutoff, dt);
+    const last = this.velocities;
+
+    this.velocities = last.map((v, i) => v + alphaV * (raw[i] - v));
+    this.accelerations = this.accelerations.map((a, i) =>
+      a + alphaA * ((this.velocities[i] - last[i]) / dt - a)
+    );
+
+    return this.getState();
+  }
+
+  getState() {
+    return { velocities: [...this.velocities], accelerations: [...this.accelerations] };
+  }
+
+  /**
+   * 一阶低通滤波系数 α = dt / (τ + dt)，τ = 1 / (2π·fc)
+   */
+  static smoothing(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return dt / (tau + dt);
+  }
+}
+
+module.exports = JointStateEstimator;
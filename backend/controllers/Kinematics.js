@@ -7,11 +7,45 @@
 
 const math = require('mathjs');
 
+const Pose = require('./Pose');
+
 class Kinematics {
-  constructor(dhParams) {
+  constructor(dhParams, jointLimits = null) {
     this.dhParams = dhParams;
+    this.jointLimits = jointLimits; // [{min, max}]，用于逆解过滤
     this.epsilon = 1e-6; // 数值计算精度
     this.maxIterations = 100; // 逆解最大迭代次数
+    this.configurationTolerance = 1e-3; // 构型标志判定阈值
+
+    // 工具坐标系相对法兰的变换 (单位 m)，笛卡尔位姿均以 TCP 表示
+    this.toolTransform = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    // 标定后的DH参数不再满足解析解的结构假设时，先用名义模型求解析解，再数值精化
+    const nominalParams = Kinematics.nominalParams(dhParams);
+    this.analyticModel = Kinematics.sameParams(nominalParams, dhParams)
+      ? null
+      : new Kinematics(nominalParams, jointLimits);
+  }
+
+  /**
+   * 满足解析解结构假设的名义DH参数
+   * (扭角取 ±90° 的整数倍，仅保留 d1、a2、d3、d5 四个结构尺寸)
+   */
+  static nominalParams(dhParams) {
+    const structural = [['d'], ['a'], ['d'], [], ['d'], []];
+
+    return dhParams.map((params, i) => ({
+      a: structural[i].includes('a') ? params.a : 0,
+      alpha: Math.round(params.alpha / (Math.PI / 2)) * (Math.PI / 2),
+      d: structural[i].includes('d') ? params.d : 0,
+      theta: params.theta
+    }));
+  }
+
+  static sameParams(a, b) {
+    return a.every((params, i) =>
+      ['a', 'alpha', 'd', 'theta'].every(key => Math.abs(params[key] - b[i][key]) < 1e-12)
+    );
   }
 
   /**
@@ -36,279 +70,526 @@ class Kinematics {
     ]);
   }
 
+  /**
+   * 设置工具坐标系 (TCP)
+   * @param {number[][]} toolTransform - 工具相对法兰的 4x4 变换矩阵 (数组形式，单位 m)
+   */
+  setToolTransform(toolTransform) {
+    this.toolTransform = toolTransform.map(row => [...row]);
+  }
+
   /**
    * 正向运动学计算
    * @param {number[]} joints - 6个关节角度 (rad)
-   * @returns {Object} 末端执行器位姿 {position, orientation}
+   * @returns {Pose} 工具中心点 (TCP) 位姿
    */
   forwardKinematics(joints) {
-    let T = math.identity(4);
-    
-    // 计算各连杆变换矩阵并连乘
-    for (let i = 0; i < 6; i++) {
-      const { a, alpha, d, theta } = this.dhParams[i];
-      const Ti = this.buildDHMatrix(a, alpha, d, theta + joints[i]);
-      T = math.multiply(T, Ti);
+    return Pose.fromTransform(this.tcpTransform(joints));
+  }
+
+  /**
+   * 逆向运动学求解 (解析法)
+   *
+   * 机构特点 (见 DH_PARAMS)：
+   * - J1 竖直，J2 轴相对 J1 轴偏置 a1
+   * - J3/J4/J5 三轴交于肘点 E，构成等效球腕，ZYZ 双解对应腕部翻转
+   * - J5/J6 两轴交于法兰中心 W
+   *
+   * 前臂方向 z5 位于法兰 x6-y6 平面内，由 q6 唯一确定，E = W - d5·z5。
+   * E 必须位于 J1 所在竖直平面内且到肩点 S(q1) 的距离为 d3，即落在以 J1 为轴的
+   * 环面上：(ρ² + h² + a1² - d3²)² = 4·a1²·ρ²。对 q6 的一维方程求出全部实根，
+   * 其余关节由几何关系闭式求解，最后补充多圈等效解并按关节限位过滤。
+   * 标定模型由名义模型的解析解出发数值精化；解析解全部失败时，若给定种子
+   * 关节角则以数值逆解兜底。目标位姿为 TCP 位姿，求解前换算为法兰位姿。
+   *
+   * @param {Pose} targetPose - 目标 TCP 位姿
+   * @param {number[]} seedJoints - 数值兜底的初值 (可选，通常为当前关节角)
+   * @returns {number[][]} 所有可行解的数组
+   */
+  inverseKinematics(targetPose, seedJoints = null) {
+    const target = Pose.from(targetPose);
+
+    try {
+      // 1. 计算目标变换矩阵
+      const T = this.tcpToFlange(target.toTransform());
+
+      // 2. 解析求解全部构型
+      const solutions = this.solveClosedFormIK(T);
+
+      // 3. 多圈等效解 + 关节限位过滤
+      const valid = this.filterValidSolutions(this.expandMultiTurnSolutions(solutions));
+
+      // 4. 数值兜底
+      if (valid.length === 0 && seedJoints) {
+        const numeric = this.numericalInverseKinematics(T, seedJoints, { preferredJoints: seedJoints });
+        if (numeric && this.filterValidSolutions([numeric]).length > 0) {
+          return [numeric];
+        }
+      }
+
+      return valid;
+
+    } catch (error) {
+      console.error('Inverse kinematics error:', error);
+      return [];
     }
+  }
+
+  /**
+   * 逆解并附带构型标志
+   * @param {Pose} targetPose - 目标 TCP 位姿
+   * @param {number[]} seedJoints - 数值兜底的初值 (可选)
+   * @returns {Object[]} [{joints, configuration}]
+   */
+  solveConfigurations(targetPose, seedJoints = null) {
+    return this.inverseKinematics(targetPose, seedJoints).map(joints => ({
+      joints,
+      configuration: this.getConfiguration(joints)
+    }));
+  }
 
-    // 提取位置和姿态
-    const position = {
-      x: T.get([0, 3]),
-      y: T.get([1, 3]),
-      z: T.get([2, 3])
+  /**
+   * 计算关节角对应的构型标志
+   * - shoulder: right (肘点位于 J1 轴前方) / left (肘点越过 J1 轴)
+   * - elbow: up (q4 > 0) / down (q4 < 0)
+   * - wrist: noflip (sin q6 > 0) / flip (sin q6 < 0)
+   * 处于对应的奇异或过渡位置时该标志为 null，表示不确定
+   * @param {number[]} joints - 关节角度
+   * @returns {Object} {shoulder, elbow, wrist}
+   */
+  getConfiguration(joints) {
+    const a1 = this.dhParams[1].a;
+    const d3 = this.dhParams[2].d;
+    const tolerance = this.configurationTolerance;
+
+    const reach = a1 + d3 * Math.sin(this.dhParams[1].theta + joints[1]);
+    const elbow = Math.sin(this.dhParams[3].theta + joints[3]);
+    const wrist = Math.sin(this.dhParams[5].theta + joints[5]);
+
+    const flag = (value, positive, negative) => {
+      if (Math.abs(value) < tolerance) return null;
+      return value > 0 ? positive : negative;
     };
 
-    // 从旋转矩阵提取欧拉角 (XYZ顺序)
-    const orientation = this.extractEulerAngles(T);
+    return {
+      shoulder: flag(reach, 'right', 'left'),
+      elbow: flag(elbow, 'up', 'down'),
+      wrist: flag(wrist, 'noflip', 'flip')
+    };
+  }
 
-    return { position, orientation };
+  /**
+   * 判断构型是否满足要求 (要求或实际标志为 null 时视为满足)
+   */
+  matchesConfiguration(configuration, required) {
+    return Object.keys(Kinematics.CONFIGURATION_FLAGS).every(key =>
+      required[key] == null || configuration[key] == null || configuration[key] === required[key]
+    );
   }
 
   /**
-   * 从旋转矩阵提取欧拉角
+   * 构型标志格式化
    */
-  extractEulerAngles(transformMatrix) {
-    const R = transformMatrix.subset(math.index([0, 1, 2], [0, 1, 2]));
-    
-    const r11 = R.get([0, 0]);
-    const r12 = R.get([0, 1]);
-    const r13 = R.get([0, 2]);
-    const r21 = R.get([1, 0]);
-    const r22 = R.get([1, 1]);
-    const r23 = R.get([1, 2]);
-    const r31 = R.get([2, 0]);
-    const r32 = R.get([2, 1]);
-    const r33 = R.get([2, 2]);
+  formatConfiguration(configuration) {
+    return Object.keys(Kinematics.CONFIGURATION_FLAGS)
+      .map(key => `${key}=${configuration[key] || 'any'}`)
+      .join(', ');
+  }
 
-    let rx, ry, rz;
+  /**
+   * 闭式逆解 (标定模型: 名义模型解析解 + 数值精化)
+   * @param {number[][]} T - 4x4 目标变换矩阵 (数组形式)
+   * @returns {number[][]} 关节角解集
+   */
+  solveClosedFormIK(T) {
+    if (!this.analyticModel) {
+      return this.solveAnalyticIK(T);
+    }
 
-    if (Math.abs(r31) < 0.99999) {
-      ry = -Math.asin(r31);
-      const cry = Math.cos(ry);
-      rx = Math.atan2(r32 / cry, r33 / cry);
-      rz = Math.atan2(r21 / cry, r11 / cry);
-    } else {
-      // 万向节锁
-      rx = 0;
-      if (r31 < 0) {
-        ry = Math.PI / 2;
-        rz = Math.atan2(r12, r13);
-      } else {
-        ry = -Math.PI / 2;
-        rz = Math.atan2(-r12, -r13);
+    const solutions = [];
+
+    for (const nominal of this.analyticModel.solveAnalyticIK(T)) {
+      // 初值已接近真解，收紧收敛阈值以消除名义模型引入的偏差
+      const refined = this.numericalInverseKinematics(T, nominal, { tolerance: 1e-10 });
+      if (refined && !this.containsSolution(solutions, refined)) {
+        solutions.push(refined);
       }
     }
 
-    return { rx, ry, rz };
+    return solutions;
   }
 
   /**
-   * 逆向运动学求解 (解析法 + 数值迭代)
-   * @param {Object} targetPose - 目标位姿 {position: {x, y, z}, orientation: {rx, ry, rz}}
-   * @returns {number[][]} 所有可行解的数组
+   * 解析逆解 (不含多圈等效解与限位过滤)
+   * @param {number[][]} T - 4x4 目标变换矩阵 (数组形式)
+   * @returns {number[][]} 关节角解集
    */
-  inverseKinematics(targetPose) {
+  solveAnalyticIK(T) {
     const solutions = [];
-    
-    try {
-      // 1. 计算目标变换矩阵
-      const targetMatrix = this.poseToMatrix(targetPose);
-      
-      // 2. 提取腕部中心点位置
-      const wristCenter = this.calculateWristCenter(targetMatrix);
-      
-      // 3. 求解前三个关节 (位置级)
-      const baseSolutions = this.solveFirstThreeJoints(wristCenter);
-      
-      // 4. 对每个前三个关节的解，求解后三个关节 (姿态级)
-      for (const baseSolution of baseSolutions) {
-        const wristSolutions = this.solveLastThreeJoints(baseSolution, targetMatrix);
-        solutions.push(...wristSolutions);
+
+    for (const q6 of this.solveWristSwingAngles(T)) {
+      for (const solution of this.solveRemainingJoints(T, q6)) {
+        // 用正运动学校验，剔除数值退化的解
+        if (this.poseResidual(solution, T) > this.epsilon) continue;
+
+        if (!this.containsSolution(solutions, solution)) {
+          solutions.push(solution);
+        }
       }
-      
-      // 5. 过滤无效解
-      const validSolutions = this.filterValidSolutions(solutions);
-      
-      return validSolutions;
-      
-    } catch (error) {
-      console.error('Inverse kinematics error:', error);
-      return [];
     }
+
+    return solutions;
   }
 
   /**
-   * 位姿转变换矩阵
+   * 解集中是否已有等价解 (按 2π 周期比较)
    */
-  poseToMatrix(pose) {
-    const { x, y, z } = pose.position;
-    const { rx, ry, rz } = pose.orientation;
+  containsSolution(solutions, solution) {
+    return solutions.some(existing =>
+      existing.every((q, i) => Math.abs(this.wrapAngle(q - solution[i])) < this.epsilon)
+    );
+  }
 
-    // 构建旋转矩阵 (XYZ欧拉角)
-    const Rx = math.matrix([
-      [1, 0, 0],
-      [0, Math.cos(rx), -Math.sin(rx)],
-      [0, Math.sin(rx), Math.cos(rx)]
-    ]);
+  /**
+   * 给定 q6 计算肘点 E 的位置
+   */
+  elbowPointFromWristSwing(T, q6) {
+    const { alpha, theta } = this.dhParams[5];
+    const d5 = this.dhParams[4].d;
+    const st = Math.sin(theta + q6);
+    const ct = Math.cos(theta + q6);
+    const sa = Math.sin(alpha);
+    const ca = Math.cos(alpha);
 
-    const Ry = math.matrix([
-      [Math.cos(ry), 0, Math.sin(ry)],
-      [0, 1, 0],
-      [-Math.sin(ry), 0, Math.cos(ry)]
-    ]);
+    // z5 在法兰坐标系中的表示: [st·sa, ct·sa, ca]
+    const z5 = [0, 1, 2].map(r => st * sa * T[r][0] + ct * sa * T[r][1] + ca * T[r][2]);
 
-    const Rz = math.matrix([
-      [Math.cos(rz), -Math.sin(rz), 0],
-      [Math.sin(rz), Math.cos(rz), 0],
-      [0, 0, 1]
-    ]);
+    return [0, 1, 2].map(r => T[r][3] - d5 * z5[r]);
+  }
+
+  /**
+   * 肘点环面约束残差 (为零时肘点可由 J1/J2 到达)
+   */
+  elbowTorusResidual(T, q6) {
+    const d1 = this.dhParams[0].d;
+    const a1 = this.dhParams[1].a;
+    const d3 = this.dhParams[2].d;
+    const E = this.elbowPointFromWristSwing(T, q6);
 
-    const R = math.multiply(math.multiply(Rz, Ry), Rx);
-    
-    // 构建齐次变换矩阵
-    const T = math.identity(4);
-    T.subset(math.index([0, 1, 2], [0, 1, 2]), R);
-    T.set([0, 3], x);
-    T.set([1, 3], y);
-    T.set([2, 3], z);
+    const rho2 = E[0] * E[0] + E[1] * E[1];
+    const h = E[2] - d1;
+    const k = rho2 + h * h + a1 * a1 - d3 * d3;
 
-    return T;
+    return k * k - 4 * a1 * a1 * rho2;
   }
 
   /**
-   * 计算腕部中心点位置
+   * 求解 q6 的全部实根
+   * 等间隔扫描找出变号区间并二分细化；对不变号的 |f| 局部极小区间再做
+   * 黄金分割搜索，以捕获相距很近的根对与切点根。
    */
-  calculateWristCenter(targetMatrix) {
-    // 提取Z轴方向向量
-    const zVector = math.matrix([
-      [targetMatrix.get([0, 2])],
-      [targetMatrix.get([1, 2])],
-      [targetMatrix.get([2, 2])]
-    ]);
+  solveWristSwingAngles(T) {
+    const samples = 720;
+    const step = (2 * Math.PI) / samples;
+    const f = q6 => this.elbowTorusResidual(T, q6);
+    const q = [];
+    const values = [];
+    const roots = [];
+
+    for (let i = 0; i <= samples; i++) {
+      q.push(-Math.PI + i * step);
+      values.push(f(q[i]));
+    }
 
-    // 腕部中心 = 末端位置 - d6 * Z轴方向
-    const d6 = this.dhParams[5].d;
-    const wristCenter = math.subtract(
-      math.matrix([[targetMatrix.get([0, 3])], [targetMatrix.get([1, 3])], [targetMatrix.get([2, 3])]]),
-      math.multiply(zVector, d6)
-    );
+    for (let i = 0; i < samples; i++) {
+      if (values[i] === 0) {
+        roots.push(q[i]);
+      } else if (values[i] * values[i + 1] < 0) {
+        roots.push(this.bisectRoot(f, q[i], q[i + 1]));
+      } else if (i > 0 && Math.abs(values[i]) < Math.abs(values[i - 1]) &&
+                 Math.abs(values[i]) <= Math.abs(values[i + 1]) &&
+                 values[i - 1] * values[i + 1] > 0) {
+        roots.push(...this.refineLocalMinimum(f, q[i - 1], q[i + 1], Math.sign(values[i])));
+      }
+    }
 
-    return {
-      x: wristCenter.get([0, 0]),
-      y: wristCenter.get([1, 0]),
-      z: wristCenter.get([2, 0])
-    };
+    return roots;
   }
 
   /**
-   * 求解前三个关节角度
+   * 二分法求根
    */
-  solveFirstThreeJoints(wristCenter) {
-    const solutions = [];
-    const { x, y, z } = wristCenter;
-    
-    // J1: 基座旋转
-    const theta1_base = Math.atan2(y, x);
-    
-    // J1有两个可能的解 (左臂/右臂配置)
-    const theta1_candidates = [theta1_base, theta1_base + Math.PI];
-    
-    for (const theta1 of theta1_candidates) {
-      // 计算J2和J3
-      const r = Math.sqrt(x*x + y*y);
-      const z_rel = z - this.dhParams[0].d;
-      
-      const a2 = this.dhParams[1].a;
-      const a3 = 0; // 假设
-      const d4 = this.dhParams[2].d;
-      
-      const D = (r*r + z_rel*z_rel - a2*a2 - d4*d4) / (2*a2*d4);
-      
-      if (Math.abs(D) > 1) continue; // 无解
-      
-      const theta3_offset = Math.atan2(Math.sqrt(1 - D*D), D);
-      const theta3_candidates = [theta3_offset, -theta3_offset];
-      
-      for (const theta3 of theta3_candidates) {
-        // 计算J2
-        const k1 = a2 + d4 * Math.cos(theta3);
-        const k2 = d4 * Math.sin(theta3);
-        
-        const theta2_base = Math.atan2(z_rel, r);
-        const theta2_offset = Math.atan2(k2, k1);
-        const theta2 = theta2_base - theta2_offset;
-        
-        solutions.push([theta1, theta2, theta3, 0, 0, 0]);
+  bisectRoot(f, lo, hi) {
+    let flo = f(lo);
+
+    for (let iter = 0; iter < 100 && hi - lo > 1e-15; iter++) {
+      const mid = (lo + hi) / 2;
+      const fmid = f(mid);
+      if (flo * fmid <= 0) {
+        hi = mid;
+      } else {
+        lo = mid;
+        flo = fmid;
       }
     }
-    
-    return solutions;
+
+    return (lo + hi) / 2;
   }
 
   /**
-   * 求解后三个关节角度
+   * 在 |f| 局部极小区间内寻找根对或切点根
    */
-  solveLastThreeJoints(baseSolution, targetMatrix) {
+  refineLocalMinimum(f, lo, hi, sign) {
+    const g = x => sign * f(x);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = lo;
+    let b = hi;
+
+    for (let iter = 0; iter < 80 && b - a > 1e-15; iter++) {
+      const x1 = b - ratio * (b - a);
+      const x2 = a + ratio * (b - a);
+      if (g(x1) < g(x2)) {
+        b = x2;
+      } else {
+        a = x1;
+      }
+    }
+
+    const xm = (a + b) / 2;
+    const gm = g(xm);
+
+    if (gm < 0) {
+      return [this.bisectRoot(f, lo, xm), this.bisectRoot(f, xm, hi)];
+    }
+    if (gm < 1e-18) {
+      return [xm];
+    }
+    return [];
+  }
+
+  /**
+   * 给定 q6 求解 J1~J5 (J1 肩部、J3/J4/J5 腕部翻转各两组)
+   */
+  solveRemainingJoints(T, q6) {
     const solutions = [];
-    const [theta1, theta2, theta3] = baseSolution;
-    
-    // 计算前三个关节的变换矩阵
-    let T03 = math.identity(4);
-    for (let i = 0; i < 3; i++) {
-      const { a, alpha, d, theta } = this.dhParams[i];
-      const Ti = this.buildDHMatrix(a, alpha, d, theta + [theta1, theta2, theta3][i]);
-      T03 = math.multiply(T03, Ti);
+    const d1 = this.dhParams[0].d;
+    const a1 = this.dhParams[1].a;
+    const d3 = this.dhParams[2].d;
+    const E = this.elbowPointFromWristSwing(T, q6);
+    const rho = Math.hypot(E[0], E[1]);
+    const h = E[2] - d1;
+
+    // J1: 肘点位于 J1 所在竖直平面内 (正对/背对两种肩部构型)
+    const q1Candidates = rho > this.epsilon
+      ? [Math.atan2(E[1], E[0]), Math.atan2(E[1], E[0]) + Math.PI]
+      : [0];
+
+    for (const q1 of q1Candidates) {
+      const r = E[0] * Math.cos(q1) + E[1] * Math.sin(q1);
+      if (Math.abs(Math.hypot(r - a1, h) - d3) > 1e-6) continue;
+
+      // J2: 上臂方向 (E - S) = d3·[sin q2, 0, cos q2] (J1坐标系)
+      const q2 = Math.atan2(r - a1, h);
+
+      // J3/J4/J5: R02ᵀ·R05 = RotX(α3)·Rz(q3)·Ry(q4)·Rz(q5)
+      const joints = [q1 - this.dhParams[0].theta, q2 - this.dhParams[1].theta];
+      const R02 = this.chainRotation(joints, 2);
+      const R56 = this.linkRotation(5, q6);
+      const R05 = this.multiplyRotation(this.rotationOf(T), this.transposeRotation(R56));
+      const RX = this.linkRotation(2, -this.dhParams[2].theta);
+      const N = this.multiplyRotation(
+        this.transposeRotation(RX),
+        this.multiplyRotation(this.transposeRotation(R02), R05)
+      );
+
+      for (const [q3, q4, q5] of this.solveZYZ(N)) {
+        solutions.push([
+          q1 - this.dhParams[0].theta,
+          q2 - this.dhParams[1].theta,
+          q3 - this.dhParams[2].theta,
+          q4 - this.dhParams[3].theta,
+          q5 - this.dhParams[4].theta,
+          q6
+        ].map(q => this.wrapAngle(q)));
+      }
     }
-    
-    // 计算后三个关节需要实现的变换
-    const T36 = math.multiply(math.inv(T03), targetMatrix);
-    const R36 = T36.subset(math.index([0, 1, 2], [0, 1, 2]));
-    
-    // 提取欧拉角
-    const { rx, ry, rz } = this.extractEulerAnglesFromRotation(R36);
-    
-    const theta4 = rx;
-    const theta5 = ry;
-    const theta6 = rz;
-    
-    solutions.push([theta1, theta2, theta3, theta4, theta5, theta6]);
-    
+
     return solutions;
   }
 
   /**
-   * 从旋转矩阵提取欧拉角
+   * ZYZ 欧拉角分解 (返回翻转的两组解，奇异时返回一组)
    */
-  extractEulerAnglesFromRotation(R) {
-    const r11 = R.get([0, 0]);
-    const r12 = R.get([0, 1]);
-    const r13 = R.get([0, 2]);
-    const r21 = R.get([1, 0]);
-    const r22 = R.get([1, 1]);
-    const r23 = R.get([1, 2]);
-    const r31 = R.get([2, 0]);
-    const r32 = R.get([2, 1]);
-    const r33 = R.get([2, 2]);
+  solveZYZ(N) {
+    const s4 = Math.hypot(N[0][2], N[1][2]);
+    const c4 = N[2][2];
+
+    if (s4 < this.epsilon) {
+      // 奇异: q4 = 0 或 π，仅 q3 ± q5 可确定，取 q3 = 0
+      const q4 = c4 > 0 ? 0 : Math.PI;
+      const q5 = c4 > 0
+        ? Math.atan2(N[1][0], N[0][0])
+        : Math.atan2(N[1][0], -N[0][0]);
+      return [[0, q4, q5]];
+    }
 
-    let rx, ry, rz;
+    const q4 = Math.atan2(s4, c4);
+    return [
+      [Math.atan2(N[1][2], N[0][2]), q4, Math.atan2(N[2][1], -N[2][0])],
+      [Math.atan2(-N[1][2], -N[0][2]), -q4, Math.atan2(-N[2][1], N[2][0])]
+    ];
+  }
 
-    if (Math.abs(r31) < 0.99999) {
-      ry = -Math.asin(r31);
-      const cry = Math.cos(ry);
-      rx = Math.atan2(r32 / cry, r33 / cry);
-      rz = Math.atan2(r21 / cry, r11 / cry);
-    } else {
-      rx = 0;
-      if (r31 < 0) {
-        ry = Math.PI / 2;
-        rz = Math.atan2(r12, r13);
-      } else {
-        ry = -Math.PI / 2;
-        rz = Math.atan2(-r12, -r13);
+  /**
+   * 第 i 个连杆的旋转矩阵 (数组形式)
+   */
+  linkRotation(i, q) {
+    const { alpha, theta } = this.dhParams[i];
+    const ct = Math.cos(theta + q);
+    const st = Math.sin(theta + q);
+    const ca = Math.cos(alpha);
+    const sa = Math.sin(alpha);
+
+    return [
+      [ct, -st, 0],
+      [st * ca, ct * ca, -sa],
+      [st * sa, ct * sa, ca]
+    ];
+  }
+
+  /**
+   * 第 i 个连杆的齐次变换矩阵 (数组形式，与 buildDHMatrix 一致)
+   */
+  linkTransform(i, q) {
+    const { a, alpha, d, theta } = this.dhParams[i];
+    const ct = Math.cos(theta + q);
+    const st = Math.sin(theta + q);
+    const ca = Math.cos(alpha);
+    const sa = Math.sin(alpha);
+
+    return [
+      [ct, -st, 0, a],
+      [st * ca, ct * ca, -sa, -d * sa],
+      [st * sa, ct * sa, ca, d * ca],
+      [0, 0, 0, 1]
+    ];
+  }
+
+  /**
+   * 前 n 个连杆的累积旋转矩阵
+   */
+  chainRotation(joints, n) {
+    let R = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let i = 0; i < n; i++) {
+      R = this.multiplyRotation(R, this.linkRotation(i, joints[i]));
+    }
+    return R;
+  }
+
+  rotationOf(T) {
+    return [0, 1, 2].map(r => [T[r][0], T[r][1], T[r][2]]);
+  }
+
+  multiplyRotation(A, B) {
+    return [0, 1, 2].map(r => [0, 1, 2].map(c =>
+      A[r][0] * B[0][c] + A[r][1] * B[1][c] + A[r][2] * B[2][c]
+    ));
+  }
+
+  transposeRotation(R) {
+    return [0, 1, 2].map(r => [R[0][r], R[1][r], R[2][r]]);
+  }
+
+  /**
+   * 正运动学变换矩阵 (数组形式，供内部快速计算)
+   */
+  forwardTransform(joints) {
+    const frames = this.linkFrames(joints);
+    return frames[frames.length - 1];
+  }
+
+  /**
+   * TCP 变换矩阵 (法兰变换 · 工具变换)
+   */
+  tcpTransform(joints) {
+    return Kinematics.multiplyTransform(this.forwardTransform(joints), this.toolTransform);
+  }
+
+  /**
+   * 由 TCP 目标变换求法兰目标变换
+   */
+  tcpToFlange(T) {
+    return Kinematics.multiplyTransform(T, Kinematics.invertTransform(this.toolTransform));
+  }
+
+  /**
+   * 各连杆坐标系相对基坐标系的变换矩阵 T01 ... T06 (数组形式)
+   */
+  linkFrames(joints) {
+    const frames = [];
+    let T = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let i = 0; i < 6; i++) {
+      T = Kinematics.multiplyTransform(T, this.linkTransform(i, joints[i]));
+      frames.push(T);
+    }
+
+    return frames;
+  }
+
+  /**
+   * 关节解的位姿残差 (位置误差 + 旋转矩阵元素误差的最大值)
+   */
+  poseResidual(joints, T) {
+    const F = this.forwardTransform(joints);
+    let residual = 0;
+
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 4; c++) {
+        residual = Math.max(residual, Math.abs(F[r][c] - T[r][c]));
       }
     }
 
-    return { rx, ry, rz };
+    return residual;
+  }
+
+  /**
+   * 角度归一化到 (-π, π]
+   */
+  wrapAngle(angle) {
+    let wrapped = angle % (2 * Math.PI);
+    if (wrapped > Math.PI) wrapped -= 2 * Math.PI;
+    if (wrapped <= -Math.PI) wrapped += 2 * Math.PI;
+    return wrapped;
+  }
+
+  /**
+   * 补充多圈等效解 (如 J6 ±360°)
+   */
+  expandMultiTurnSolutions(solutions) {
+    if (!this.jointLimits) return solutions;
+
+    let expanded = solutions;
+
+    for (let i = 0; i < 6; i++) {
+      const { min, max } = this.jointLimits[i];
+      const next = [];
+
+      for (const solution of expanded) {
+        for (const k of [-1, 0, 1]) {
+          const q = solution[i] + k * 2 * Math.PI;
+          if (k === 0 || (q >= min && q <= max)) {
+            const variant = [...solution];
+            variant[i] = q;
+            next.push(variant);
+          }
+        }
+      }
+
+      expanded = next;
+    }
+
+    return expanded;
   }
 
   /**
@@ -318,7 +599,12 @@ class Kinematics {
     return solutions.filter(solution => {
       // 检查关节限位
       for (let i = 0; i < 6; i++) {
-        if (Math.abs(solution[i]) > 3.5) { // ±200°
+        if (this.jointLimits) {
+          const { min, max } = this.jointLimits[i];
+          if (solution[i] < min || solution[i] > max) {
+            return false;
+          }
+        } else if (Math.abs(solution[i]) > 3.5) { // ±200°
           return false;
         }
       }
@@ -327,99 +613,316 @@ class Kinematics {
   }
 
   /**
-   * 计算雅可比矩阵
+   * 计算几何雅可比矩阵 (基坐标系，法兰中心线速度 + 角速度)
+   * 改进型DH下关节 i 的轴线为坐标系 i 的 z 轴，原点为坐标系 i 的原点
+   * @param {number[]} joints - 关节角度
+   * @returns {number[][]} 6x6 雅可比矩阵
    */
   computeJacobian(joints) {
-    const J = math.zeros(6, 6);
-    const pose = this.forwardKinematics(joints);
-    const endEffectorPos = math.matrix([[pose.position.x], [pose.position.y], [pose.position.z]]);
+    const frames = this.linkFrames(joints);
+    const end = frames[5];
+    const J = [[], [], [], [], [], []];
 
     for (let i = 0; i < 6; i++) {
-      // 计算当前关节轴的方向
-      let axis = math.matrix([[0], [0], [1]]); // Z轴
-      
-      // 计算当前关节的位置
-      let jointPos = math.matrix([[0], [0], [0]]);
-      
-      if (i > 0) {
-        const jointPose = this.forwardKinematics(joints.slice(0, i));
-        jointPos = math.matrix([[jointPose.position.x], [jointPose.position.y], [jointPose.position.z]]);
-        
-        // 计算关节轴方向
-        const jointMatrix = this.poseToMatrix(jointPose);
-        axis = math.matrix([
-          [jointMatrix.get([0, 2])],
-          [jointMatrix.get([1, 2])],
-          [jointMatrix.get([2, 2])]
-        ]);
-      }
-
-      // 计算线速度分量
-      const linearVelocity = math.cross(axis, math.subtract(endEffectorPos, jointPos));
-      J.set([0, i], linearVelocity.get([0, 0]));
-      J.set([1, i], linearVelocity.get([1, 0]));
-      J.set([2, i], linearVelocity.get([2, 0]));
-
-      // 角速度分量
-      J.set([3, i], axis.get([0, 0]));
-      J.set([4, i], axis.get([1, 0]));
-      J.set([5, i], axis.get([2, 0]));
+      const z = [frames[i][0][2], frames[i][1][2], frames[i][2][2]];
+      const r = [0, 1, 2].map(k => end[k][3] - frames[i][k][3]);
+
+      // 线速度分量 z × r，角速度分量 z
+      J[0][i] = z[1] * r[2] - z[2] * r[1];
+      J[1][i] = z[2] * r[0] - z[0] * r[2];
+      J[2][i] = z[0] * r[1] - z[1] * r[0];
+      J[3][i] = z[0];
+      J[4][i] = z[1];
+      J[5][i] = z[2];
     }
 
     return J;
   }
 
   /**
-   * 数值逆解 (用于验证解析解)
+   * TCP 线速度 (m/s，基坐标系): v = v_flange + ω × (p_tcp - p_flange)
+   * @param {number[]} joints - 关节角度
+   * @param {number[]} velocities - 关节速度 (rad/s)
+   * @returns {number[]} [vx, vy, vz]
+   */
+  tcpVelocity(joints, velocities) {
+    const J = this.computeJacobian(joints);
+    const [v, w] = [0, 3].map(row => [0, 1, 2].map(k =>
+      J[row + k].reduce((sum, value, i) => sum + value * velocities[i], 0)
+    ));
+    const flange = this.forwardTransform(joints);
+    const tcp = Kinematics.multiplyTransform(flange, this.toolTransform);
+    const r = [0, 1, 2].map(k => tcp[k][3] - flange[k][3]);
+
+    return [
+      v[0] + w[1] * r[2] - w[2] * r[1],
+      v[1] + w[2] * r[0] - w[0] * r[2],
+      v[2] + w[0] * r[1] - w[1] * r[0]
+    ];
+  }
+
+  /**
+   * Yoshikawa 可操作度 w = sqrt(det(JJᵀ))
+   */
+  manipulability(joints) {
+    const J = this.computeJacobian(joints);
+    return Math.sqrt(Math.max(0, math.det(math.multiply(J, math.transpose(J)))));
+  }
+
+  /**
+   * 雅可比矩阵条件数 σmax/σmin
+   * 线速度行除以特征长度，使各行量纲一致
+   */
+  conditionNumber(joints) {
+    const J = this.computeJacobian(joints);
+    const L = this.characteristicLength();
+    const Jn = J.map((row, r) => (r < 3 ? row.map(v => v / L) : row));
+    const { values } = math.eigs(math.multiply(Jn, math.transpose(Jn)));
+    const eigenvalues = (Array.isArray(values) ? values : values.toArray()).map(v => Math.max(0, v));
+    const sigmaMax = Math.sqrt(Math.max(...eigenvalues));
+    const sigmaMin = Math.sqrt(Math.min(...eigenvalues));
+
+    return sigmaMin > this.epsilon * sigmaMax ? sigmaMax / sigmaMin : Infinity;
+  }
+
+  /**
+   * 特征长度 (不含基座高度的连杆尺寸之和)
+   */
+  characteristicLength() {
+    return this.dhParams.slice(1).reduce((sum, { a, d }) => sum + Math.abs(a) + Math.abs(d), 0);
+  }
+
+  /**
+   * 奇异性指标
+   *
+   * 本构型下 det(J) = -d3·d5·sin²q4·cos q5·(a1 + d3·sin q2)，对应三类奇异：
+   * - elbow: q4 = 0/π，上臂与前臂共线 (J3/J5 轴重合)
+   * - wrist: q5 = ±90°，J6 轴与 J4 轴垂直
+   * - shoulder: 肘点位于 J1 轴线上
+   *
+   * @param {number[]} joints - 关节角度
+   * @returns {Object} {manipulability, conditionNumber, distances: {wrist, elbow, shoulder}}
+   *   wrist/elbow 为到奇异位置的关节角距离 (rad)，shoulder 为肘点到 J1 轴的距离 (m)
+   */
+  getSingularityMetrics(joints) {
+    const [, q2, , q4, q5] = joints.map((q, i) => q + this.dhParams[i].theta);
+    const a1 = this.dhParams[1].a;
+    const d3 = this.dhParams[2].d;
+
+    return {
+      manipulability: this.manipulability(joints),
+      conditionNumber: this.conditionNumber(joints),
+      distances: {
+        wrist: Math.asin(Math.min(1, Math.abs(Math.cos(q5)))),
+        elbow: Math.asin(Math.min(1, Math.abs(Math.sin(q4)))),
+        shoulder: Math.abs(a1 + d3 * Math.sin(q2))
+      }
+    };
+  }
+
+  /**
+   * 数值逆解 (阻尼最小二乘)
+   *
+   * - 位姿误差由旋转矩阵的对数映射计算，不受欧拉角周期跳变影响
+   * - 阻尼系数按误差下降情况自适应调整 (Levenberg-Marquardt)
+   * - 单步关节增量限幅，并夹紧到关节限位之内
+   * - 零空间次要目标: 远离关节限位、接近期望姿态、增大可操作度
+   *
+   * @param {Pose|number[][]} targetPose - 目标 TCP 位姿或法兰 4x4 变换矩阵 (数组形式)
+   * @param {number[]} initialJoints - 迭代初值
+   * @param {Object} options - {preferredJoints, postureWeight, limitWeight, manipulabilityWeight, maxIterations, tolerance, maxStep}
+   * @returns {number[]|null} 收敛时返回关节角，否则返回null
    */
-  numericalInverseKinematics(targetPose, initialJoints = [0, 0, 0, 0, 0, 0]) {
-    let joints = [...initialJoints];
-    
-    for (let iter = 0; iter < this.maxIterations; iter++) {
-      const currentPose = this.forwardKinematics(joints);
-      const error = this.calculatePoseError(currentPose, targetPose);
-      
-      if (math.norm(error) < this.epsilon) {
+  numericalInverseKinematics(targetPose, initialJoints = [0, 0, 0, 0, 0, 0], options = {}) {
+    const {
+      preferredJoints = null,
+      postureWeight = preferredJoints ? 0.1 : 0,
+      limitWeight = this.jointLimits ? 0.05 : 0,
+      manipulabilityWeight = 0,
+      maxIterations = this.maxIterations,
+      tolerance = this.epsilon,
+      maxStep = 0.2
+    } = options;
+
+    const T = Array.isArray(targetPose) ? targetPose : this.tcpToFlange(Pose.from(targetPose).toTransform());
+    let joints = this.clampToLimits([...initialJoints]);
+    let error = this.calculatePoseError(this.forwardTransform(joints), T);
+    let errorNorm = this.vectorNorm(error);
+    let lambda = 0.01;
+
+    for (let iter = 0; iter < maxIterations; iter++) {
+      if (errorNorm < tolerance) {
         return joints;
       }
-      
+
       const J = this.computeJacobian(joints);
-      const J_inv = math.pinv(J);
-      const deltaJoints = math.multiply(J_inv, error);
-      
-      for (let i = 0; i < 6; i++) {
-        joints[i] -= deltaJoints.get([i, 0]);
+      const { step, projector } = this.dampedLeastSquaresStep(J, error, lambda);
+      const trials = [step];
+
+      // 零空间次要目标 (不影响末端位姿的主任务)
+      if (postureWeight > 0 || limitWeight > 0 || manipulabilityWeight > 0) {
+        trials.push([...step]);
+        const gradient = [0, 0, 0, 0, 0, 0];
+        if (postureWeight > 0) {
+          for (let i = 0; i < 6; i++) {
+            gradient[i] -= postureWeight * (joints[i] - preferredJoints[i]);
+          }
+        }
+        if (limitWeight > 0) {
+          // 趋向限位区间中点，按区间宽度归一化
+          for (let i = 0; i < 6; i++) {
+            const { min, max } = this.jointLimits[i];
+            gradient[i] -= (limitWeight * (joints[i] - (min + max) / 2)) / ((max - min) / 2);
+          }
+        }
+        if (manipulabilityWeight > 0) {
+          const manipulabilityGradient = this.manipulabilityGradient(joints);
+          for (let i = 0; i < 6; i++) {
+            gradient[i] += manipulabilityWeight * manipulabilityGradient[i];
+          }
+        }
+        for (let i = 0; i < 6; i++) {
+          for (let k = 0; k < 6; k++) {
+            step[i] += projector[i][k] * gradient[k];
+          }
+        }
+      }
+
+      // 含次要目标的步长未使误差下降时，退回仅主任务的步长
+      let accepted = null;
+      for (const trial of trials) {
+        const candidate = this.clampToLimits(this.limitStep(trial, maxStep).map((dq, i) => joints[i] + dq));
+        const candidateError = this.calculatePoseError(this.forwardTransform(candidate), T);
+        const candidateNorm = this.vectorNorm(candidateError);
+        if (candidateNorm < errorNorm) {
+          accepted = { candidate, candidateError, candidateNorm };
+          break;
+        }
+      }
+
+      // 自适应阻尼: 误差下降则接受并减小阻尼，否则拒绝并增大阻尼
+      if (accepted) {
+        joints = accepted.candidate;
+        error = accepted.candidateError;
+        errorNorm = accepted.candidateNorm;
+        lambda = Math.max(lambda * 0.5, 1e-6);
+      } else {
+        lambda = Math.min(lambda * 4, 1e3);
+        if (lambda >= 1e3) break;
       }
     }
-    
-    return null; // 未收敛
+
+    return errorNorm < tolerance ? joints : null; // 未收敛
   }
 
   /**
-   * 计算位姿误差
+   * 阻尼最小二乘步长 Δq = Jᵀ(JJᵀ + λ²I)⁻¹e，并返回零空间投影矩阵 I - J⁺J
    */
-  calculatePoseError(currentPose, targetPose) {
-    const positionError = [
-      targetPose.position.x - currentPose.position.x,
-      targetPose.position.y - currentPose.position.y,
-      targetPose.position.z - currentPose.position.z
-    ];
-    
-    const orientationError = [
-      targetPose.orientation.rx - currentPose.orientation.rx,
-      targetPose.orientation.ry - currentPose.orientation.ry,
-      targetPose.orientation.rz - currentPose.orientation.rz
-    ];
-    
-    return math.matrix([
-      [positionError[0]],
-      [positionError[1]],
-      [positionError[2]],
-      [orientationError[0]],
-      [orientationError[1]],
-      [orientationError[2]]
-    ]);
+  dampedLeastSquaresStep(J, error, lambda) {
+    const JT = math.transpose(J);
+    const A = math.add(math.multiply(J, JT), math.multiply(lambda * lambda, math.identity(6).toArray()));
+    const Jpinv = math.multiply(JT, math.inv(A));
+    const step = math.multiply(Jpinv, error);
+    const projector = math.subtract(math.identity(6).toArray(), math.multiply(Jpinv, J));
+
+    return { step, projector };
+  }
+
+  /**
+   * 可操作度对关节角的梯度 (有限差分)
+   */
+  manipulabilityGradient(joints) {
+    const h = 1e-5;
+    const w0 = this.manipulability(joints);
+
+    return joints.map((_, i) => {
+      const perturbed = [...joints];
+      perturbed[i] += h;
+      return (this.manipulability(perturbed) - w0) / h;
+    });
+  }
+
+  /**
+   * 单步限幅 (按最大分量等比缩放)
+   */
+  limitStep(step, maxStep) {
+    const largest = Math.max(...step.map(Math.abs));
+    return largest > maxStep ? step.map(dq => (dq * maxStep) / largest) : step;
+  }
+
+  /**
+   * 关节角夹紧到限位之内
+   */
+  clampToLimits(joints) {
+    if (!this.jointLimits) return joints;
+    return joints.map((q, i) => Math.min(this.jointLimits[i].max, Math.max(this.jointLimits[i].min, q)));
+  }
+
+  vectorNorm(v) {
+    return Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+  }
+
+  /**
+   * 计算位姿误差 (基坐标系下的 [位置误差; 旋转误差轴角])
+   * @param {number[][]} current - 当前 4x4 变换矩阵
+   * @param {number[][]} target - 目标 4x4 变换矩阵
+   * @returns {number[]} 6维误差向量
+   */
+  calculatePoseError(current, target) {
+    const positionError = [0, 1, 2].map(r => target[r][3] - current[r][3]);
+
+    // R_err = R_target · R_currentᵀ 的对数映射
+    const R = this.multiplyRotation(this.rotationOf(target), this.transposeRotation(this.rotationOf(current)));
+    const cosAngle = Math.min(1, Math.max(-1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2));
+    const angle = Math.acos(cosAngle);
+    const skew = [R[2][1] - R[1][2], R[0][2] - R[2][0], R[1][0] - R[0][1]];
+    let rotationError;
+
+    if (angle < 1e-9) {
+      rotationError = skew.map(v => v / 2);
+    } else if (Math.PI - angle < 1e-6) {
+      // 接近 180°: 由对角元素求旋转轴
+      const axis = [0, 1, 2].map(i => Math.sqrt(Math.max(0, (R[i][i] + 1) / 2)));
+      const k = axis.indexOf(Math.max(...axis));
+      for (let i = 0; i < 3; i++) {
+        if (i !== k) axis[i] = (R[k][i] + R[i][k]) / (4 * axis[k]);
+      }
+      rotationError = axis.map(v => v * angle);
+    } else {
+      rotationError = skew.map(v => (v * angle) / (2 * Math.sin(angle)));
+    }
+
+    return [...positionError, ...rotationError];
   }
 }
 
+/**
+ * 齐次变换矩阵相乘 (数组形式)
+ */
+Kinematics.multiplyTransform = (A, B) => [0, 1, 2, 3].map(r => [0, 1, 2, 3].map(c =>
+  A[r][0] * B[0][c] + A[r][1] * B[1][c] + A[r][2] * B[2][c] + A[r][3] * B[3][c]
+));
+
+/**
+ * 齐次变换求逆 [Rᵀ, -Rᵀp]
+ */
+Kinematics.invertTransform = (T) => {
+  const Rt = [0, 1, 2].map(r => [T[0][r], T[1][r], T[2][r]]);
+  const p = [0, 1, 2].map(r => -(Rt[r][0] * T[0][3] + Rt[r][1] * T[1][3] + Rt[r][2] * T[2][3]));
+
+  return [
+    [...Rt[0], p[0]],
+    [...Rt[1], p[1]],
+    [...Rt[2], p[2]],
+    [0, 0, 0, 1]
+  ];
+};
+
+// 构型标志及其取值
+Kinematics.CONFIGURATION_FLAGS = {
+  shoulder: ['right', 'left'],
+  elbow: ['up', 'down'],
+  wrist: ['noflip', 'flip']
+};
+
 module.exports = Kinematics;
\ No newline at end of file
@@ -0,0 +1,331 @@
+/**
+ * 运动任务管理器
+ *
+ * 功能：
+ * - 运动任务 (关节运动、笛卡尔运动、复位、书写) 排队与顺序执行
+ * - 任务状态跟踪 (queued / running / paused / aborted / done / failed)
+ * - 暂停 / 恢复 / 中止，贯穿运动规划器与机器人控制器
+ * - 运动互锁: 安全故障待复位或驱动未使能时拒绝提交、开始与恢复任务
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * 运动任务
+ */
+class MotionJob {
+  constructor(id, type, params, handler) {
+    this.id = id;
+    this.type = type;
+    this.params = params;
+    this.handler = handler;
+    this.status = 'queued';
+    this.error = null;
+    this.report = null;
+    this.result = null;
+    this.createdAt = Date.now();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.cancelled = false;
+    // 运动互锁检查 (由任务管理器设置)
+    this.interlock = null;
+
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+    // 避免未监听的拒绝
+    this.promise.catch(() => {});
+  }
+
+  /**
+   * 任务是否已结束
+   */
+  isFinished() {
+    return ['aborted', 'done', 'failed'].includes(this.status);
+  }
+
+  /**
+   * 检查任务是否已被中止，已中止时抛出异常
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new Error(`Motion job ${this.id} aborted`);
+    }
+  }
+
+  /**
+   * 开始下发轨迹前检查: 已中止或运动互锁生效时抛出异常 (规划、校验让出事件循环期间可能发生安全停止)
+   */
+  throwIfBlocked() {
+    this.throwIfCancelled();
+    if (this.interlock) this.interlock();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      params: this.params,
+      status: this.status,
+      error: this.error,
+      report: this.report,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt
+    };
+  }
+}
+
+class MotionJobManager extends EventEmitter {
+  constructor(robotController) {
+    super();
+
+    this.robotController = robotController;
+    this.executor = robotController.trajectoryExecutor;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [
+        new winston.transports.File({ filename: 'logs/motion-jobs.log' })
+      ]
+    });
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.currentJob = null;
+    this.nextId = 1;
+
+    // 保留的历史任务数量
+    this.maxHistory = 100;
+
+    // 运动互锁 () => 拒绝原因 | null (由安全监控设置)
+    this.interlock = null;
+
+    // 执行器暂停/恢复时同步任务状态
+    this.executor.on('paused', () => {
+      if (this.currentJob && this.currentJob.status === 'running') {
+        this.setStatus(this.currentJob, 'paused');
+      }
+    });
+    this.executor.on('resumed', () => {
+      if (this.currentJob && this.currentJob.status === 'paused') {
+        this.setStatus(this.currentJob, 'running');
+      }
+    });
+  }
+
+  /**
+   * 提交运动任务
+   * @param {string} type - 任务类型
+   * @param {Object} params - 任务参数
+   * @param {Function} handler - 执行函数 async (job) => result
+   * @returns {MotionJob} 运动任务
+   */
+  submit(type, params, handler) {
+    this.checkInterlock(type);
+
+    const job = new MotionJob(`job-${this.nextId++}`, type, params, handler);
+    job.interlock = () => this.checkInterlock(type);
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.pruneHistory();
+
+    this.logger.info(`Motion job ${job.id} (${type}) queued`);
+    this.emit('job-update', job.toJSON());
+
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * 顺序执行队列中的任务
+   */
+  async processQueue() {
+    if (this.currentJob || this.queue.length === 0) return;
+
+    const job = this.queue.shift();
+    this.currentJob = job;
+    job.startedAt = Date.now();
+    this.setStatus(job, 'running');
+
+    try {
+      // 排队期间发生安全停止时不再开始
+      this.checkInterlock(job.type);
+      job.result = await job.handler(job);
+      job.throwIfCancelled();
+      job.finishedAt = Date.now();
+      this.setStatus(job, 'done');
+      job.resolve(job.result);
+    } catch (error) {
+      job.error = error.message;
+      job.report = error.report || null;
+      job.finishedAt = Date.now();
+      this.setStatus(job, job.cancelled ? 'aborted' : 'failed');
+      job.reject(error);
+    } finally {
+      this.currentJob = null;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * 设置运动互锁
+   * @param {Function} interlock - (type) => 拒绝原因 (string)，允许该类型任务运动时返回 null
+   */
+  setInterlock(interlock) {
+    this.interlock = interlock;
+  }
+
+  /**
+   * 互锁生效时抛出异常
+   * @param {string} type - 任务类型
+   */
+  checkInterlock(type) {
+    const reason = this.interlock ? this.interlock(type) : null;
+    if (reason) {
+      throw new Error(`Motion rejected: ${reason}`);
+    }
+  }
+
+  /**
+   * 更新任务状态
+   */
+  setStatus(job, status) {
+    job.status = status;
+    this.logger.info(`Motion job ${job.id} ${status}${job.error ? `: ${job.error}` : ''}`);
+    this.emit('job-update', job.toJSON());
+  }
+
+  /**
+   * 按ID查找任务 ('current' 表示当前任务)
+   */
+  getJob(id) {
+    if (!id || id === 'current') {
+      return this.currentJob;
+    }
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * 暂停任务 (受控减速)
+   */
+  pause(id) {
+    const job = this.requireJob(id);
+
+    if (job !== this.currentJob || job.status !== 'running') {
+      throw new Error(`Motion job ${job.id} is ${job.status} and cannot be paused`);
+    }
+
+    // 规划阶段尚未开始下发时，执行器会在启动后立即进入暂停
+    job.pauseRequested = true;
+    this.setStatus(job, 'paused');
+    this.executor.pause();
+    return job;
+  }
+
+  /**
+   * 从暂停点恢复任务
+   */
+  resume(id) {
+    const job = this.requireJob(id);
+
+    if (job.status !== 'paused') {
+      throw new Error(`Motion job ${job.id} is ${job.status} and cannot be resumed`);
+    }
+    this.checkInterlock(job.type);
+
+    job.pauseRequested = false;
+    this.setStatus(job, 'running');
+    this.executor.resume();
+    return job;
+  }
+
+  /**
+   * 中止任务
+   * @param {string} id - 任务ID
+   * @param {boolean} immediate - 是否立即停止 (不减速)
+   */
+  abort(id, immediate = false) {
+    const job = this.requireJob(id);
+
+    if (job.isFinished()) {
+      throw new Error(`Motion job ${job.id} is already ${job.status}`);
+    }
+
+    job.cancelled = true;
+
+    if (job === this.currentJob) {
+      if (immediate) {
+        this.executor.stop(`Motion job ${job.id} aborted`);
+      } else {
+        this.executor.abort();
+      }
+    } else {
+      this.queue = this.queue.filter(queued => queued !== job);
+      job.error = 'Aborted before start';
+      job.finishedAt = Date.now();
+      this.setStatus(job, 'aborted');
+      job.reject(new Error(`Motion job ${job.id} aborted`));
+    }
+
+    return job;
+  }
+
+  /**
+   * 中止全部任务 (急停时调用)
+   */
+  abortAll(reason = 'Motion aborted') {
+    for (const job of [...this.queue]) {
+      this.abort(job.id);
+    }
+
+    if (this.currentJob) {
+      this.currentJob.cancelled = true;
+      // 安全停止减速中时由其结束当前任务
+      if (!this.executor.isStopping()) {
+        this.executor.stop(reason);
+      }
+    }
+
+    this.logger.warn(`All motion jobs aborted: ${reason}`);
+  }
+
+  /**
+   * 获取任务，不存在时抛出异常
+   */
+  requireJob(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(id && id !== 'current' ? `Motion job ${id} not found` : 'No active motion job');
+    }
+    return job;
+  }
+
+  /**
+   * 列出任务
+   */
+  listJobs() {
+    return Array.from(this.jobs.values()).map(job => job.toJSON());
+  }
+
+  /**
+   * 清理过旧的已结束任务
+   */
+  pruneHistory() {
+    if (this.jobs.size <= this.maxHistory) return;
+
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxHistory) break;
+      if (job.isFinished()) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+MotionJobManager.MotionJob = MotionJob;
+
+module.exports = MotionJobManager;
@@ -5,13 +5,24 @@
  * - 五次多项式插值轨迹规划
  * - S曲线加减速规划
  * - 关节空间轨迹生成
- * - 笛卡尔空间轨迹生成
+ * - 笛卡尔空间轨迹生成 (直线 MoveL、圆弧 MoveC)
+ * - 连续路径程序 (MoveJ / MoveL 路点过渡区)
+ * - 多路点样条运动 (自然三次样条、三次 / 五次 B 样条)
+ * - 任意关节路径的时间最优参数化 (书写轨迹)
+ * - 绕开静态障碍物、避免自碰撞的关节空间路径规划 (RRT-Connect)
  * - 智能复位路径规划
  */
 
-const math = require('mathjs');
 const winston = require('winston');
 
+const Pose = require('./Pose');
+const PathParameterizer = require('./PathParameterizer');
+const JointSpline = require('./JointSpline');
+const JointPathPlanner = require('./JointPathPlanner');
+const QuinticTrajectory = require('./QuinticTrajectory');
+const SCurveTrajectory = require('./SCurveTrajectory');
+const TimeSlice = require('./TimeSlice');
+
 class MotionPlanner {
   constructor() {
     this.logger = winston.createLogger({
@@ -25,422 +36,1109 @@ class MotionPlanner {
     // 默认关节零位 (弧度)
     this.homePosition = [0, 0, Math.PI/2, 0, Math.PI/2, 0];
     
-    // 最大速度和加速度限制
-    this.maxVelocity = [2.0, 2.0, 2.0, 4.0, 4.0, 6.0]; // rad/s
-    this.maxAcceleration = [8.0, 8.0, 8.0, 16.0, 16.0, 24.0]; // rad/s²
-  }
-
-  /**
-   * 五次多项式插值轨迹规划
-   * 
-   * 边界条件：
-   * q(0) = q0, q(tf) = qf
-   * q'(0) = v0, q'(tf) = vf
-   * q''(0) = a0, q''(tf) = af
-   * 
-   * @param {number} q0 - 起始位置
-   * @param {number} qf - 目标位置
-   * @param {number} tf - 运动时间
-   * @param {number} v0 - 起始速度 (默认0)
-   * @param {number} vf - 目标速度 (默认0)
-   * @param {number} a0 - 起始加速度 (默认0)
-   * @param {number} af - 目标加速度 (默认0)
-   * @returns {Function} 轨迹函数 q(t)
-   */
-  quinticPolynomial(q0, qf, tf, v0 = 0, vf = 0, a0 = 0, af = 0) {
-    // 求解五次多项式系数
-    const M = math.matrix([
-      [1, 0, 0, 0, 0, 0],
-      [0, 1, 0, 0, 0, 0],
-      [0, 0, 2, 0, 0, 0],
-      [1, tf, tf*tf, tf*tf*tf, tf*tf*tf*tf, tf*tf*tf*tf*tf],
-      [0, 1, 2*tf, 3*tf*tf, 4*tf*tf*tf, 5*tf*tf*tf*tf],
-      [0, 0, 2, 6*tf, 12*tf*tf, 20*tf*tf*tf]
-    ]);
-
-    const b = math.matrix([[q0], [v0], [a0], [qf], [vf], [af]]);
-    const coeffs = math.multiply(math.inv(M), b);
-
-    // 返回轨迹函数
-    return (t) => {
-      if (t <= 0) return q0;
-      if (t >= tf) return qf;
-      
-      let qt = 0;
-      for (let i = 0; i < 6; i++) {
-        qt += coeffs.get([i, 0]) * Math.pow(t, i);
+    // 最大速度、加速度和加加速度限制 (见 setMotionLimits)
+    this.setMotionLimits({
+      velocity: [2.0, 2.0, 2.0, 4.0, 4.0, 6.0], // rad/s
+      acceleration: [8.0, 8.0, 8.0, 16.0, 16.0, 24.0], // rad/s²
+      jerk: [40.0, 40.0, 40.0, 80.0, 80.0, 120.0] // rad/s³
+    });
+
+    // 笛卡尔运动限制与默认速度 (见 configure)
+    this.configure({ maxTcpSpeed: 250, maxOrientationSpeed: 1.0, tcpSpeed: 100, approachSpeed: 50 });
+
+    // 几何路径采样: 书写路径采样间距 (mm)、相邻采样点允许的最大关节位移 (rad，超过视为构型跳变)
+    this.writingSampleSpacing = 1.0;
+    this.maxPathJointStep = 0.2;
+
+    // 轨迹执行前校验器 (由 setValidator 设置，未设置时不校验)
+    this.validator = null;
+
+    // 安全故障恢复运动的速度百分比
+    this.recoverySpeed = 10;
+
+    // 避障路径规划，采样范围为关节限位减去余量 (rad，与安全监控器的限位余量一致)
+    this.jointPathPlanner = new JointPathPlanner();
+    this.jointLimitMargin = 0.05;
+  }
+
+  /**
+   * 设置关节运动限制 (与控制器、安全监控相同，由 RobotController.setMotionLimits 校验)
+   * @param {Object} limits - {velocity (rad/s), acceleration (rad/s²), jerk (rad/s³)}
+   */
+  setMotionLimits({ velocity, acceleration, jerk }) {
+    this.maxVelocity = [...velocity];
+    this.maxAcceleration = [...acceleration];
+    this.maxJerk = [...jerk];
+
+    this.pathParameterizer = new PathParameterizer({
+      maxVelocity: this.maxVelocity,
+      maxAcceleration: this.maxAcceleration,
+      maxJerk: this.maxJerk
+    });
+  }
+
+  /**
+   * 设置笛卡尔运动限制与默认速度 (未给出的保持不变)
+   * @param {Object} options - {maxTcpSpeed: TCP 线速度上限 (mm/s), maxOrientationSpeed: 姿态角速度上限 (rad/s),
+   *   tcpSpeed: 直线 / 圆弧运动未指定速度时的 TCP 速度 (mm/s), approachSpeed: 书写接近段关节速度 (%)}
+   */
+  configure(options = {}) {
+    const settings = {};
+    for (const key of ['maxTcpSpeed', 'maxOrientationSpeed', 'tcpSpeed', 'approachSpeed']) {
+      const value = options[key] ?? this[key];
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Motion planner ${key} must be a positive number`);
       }
-      return qt;
-    };
+      settings[key] = value;
+    }
+
+    if (settings.tcpSpeed > settings.maxTcpSpeed) {
+      throw new Error(`Motion planner tcpSpeed ${settings.tcpSpeed} mm/s exceeds maxTcpSpeed ${settings.maxTcpSpeed} mm/s`);
+    }
+    if (settings.approachSpeed > 100) {
+      throw new Error('Motion planner approachSpeed must be a percentage in (0, 100]');
+    }
+
+    Object.assign(this, settings);
   }
 
   /**
-   * 生成关节空间轨迹
+   * 生成关节空间轨迹 (五次多项式，零速零加速度边界)
    * @param {number[]} startJoints - 起始关节角度
    * @param {number[]} endJoints - 目标关节角度
    * @param {number} duration - 运动持续时间 (秒)
    * @param {number} sampleTime - 采样时间 (秒)
- * @returns {Object[]} 轨迹点数组 [{time, position, velocity, acceleration}]
+   * @returns {Object[]} 轨迹点数组 [{time, position, velocity, acceleration}]
    */
   generateJointTrajectory(startJoints, endJoints, duration, sampleTime = 0.01) {
+    return new QuinticTrajectory(startJoints, endJoints, duration).sample(sampleTime);
+  }
+
+  /**
+   * 生成笛卡尔空间直线轨迹
+   * @param {Pose} startPose - 起始位姿
+   * @param {Pose} endPose - 目标位姿
+   * @param {number} duration - 运动时间
+   * @param {number} sampleTime - 采样时间
+   * @returns {Object[]} 轨迹点数组 [{time, pose}]
+   */
+  generateCartesianTrajectory(startPose, endPose, duration, sampleTime = 0.01) {
+    // 位置线性插值，姿态球面线性插值 (Slerp)
+    return this.sampleCartesianPath(
+      s => Pose.from(startPose).interpolate(endPose, s),
+      duration,
+      sampleTime
+    );
+  }
+
+  /**
+   * 按五次多项式时间缩放采样笛卡尔路径
+   * s(τ) = 10τ³ - 15τ⁴ + 6τ⁵，起止点速度、加速度为零，峰值速度为平均速度的 1.875 倍
+   * @param {Function} path - 路径函数 s ∈ [0, 1] -> Pose
+   * @param {number} duration - 运动时间 (秒)
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @returns {Object[]} 轨迹点数组 [{time, pose}]
+   */
+  sampleCartesianPath(path, duration, sampleTime = 0.01) {
+    // 时长为采样周期整数倍时不因浮点误差多出一个采样点
+    const numPoints = Math.max(1, Math.ceil(duration / sampleTime - 1e-9));
     const trajectory = [];
-    const numPoints = Math.ceil(duration / sampleTime);
 
-    // 为每个关节生成五次多项式
-    const polynomials = [];
-    for (let i = 0; i < 6; i++) {
-      const poly = this.quinticPolynomial(
-        startJoints[i], 
-        endJoints[i], 
-        duration,
-        0, 0, 0, 0  // 零速零加速度边界条件
-      );
-      polynomials.push(poly);
+    for (let i = 0; i <= numPoints; i++) {
+      const tau = i / numPoints;
+      trajectory.push({ time: tau * duration, pose: path(this.quinticScaling(tau)) });
     }
 
-    // 生成轨迹点
-    for (let i = 0; i <= numPoints; i++) {
-      const t = i * sampleTime;
-      const point = {
-        time: t,
-        position: [],
-        velocity: [],
-        acceleration: []
-      };
+    return trajectory;
+  }
 
-      for (let j = 0; j < 6; j++) {
-        point.position.push(polynomials[j](t));
-        
-        // 数值计算速度和加速度
-        const dt = 0.001;
-        const q1 = polynomials[j](t - dt);
-        const q2 = polynomials[j](t + dt);
-        const v = (q2 - q1) / (2 * dt);
-        const a = (q2 - 2 * polynomials[j](t) + q1) / (dt * dt);
-        
-        point.velocity.push(v);
-        point.acceleration.push(a);
-      }
+  /**
+   * 五次多项式时间缩放 s(τ) = 10τ³ - 15τ⁴ + 6τ⁵ (τ ∈ [0, 1])
+   */
+  quinticScaling(tau) {
+    return tau * tau * tau * (10 - 15 * tau + 6 * tau * tau);
+  }
 
-      trajectory.push(point);
+  /**
+   * 笛卡尔运动时间
+   * 由路径长度与 TCP 速度、姿态转角与姿态角速度限制中较慢者决定 (速度为峰值速度)
+   * @param {number} length - 路径长度 (m)
+   * @param {number} angle - 姿态转角 (rad)
+   * @param {number} speed - TCP 速度 (mm/s)
+   * @returns {number} 运动时间 (秒)
+   */
+  calculateCartesianTime(length, angle, speed) {
+    if (!(speed > 0) || speed > this.maxTcpSpeed) {
+      throw new Error(`TCP speed ${speed} mm/s is out of range (0, ${this.maxTcpSpeed}] mm/s`);
     }
 
+    const peakFactor = 1.875;
+    return peakFactor * Math.max(length * 1000 / speed, angle / this.maxOrientationSpeed);
+  }
+
+  /**
+   * 规划直线运动 (MoveL)
+   * TCP 沿直线移动到目标位姿，姿态按四元数球面插值，关节沿当前解分支连续运动
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {number[]} startJoints - 当前关节角度
+   * @param {Pose} targetPose - 目标 TCP 位姿 (基坐标系)
+   * @param {number} speed - TCP 速度 (mm/s，默认 tcpSpeed)
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<Object[]>} 关节轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  async planLinearMove(kinematics, startJoints, targetPose, speed = this.tcpSpeed, sampleTime = 0.01, slice = new TimeSlice()) {
+    const startPose = kinematics.forwardKinematics(startJoints);
+    const { translation, rotation } = startPose.distanceTo(targetPose);
+
+    if (translation < 1e-6 && rotation < 1e-6) {
+      return [{ time: 0, position: [...startJoints], velocity: [0, 0, 0, 0, 0, 0], acceleration: [0, 0, 0, 0, 0, 0] }];
+    }
+
+    const duration = this.calculateCartesianTime(translation, rotation, speed);
+    const samples = this.generateCartesianTrajectory(startPose, targetPose, duration, sampleTime);
+    const trajectory = await this.followCartesianPath(kinematics, samples, startJoints, 'linear path', slice);
+
+    this.logger.info(`Planned linear move: ${(translation * 1000).toFixed(1)} mm, ${duration.toFixed(2)} s`);
     return trajectory;
   }
 
   /**
-   * 生成笛卡尔空间直线轨迹
-   * @param {Object} startPose - 起始位姿 {position: {x, y, z}, orientation: {rx, ry, rz}}
-   * @param {Object} endPose - 目标位姿
-   * @param {number} duration - 运动时间
-   * @param {number} sampleTime - 采样时间
-   * @returns {Object[]} 轨迹点数组
+   * 规划圆弧运动 (MoveC)
+   * TCP 沿经过起点、中间点、终点的圆弧移动，姿态由起点姿态球面插值到目标姿态
+   * (中间点仅用于确定圆弧，其姿态不参与插值)，关节沿当前解分支连续运动
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {number[]} startJoints - 当前关节角度
+   * @param {Pose} viaPose - 圆弧中间点 (基坐标系)
+   * @param {Pose} targetPose - 目标 TCP 位姿 (基坐标系)
+   * @param {number} speed - TCP 速度 (mm/s，默认 tcpSpeed)
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<Object[]>} 关节轨迹点数组
    */
-  generateCartesianTrajectory(startPose, endPose, duration, sampleTime = 0.01) {
-    const trajectory = [];
-    const numPoints = Math.ceil(duration / sampleTime);
+  async planCircularMove(kinematics, startJoints, viaPose, targetPose, speed = this.tcpSpeed, sampleTime = 0.01, slice = new TimeSlice()) {
+    const startPose = kinematics.forwardKinematics(startJoints);
+    const arc = this.arcThroughPoints(startPose.position, Pose.from(viaPose).position, Pose.from(targetPose).position);
+    const { rotation } = startPose.distanceTo(targetPose);
+
+    const duration = this.calculateCartesianTime(arc.radius * arc.angle, rotation, speed);
+    const samples = this.sampleCartesianPath(s => {
+      const phi = s * arc.angle;
+      const position = {};
+      for (const axis of ['x', 'y', 'z']) {
+        position[axis] = arc.center[axis] + arc.radius * (Math.cos(phi) * arc.u[axis] + Math.sin(phi) * arc.v[axis]);
+      }
+      return new Pose(position, Pose.slerp(startPose.orientation, targetPose.orientation, s));
+    }, duration, sampleTime);
 
-    // 提取起始和目标位置
-    const startPos = startPose.position;
-    const endPos = endPose.position;
-    const startRot = startPose.orientation;
-    const endRot = endPose.orientation;
+    // 终点使用精确目标位姿，消除三角函数累积误差
+    samples[samples.length - 1].pose = targetPose;
+    const trajectory = await this.followCartesianPath(kinematics, samples, startJoints, 'circular path', slice);
 
-    for (let i = 0; i <= numPoints; i++) {
-      const t = i * sampleTime;
-      const s = t / duration; // 归一化时间 [0, 1]
-
-      // 位置线性插值
-      const position = {
-        x: startPos.x + s * (endPos.x - startPos.x),
-        y: startPos.y + s * (endPos.y - startPos.y),
-        z: startPos.z + s * (endPos.z - startPos.z)
-      };
+    this.logger.info(`Planned circular move: radius ${(arc.radius * 1000).toFixed(1)} mm, ` +
+      `arc ${(arc.angle * 180 / Math.PI).toFixed(1)}°, ${duration.toFixed(2)} s`);
+    return trajectory;
+  }
 
-      // 姿态球面线性插值 (Slerp)
-      const orientation = this.slerpEuler(startRot, endRot, s);
+  /**
+   * 经过三点的圆弧 (p1 -> p2 -> p3)
+   * @returns {Object} {center, radius, u, v, angle}，圆弧点 = center + r·(cosφ·u + sinφ·v)，φ ∈ [0, angle]
+   */
+  arcThroughPoints(p1, p2, p3) {
+    const toArray = p => [p.x, p.y, p.z];
+    const toPoint = ([x, y, z]) => ({ x, y, z });
+    const subtract = (a, b) => a.map((v, i) => v - b[i]);
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+    const [a1, a2, a3] = [p1, p2, p3].map(toArray);
+    const a = subtract(a1, a3);
+    const b = subtract(a2, a3);
+    const n = cross(a, b);
+    const n2 = dot(n, n);
 
-      trajectory.push({
-        time: t,
-        position,
-        orientation
-      });
+    if (Math.sqrt(n2) < 1e-6 * Math.sqrt(dot(a, a) * dot(b, b)) || dot(a, a) < 1e-12 || dot(b, b) < 1e-12) {
+      throw new Error('Circular move points are collinear or coincident');
     }
 
-    return trajectory;
+    // 外接圆圆心 c = p3 + ((|a|²b - |b|²a) × (a × b)) / (2|a × b|²)
+    const w = subtract(b.map(v => v * dot(a, a)), a.map(v => v * dot(b, b)));
+    const center = cross(w, n).map((v, i) => v / (2 * n2) + a3[i]);
+    const radius = Math.sqrt(dot(subtract(a1, center), subtract(a1, center)));
+
+    // 以法向 (p2-p1)×(p3-p1) 逆时针旋转时依次经过 p1、p2、p3
+    const normal = cross(subtract(a2, a1), subtract(a3, a1));
+    const normalLength = Math.sqrt(dot(normal, normal));
+    const u = subtract(a1, center).map(v => v / radius);
+    const v = cross(normal.map(x => x / normalLength), u);
+
+    const r3 = subtract(a3, center);
+    let angle = Math.atan2(dot(r3, v), dot(r3, u));
+    if (angle <= 0) angle += 2 * Math.PI;
+
+    return { center: toPoint(center), radius, u: toPoint(u), v: toPoint(v), angle };
   }
 
   /**
-   * 球面线性插值 (Slerp) for Euler angles
+   * 沿笛卡尔路径逐采样点求逆解
+   * 每点选择最接近上一点的解，沿同一解分支连续运动。构型标志在关节穿过零点时会翻转
+   * (如 q6 过零)，因此不按标志过滤，而由关节速度检查识别分支跳变。
+   * 任一点无解或关节速度超限时抛出异常
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {Object[]} samples - 笛卡尔轨迹点 [{time, pose}]，首点为当前位姿
+   * @param {number[]} startJoints - 当前关节角度
+   * @param {string} label - 错误信息中的路径名称
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<Object[]>} 关节轨迹点数组 [{time, position, velocity, acceleration}]
    */
-  slerpEuler(start, end, t) {
-    // 将欧拉角转换为四元数
-    const qStart = this.eulerToQuaternion(start);
-    const qEnd = this.eulerToQuaternion(end);
-    
-    // 四元数Slerp
-    const qResult = this.quaternionSlerp(qStart, qEnd, t);
-    
-    // 转回欧拉角
-    return this.quaternionToEuler(qResult);
+  async followCartesianPath(kinematics, samples, startJoints, label, slice = new TimeSlice()) {
+    const trajectory = [{ time: samples[0].time, position: [...startJoints], velocity: [], acceleration: [] }];
+    let previousJoints = startJoints;
+
+    for (let i = 1; i < samples.length; i++) {
+      await slice.yield();
+
+      const { time, pose } = samples[i];
+      const { x, y, z } = pose.getPosition('mm');
+      const where = `at ${label} sample ${i} (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)} mm)`;
+
+      const joints = this.solvePathPoint(kinematics, pose, previousJoints, {}, where);
+      this.checkJointStep(previousJoints, joints, time - samples[i - 1].time, where);
+
+      trajectory.push({ time, position: joints, velocity: [], acceleration: [] });
+      previousJoints = joints;
+    }
+
+    return this.computeTrajectoryDerivatives(trajectory);
   }
 
   /**
-   * 欧拉角转四元数
+   * 求解路径点逆解，选择满足构型要求且最接近参考关节角的解
+   * @param {Object} required - 构型要求 (空对象表示不限制)
+   * @param {string} where - 错误信息中的位置描述
    */
-  eulerToQuaternion(euler) {
-    const { rx, ry, rz } = euler;
-    
-    const cx = Math.cos(rx / 2);
-    const cy = Math.cos(ry / 2);
-    const cz = Math.cos(rz / 2);
-    const sx = Math.sin(rx / 2);
-    const sy = Math.sin(ry / 2);
-    const sz = Math.sin(rz / 2);
-
-    return {
-      w: cx * cy * cz + sx * sy * sz,
-      x: sx * cy * cz - cx * sy * sz,
-      y: cx * sy * cz + sx * cy * sz,
-      z: cx * cy * sz - sx * sy * cz
-    };
+  solvePathPoint(kinematics, pose, referenceJoints, required, where) {
+    const solutions = kinematics.inverseKinematics(pose, referenceJoints);
+
+    if (solutions.length === 0) {
+      throw new Error(`No inverse kinematics solution ${where}`);
+    }
+
+    const candidates = solutions.filter(solution =>
+      kinematics.matchesConfiguration(kinematics.getConfiguration(solution), required)
+    );
+
+    if (candidates.length === 0) {
+      throw new Error(`Configuration change required ${where} (current ${kinematics.formatConfiguration(required)})`);
+    }
+
+    return this.selectNearestSolution(candidates, referenceJoints);
   }
 
   /**
-   * 四元数转欧拉角
+   * 构型跳变检查: 单个采样周期内的关节位移不得超过速度限制
    */
-  quaternionToEuler(quat) {
-    const { w, x, y, z } = quat;
-    
-    const sinr_cosp = 2 * (w * x + y * z);
-    const cosr_cosp = 1 - 2 * (x * x + y * y);
-    const rx = Math.atan2(sinr_cosp, cosr_cosp);
+  checkJointStep(previousJoints, joints, dt, where) {
+    for (let j = 0; j < 6; j++) {
+      const jointVelocity = Math.abs(joints[j] - previousJoints[j]) / dt;
+      if (jointVelocity > this.maxVelocity[j]) {
+        throw new Error(`Configuration jump ${where}: ` +
+          `J${j + 1} requires ${jointVelocity.toFixed(2)} rad/s (limit ${this.maxVelocity[j]} rad/s)`);
+      }
+    }
+  }
+
+  /**
+   * 规划连续路径程序
+   *
+   * 各路点先按零速起止单独规划 (MoveJ 为关节空间五次多项式，MoveL 为笛卡尔直线)，
+   * 再在带过渡区的路点处将相邻两段在时间上重叠：后一段提前启动，重叠期间
+   * 关节位移叠加 q(t) = q_i(t) + (q_{i+1}(t - T) - q_{i+1}(0))，使 TCP 不停顿地绕过拐角。
+   * 两段均为 MoveL 时在笛卡尔空间叠加位移与姿态增量后求逆解，过渡段仍为笛卡尔路径；
+   * 含 MoveJ 的过渡在关节空间叠加。
+   *
+   * 过渡区半径为拐角附近 TCP 与路点的距离：进入段距路点不超过 zone 起、离开段距路点
+   * 超过 zone 止，重叠时长取两者中较短者，且不超过任一段时长的一半 (避免三段重叠)。
+   * 末路点的过渡区忽略 (程序在末路点停止)。
+   * 合成后检查全程关节速度、加速度限制，超限时指明所在过渡区或路段。
+   *
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {number[]} startJoints - 当前关节角度
+   * @param {Object[]} waypoints - 路点数组，每项为：
+   *   {type: 'joint', joints (rad) | pose (Pose，基坐标系), speed (%), zone (mm)}
+   *   {type: 'linear', pose (Pose，基坐标系), speed (mm/s), zone (mm)}
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<Object[]>} 关节轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  async planProgram(kinematics, startJoints, waypoints, sampleTime = 0.01, slice = new TimeSlice()) {
+    if (!Array.isArray(waypoints) || waypoints.length === 0) {
+      throw new Error('Motion program has no waypoints');
+    }
+
+    // 逐段规划，每段以上一段的目标关节角为起点
+    const segments = [];
+    let joints = startJoints;
+    for (const [i, waypoint] of waypoints.entries()) {
+      await slice.yield();
+      const segment = await this.planProgramSegment(kinematics, joints, waypoint, i + 1, sampleTime, slice);
+      segments.push(segment);
+      joints = segment.joints[segment.steps];
+    }
+
+    // 过渡区重叠步数与各段起始步
+    segments[0].start = 0;
+    segments[0].overlap = 0;
+    for (let i = 1; i < segments.length; i++) {
+      await slice.yield();
+      const zone = Number(waypoints[i - 1].zone) || 0;
+      segments[i].overlap = this.blendOverlap(kinematics, segments[i - 1], segments[i], zone);
+      segments[i].start = segments[i - 1].start + segments[i - 1].steps - segments[i].overlap;
+    }
 
-    const sinp = 2 * (w * y - z * x);
-    const ry = Math.abs(sinp) >= 1 ? 
-      Math.sign(sinp) * Math.PI / 2 : 
-      Math.asin(sinp);
+    const last = segments[segments.length - 1];
+    const totalSteps = last.start + last.steps;
+    const trajectory = [];
+
+    for (let k = 0; k <= totalSteps; k++) {
+      await slice.yield();
+      const position = [...startJoints];
+      for (const segment of segments) {
+        const q = segment.joints[Math.min(Math.max(k - segment.start, 0), segment.steps)];
+        for (let j = 0; j < 6; j++) {
+          position[j] += q[j] - segment.joints[0][j];
+        }
+      }
+      trajectory.push({ time: k * sampleTime, position, velocity: [], acceleration: [] });
+    }
 
-    const siny_cosp = 2 * (w * z + x * y);
-    const cosy_cosp = 1 - 2 * (y * y + z * z);
-    const rz = Math.atan2(siny_cosp, cosy_cosp);
+    // MoveL -> MoveL 过渡: 笛卡尔空间叠加，以关节空间叠加结果相邻点为参考求逆解
+    for (let i = 1; i < segments.length; i++) {
+      const [incoming, outgoing] = [segments[i - 1], segments[i]];
+      if (incoming.type !== 'linear' || outgoing.type !== 'linear' || outgoing.overlap === 0) continue;
 
-    return { rx, ry, rz };
+      const corner = outgoing.poses[0];
+      const cornerInverse = corner.inverse().orientation;
+
+      for (let k = outgoing.start + 1; k < outgoing.start + outgoing.overlap; k++) {
+        await slice.yield();
+        const a = incoming.poses[k - incoming.start];
+        const b = outgoing.poses[k - outgoing.start];
+        const position = {};
+        for (const axis of ['x', 'y', 'z']) {
+          position[axis] = a.position[axis] + b.position[axis] - corner.position[axis];
+        }
+        const orientation = Pose.multiplyQuaternion(
+          Pose.multiplyQuaternion(b.orientation, cornerInverse),
+          a.orientation
+        );
+
+        const where = `in blend at waypoint ${i}`;
+        trajectory[k].position = this.solvePathPoint(
+          kinematics, new Pose(position, orientation), trajectory[k - 1].position, {}, where
+        );
+        this.checkJointStep(trajectory[k - 1].position, trajectory[k].position, sampleTime, where);
+      }
+    }
+
+    this.computeTrajectoryDerivatives(trajectory);
+    await this.checkProgramLimits(trajectory, segments, slice);
+
+    const blends = segments.filter(segment => segment.overlap > 0).length;
+    this.logger.info(`Planned motion program: ${waypoints.length} waypoints, ${blends} blends, ` +
+      `${(totalSteps * sampleTime).toFixed(2)} s`);
+    return trajectory;
   }
 
   /**
-   * 四元数球面线性插值
+   * 规划程序中的单段运动 (零速起止，时长为采样周期整数倍)
+   * @param {number} index - 路点序号 (从1开始，用于错误信息)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<Object>} {type, steps, joints: 各采样点关节角, poses: 各采样点位姿 (仅 MoveL)}
    */
-  quaternionSlerp(q1, q2, t) {
-    let dot = q1.w * q2.w + q1.x * q2.x + q1.y * q2.y + q1.z * q2.z;
-    
-    // 确保最短路径
-    if (dot < 0) {
-      q2 = { w: -q2.w, x: -q2.x, y: -q2.y, z: -q2.z };
-      dot = -dot;
+  async planProgramSegment(kinematics, startJoints, waypoint, index, sampleTime, slice = new TimeSlice()) {
+    const where = `at waypoint ${index}`;
+
+    if (waypoint.type === 'joint') {
+      const target = waypoint.joints
+        ? [...waypoint.joints]
+        : this.solvePathPoint(kinematics, waypoint.pose, startJoints, {}, where);
+
+      if (target.length !== 6 || kinematics.filterValidSolutions([target]).length === 0) {
+        throw new Error(`Joint target ${where} exceeds joint limits`);
+      }
+
+      const joints = this.generateSCurveTrajectory(startJoints, target, waypoint.speed ?? 50, sampleTime)
+        .map(point => point.position);
+      return { type: 'joint', steps: joints.length - 1, joints, poses: null };
     }
 
-    const DOT_THRESHOLD = 0.9995;
-    
-    if (dot > DOT_THRESHOLD) {
-      // 线性插值避免除零
+    if (waypoint.type === 'linear') {
+      const startPose = kinematics.forwardKinematics(startJoints);
+      const { translation, rotation } = startPose.distanceTo(waypoint.pose);
+
+      if (translation < 1e-6 && rotation < 1e-6) {
+        return { type: 'linear', steps: 0, joints: [[...startJoints]], poses: [startPose] };
+      }
+
+      const duration = this.calculateCartesianTime(translation, rotation, waypoint.speed ?? this.tcpSpeed);
+      const steps = Math.ceil(duration / sampleTime - 1e-9);
+      const samples = this.generateCartesianTrajectory(startPose, waypoint.pose, steps * sampleTime, sampleTime);
+      const trajectory = await this.followCartesianPath(kinematics, samples, startJoints, `waypoint ${index} linear path`, slice);
+
       return {
-        w: q1.w + t * (q2.w - q1.w),
-        x: q1.x + t * (q2.x - q1.x),
-        y: q1.y + t * (q2.y - q1.y),
-        z: q1.z + t * (q2.z - q1.z)
+        type: 'linear',
+        steps,
+        joints: trajectory.map(point => point.position),
+        poses: samples.map(sample => sample.pose)
       };
     }
 
-    const theta_0 = Math.acos(dot);
-    const sin_theta_0 = Math.sin(theta_0);
-    const theta = theta_0 * t;
-    const sin_theta = Math.sin(theta);
-    const cos_theta = Math.cos(theta);
-    const s0 = cos_theta - dot * sin_theta / sin_theta_0;
-    const s1 = sin_theta / sin_theta_0;
+    throw new Error(`Unknown motion type ${waypoint.type} ${where} (expected joint or linear)`);
+  }
 
-    return {
-      w: s0 * q1.w + s1 * q2.w,
-      x: s0 * q1.x + s1 * q2.x,
-      y: s0 * q1.y + s1 * q2.y,
-      z: s0 * q1.z + s1 * q2.z
+  /**
+   * 过渡区重叠步数
+   * 进入段末端与离开段始端各自在 zone 范围内的步数取较小者
+   * @param {number} zone - 过渡区半径 (mm)
+   */
+  blendOverlap(kinematics, incoming, outgoing, zone) {
+    if (!(zone > 0)) return 0;
+
+    const tcp = (segment, k) => segment.poses
+      ? segment.poses[k].position
+      : kinematics.forwardKinematics(segment.joints[k]).position;
+    const corner = tcp(incoming, incoming.steps);
+    const within = position =>
+      Math.hypot(position.x - corner.x, position.y - corner.y, position.z - corner.z) * 1000 <= zone;
+    const limit = Math.min(Math.floor(incoming.steps / 2), Math.floor(outgoing.steps / 2));
+
+    let before = 0;
+    while (before < limit && within(tcp(incoming, incoming.steps - before - 1))) before++;
+
+    let after = 0;
+    while (after < limit && within(tcp(outgoing, after + 1))) after++;
+
+    return Math.min(before, after);
+  }
+
+  /**
+   * 程序轨迹速度、加速度检查 (按规划采样差分)，超限时抛出异常
+   */
+  async checkProgramLimits(trajectory, segments, slice = new TimeSlice()) {
+    // 允许差分计算的舍入误差
+    const tolerance = 1 + 1e-6;
+
+    const locate = k => {
+      for (let i = segments.length - 1; i > 0; i--) {
+        const segment = segments[i];
+        if (segment.overlap > 0 && k >= segment.start && k <= segment.start + segment.overlap) {
+          return `in blend at waypoint ${i}`;
+        }
+      }
+      const index = segments.findIndex(segment => k <= segment.start + segment.steps);
+      return `on segment to waypoint ${index + 1}`;
     };
+
+    for (const [k, point] of trajectory.entries()) {
+      await slice.yield();
+
+      for (let j = 0; j < 6; j++) {
+        const velocity = Math.abs(point.velocity[j]);
+        const acceleration = Math.abs(point.acceleration[j]);
+
+        if (velocity > this.maxVelocity[j] * tolerance) {
+          throw new Error(`Motion program exceeds J${j + 1} velocity limit ${locate(k)}: ` +
+            `${velocity.toFixed(2)} rad/s (limit ${this.maxVelocity[j]} rad/s)`);
+        }
+        if (acceleration > this.maxAcceleration[j] * tolerance) {
+          throw new Error(`Motion program exceeds J${j + 1} acceleration limit ${locate(k)}: ` +
+            `${acceleration.toFixed(2)} rad/s² (limit ${this.maxAcceleration[j]} rad/s²)`);
+        }
+      }
+    }
   }
 
   /**
    * 执行智能复位
    */
-  async executeHoming(robotController, speed = 30) {
+  async executeHoming(robotController, speed = 30, job = null) {
     this.logger.info('Executing homing sequence...');
     
     const currentJoints = robotController.getCurrentJoints();
-    const duration = this.calculateMovementTime(currentJoints, this.homePosition, speed);
     
-    // 生成平滑轨迹
-    const trajectory = this.generateJointTrajectory(
-      currentJoints, 
-      this.homePosition, 
-      duration, 
-      0.01
+    // 多轴同步S曲线，直线路径经过障碍物时改为避障路径
+    const trajectory = await this.planJointMove(
+      robotController.kinematics,
+      robotController.collisionModel,
+      currentJoints,
+      this.homePosition,
+      speed
     );
 
     // 执行轨迹
-    await this.executeTrajectory(robotController, trajectory, speed);
+    await this.executeTrajectory(robotController, trajectory, job);
     
     this.logger.info('Homing completed');
   }
 
   /**
-   * 计算运动时间
+   * 关节空间点到点运动
    */
-  calculateMovementTime(startJoints, endJoints, speedPercent = 50) {
-    // 计算最大关节位移
-    let maxDisplacement = 0;
+  async executeJointMove(robotController, targetJoints, speed = 50, job = null) {
     for (let i = 0; i < 6; i++) {
-      const displacement = Math.abs(endJoints[i] - startJoints[i]);
-      maxDisplacement = Math.max(maxDisplacement, displacement);
+      if (!robotController.checkJointLimits(i, targetJoints[i])) {
+        throw new Error(`Joint ${i + 1} target angle ${targetJoints[i]} exceeds limits`);
+      }
     }
 
-    // 根据速度百分比计算时间
-    const baseTime = maxDisplacement / 1.0; // 1 rad/s 基准
-    const speedFactor = speedPercent / 100;
-    
-    return Math.max(baseTime / speedFactor, 2.0); // 最少2秒
+    const currentJoints = robotController.getCurrentJoints();
+    const trajectory = await this.planJointMove(
+      robotController.kinematics,
+      robotController.collisionModel,
+      currentJoints,
+      targetJoints,
+      speed
+    );
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 安全故障恢复运动: 以降低的速度沿关节空间直线移到安全监控规划的恢复目标
+   * 起点位于关节安全余量内或自碰撞，校验跳过关节位置与自碰撞检查，其余检查照常
+   * @param {RobotController} robotController - 机器人控制器
+   * @param {number[]} targetJoints - 恢复目标 (SafetyMonitor.startRecovery)
+   * @param {MotionJob} job - 所属运动任务 (可选)
+   */
+  async executeRecoveryMove(robotController, targetJoints, job = null) {
+    const trajectory = this.createSCurve(robotController.getCurrentJoints(), targetJoints, this.recoverySpeed);
+    await this.executeTrajectory(robotController, trajectory, job, { skip: ['joint-position', 'self-collision'] });
+  }
+
+  /**
+   * 关节空间点到点运动规划 (绕开静态障碍物)
+   *
+   * 关节空间直线无碰撞时采用多轴同步S曲线；否则由 RRT-Connect 搜索无碰撞折线路径，
+   * 捷径平滑后按 speed% 缩放的关节限制做时间最优参数化。
+   *
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {CollisionModel} collisionModel - 碰撞模型 (null 时不避障)
+   * @param {number[]} startJoints - 起始关节角度
+   * @param {number[]} targetJoints - 目标关节角度
+   * @param {number} speed - 速度百分比 (0, 100]
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<TrajectoryPrimitive|Object[]>} S曲线轨迹基元，或避障轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  async planJointMove(kinematics, collisionModel, startJoints, targetJoints, speed = 50, sampleTime = 0.01, slice = new TimeSlice()) {
+    const path = await this.planCollisionFreePath(kinematics, collisionModel, startJoints, targetJoints, slice);
+    if (path.length === 2) {
+      return this.createSCurve(startJoints, targetJoints, speed);
+    }
+
+    const { trajectory } = await this.parameterizePath(kinematics, path, { sampleTime, speed, slice }, 'collision-free joint path');
+    return trajectory;
+  }
+
+  /**
+   * 关节空间无碰撞路径 (障碍物与自碰撞；起止点间直线无碰撞时仅含起止点)
+   * @returns {Promise<number[][]>} 路径点
+   */
+  async planCollisionFreePath(kinematics, collisionModel, startJoints, targetJoints, slice = new TimeSlice()) {
+    if (!collisionModel) {
+      return [[...startJoints], [...targetJoints]];
+    }
+
+    const clearance = `clearance ${(collisionModel.clearance * 1000).toFixed(1)} mm`;
+    for (const [label, joints] of [['Start', startJoints], ['Target', targetJoints]]) {
+      const { distance, link, obstacle } = collisionModel.obstacleDistance(joints);
+      if (distance < collisionModel.clearance) {
+        throw new Error(`${label} configuration is too close to obstacle "${obstacle}" ` +
+          `(${link} ${(distance * 1000).toFixed(1)} mm, ${clearance})`);
+      }
+
+      const self = collisionModel.selfDistance(joints);
+      if (self.distance < collisionModel.clearance) {
+        throw new Error(`${label} configuration is too close to self-collision ` +
+          `(${self.links.join(' / ')} ${(self.distance * 1000).toFixed(1)} mm, ${clearance})`);
+      }
+    }
+
+    const limits = kinematics.jointLimits.map(({ min, max }) => ({
+      min: min + this.jointLimitMargin,
+      max: max - this.jointLimitMargin
+    }));
+    const startTime = Date.now();
+    const path = await this.jointPathPlanner.plan(startJoints, targetJoints, joints => collisionModel.isCollisionFree(joints), limits, slice);
+
+    if (path.length > 2) {
+      this.logger.info(`Planned collision-free joint path: ${path.length} waypoints in ${Date.now() - startTime} ms`);
+    }
+    return path;
+  }
+
+  /**
+   * 设置轨迹执行前校验器
+   * @param {TrajectoryValidator} validator - 校验器 (null 表示不校验)
+   */
+  setValidator(validator) {
+    this.validator = validator;
+  }
+
+  /**
+   * 执行前校验轨迹，未通过时抛出附带校验报告 (error.report) 的异常，不开始运动
+   */
+  async validateTrajectory(trajectory, options = {}) {
+    if (!this.validator) return null;
+
+    const report = await this.validator.validate(trajectory, options);
+    if (report.warnings.length > 0) {
+      this.logger.warn(`Trajectory warnings: ${JSON.stringify(report.warnings)}`);
+    }
+    if (!report.valid) {
+      const error = new Error(this.validator.describe(report));
+      error.report = report;
+      this.logger.warn(`${error.message}: ${JSON.stringify(report.violations)}`);
+      throw error;
+    }
+    return report;
   }
 
   /**
    * 执行轨迹
+   * 执行前经校验器检查，轨迹点由控制器的轨迹执行器按规划时间逐周期下发，轨迹基元按控制周期直接求值
+   * @param {RobotController} robotController - 机器人控制器
+   * @param {Object[]|TrajectoryPrimitive} trajectory - 轨迹点数组或轨迹基元
+   * @param {MotionJob} job - 所属运动任务 (可选，用于暂停/中止)
+   * @param {Object} validation - 校验选项 (见 TrajectoryValidator.validate)
    */
-  async executeTrajectory(robotController, trajectory, speed = 50) {
-    const sampleTime = 0.01; // 10ms
-    
-    for (const point of trajectory) {
-      if (point.position) {
-        // 关节空间轨迹
-        await robotController.moveJoints(point.position, speed);
+  async executeTrajectory(robotController, trajectory, job = null, validation = {}) {
+    const executor = robotController.trajectoryExecutor;
+
+    if (job) job.throwIfCancelled();
+    await this.validateTrajectory(trajectory, validation);
+    if (job) job.throwIfBlocked();
+    robotController.isMoving = true;
+
+    try {
+      const execution = executor.execute(trajectory);
+
+      // 规划阶段收到的暂停请求在开始下发后立即生效
+      if (job && job.pauseRequested) {
+        executor.pause();
       }
-      
-      // 等待采样时间
-      await new Promise(resolve => setTimeout(resolve, sampleTime * 1000));
+
+      await execution;
+      await robotController.waitForMovementComplete();
+      if (job) job.throwIfCancelled();
+    } finally {
+      robotController.isMoving = false;
     }
   }
 
   /**
-   * S曲线加减速规划
+   * 纸面坐标系 (mm) 转换到机器人基坐标系 (m)
+   * @param {Object} point - 纸面坐标点 {x, y, z}
+   * @param {Object} paperFrame - 纸面坐标系，两种形式：
+   *   {origin: {x, y, z} (mm), rotation (rad，绕基坐标系Z轴), orientation} (配置文件形式)
+   *   {transform: 4x4 变换矩阵 (m), orientation} (用户坐标系，见 RobotController.getWritingFrame)
+   *   orientation 为基坐标系下的笔姿态四元数
+   * @returns {Object} 基坐标系下的位置 {x, y, z}
    */
-  generateSCurveTrajectory(startPos, endPos, maxVel, maxAcc, maxJerk, sampleTime = 0.01) {
-    const displacement = endPos - startPos;
-    const direction = Math.sign(displacement);
-    const distance = Math.abs(displacement);
+  paperToBase(point, paperFrame) {
+    const T = paperFrame.transform || this.paperFrameTransform(paperFrame);
+    const [x, y, z] = [0, 1, 2].map(r =>
+      (T[r][0] * point.x + T[r][1] * point.y + T[r][2] * point.z) / 1000 + T[r][3]
+    );
 
-    // S曲线参数计算
-    const ta = maxAcc / maxJerk; // 加加速时间
-    const tv = maxVel / maxAcc; // 匀加速时间
-    
-    // 判断是否能达到最大速度
-    const distanceToMaxVel = maxAcc * Math.pow(ta, 2) + maxVel * tv;
-    
-    let t1, t2, t3, t4, t5, t6, t7;
-    
-    if (distance >= distanceToMaxVel) {
-      // 七段式S曲线
-      t1 = ta;
-      t2 = tv;
-      t3 = ta;
-      t4 = (distance - distanceToMaxVel) / maxVel;
-      t5 = ta;
-      t6 = tv;
-      t7 = ta;
-    } else {
-      // 五段式S曲线
-      const vm = Math.sqrt(maxAcc * distance);
-      t1 = ta;
-      t2 = vm / maxAcc - ta;
-      t3 = ta;
-      t4 = 0;
-      t5 = ta;
-      t6 = vm / maxAcc - ta;
-      t7 = ta;
-    }
-
-    // 生成轨迹点
-    const totalTime = t1 + t2 + t3 + t4 + t5 + t6 + t7;
-    const numPoints = Math.ceil(totalTime / sampleTime);
-    const trajectory = [];
+    return { x, y, z };
+  }
 
-    for (let i = 0; i <= numPoints; i++) {
-      const t = i * sampleTime;
-      let pos, vel, acc;
-
-      if (t <= t1) {
-        // 加加速段
-        pos = startPos + direction * (maxJerk * Math.pow(t, 3) / 6);
-        vel = direction * (maxJerk * Math.pow(t, 2) / 2);
-        acc = direction * (maxJerk * t);
-      } else if (t <= t1 + t2) {
-        // 匀加速段
-        const t_rel = t - t1;
-        pos = startPos + direction * (maxJerk * Math.pow(t1, 3) / 6 + maxAcc * t1 * t_rel + maxAcc * Math.pow(t_rel, 2) / 2);
-        vel = direction * (maxAcc * t1 + maxAcc * t_rel);
-        acc = direction * maxAcc;
-      } else if (t <= t1 + t2 + t3) {
-        // 减加速段
-        const t_rel = t - t1 - t2;
-        pos = startPos + direction * (maxJerk * Math.pow(t1, 3) / 6 + maxAcc * t1 * t2 + maxAcc * Math.pow(t2, 2) / 2 + 
-                       maxAcc * t1 * t_rel + maxAcc * t2 * t_rel - maxJerk * Math.pow(t_rel, 3) / 6);
-        vel = direction * (maxAcc * t1 + maxAcc * t2 + maxAcc * t_rel - maxJerk * Math.pow(t_rel, 2) / 2);
-        acc = direction * (maxAcc - maxJerk * t_rel);
-      } else if (t <= t1 + t2 + t3 + t4) {
-        // 匀速段
-        const t_rel = t - t1 - t2 - t3;
-        const pos_end_acc = startPos + direction * (maxJerk * Math.pow(t1, 3) / 6 + maxAcc * t1 * t2 + maxAcc * Math.pow(t2, 2) / 2 + 
-                                   maxAcc * t1 * t3 + maxAcc * t2 * t3 - maxJerk * Math.pow(t3, 3) / 6);
-        pos = pos_end_acc + direction * maxVel * t_rel;
-        vel = direction * maxVel;
-        acc = 0;
-      } else {
-        // 减速段 (对称)
-        const t_dec = totalTime - t;
-        if (t_dec <= t7) {
-          // 加减速段
-          pos = endPos - direction * (maxJerk * Math.pow(t_dec, 3) / 6);
-          vel = direction * (maxJerk * Math.pow(t_dec, 2) / 2);
-          acc = -direction * (maxJerk * t_dec);
-        } else if (t_dec <= t7 + t6) {
-          // 匀减速段
-          const t_rel = t_dec - t7;
-          pos = endPos - direction * (maxJerk * Math.pow(t7, 3) / 6 + maxAcc * t7 * t_rel + maxAcc * Math.pow(t_rel, 2) / 2);
-          vel = direction * (maxAcc * t7 + maxAcc * t_rel);
-          acc = -direction * maxAcc;
-        } else {
-          // 减减速段
-          const t_rel = t_dec - t7 - t6;
-          pos = endPos - direction * (maxJerk * Math.pow(t7, 3) / 6 + maxAcc * t7 * t6 + maxAcc * Math.pow(t6, 2) / 2 + 
-                         maxAcc * t7 * t_rel + maxAcc * t6 * t_rel - maxJerk * Math.pow(t_rel, 3) / 6);
-          vel = direction * (maxAcc * t7 + maxAcc * t6 + maxAcc * t_rel - maxJerk * Math.pow(t_rel, 2) / 2);
-          acc = -direction * (maxAcc - maxJerk * t_rel);
-        }
+  /**
+   * 配置文件形式纸面坐标系的变换矩阵 (平移 + 绕Z轴旋转，单位 m)
+   */
+  paperFrameTransform({ origin, rotation = 0 }) {
+    const cosR = Math.cos(rotation);
+    const sinR = Math.sin(rotation);
+
+    return [
+      [cosR, -sinR, 0, origin.x / 1000],
+      [sinR, cosR, 0, origin.y / 1000],
+      [0, 0, 1, origin.z / 1000],
+      [0, 0, 0, 1]
+    ];
+  }
+
+  /**
+   * 选择与参考关节角最接近的逆解
+   */
+  selectNearestSolution(solutions, referenceJoints) {
+    let bestSolution = null;
+    let minDistance = Infinity;
+
+    for (const solution of solutions) {
+      let distance = 0;
+      for (let i = 0; i < 6; i++) {
+        distance += Math.pow(solution[i] - referenceJoints[i], 2);
       }
 
-      trajectory.push({ time: t, position: pos, velocity: vel, acceleration: acc });
+      if (distance < minDistance) {
+        minDistance = distance;
+        bestSolution = solution;
+      }
+    }
+
+    return bestSolution;
+  }
+
+  /**
+   * 规划书写轨迹 (笛卡尔空间 -> 关节空间)
+   *
+   * 将书写引擎输出的纸面轨迹映射到基坐标系，按 writingSampleSpacing 采样并逐点求逆解，
+   * 保持与上一个解的连续性，得到关节空间几何路径；再以各点的书写速度为 TCP 速度上限
+   * 做时间最优参数化 (关节速度、加速度、加加速度受限，拐角处自动减速)。
+   * 任何一点逆解失败或出现构型跳变时，在运动开始前抛出异常。
+   * 逆解采样与参数化可达秒级，按时间片让出事件循环。
+   *
+   * @param {Kinematics} kinematics - 运动学模型
+   * @param {Object[]} writingTrajectory - 书写轨迹 [{x, y, z, penUp, speed}] (mm, mm/s)
+   * @param {number[]} startJoints - 当前关节角度
+   * @param {Object} paperFrame - 纸面坐标系，见 paperToBase (orientation 为基坐标系下的笔姿态四元数)
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @param {CollisionModel} collisionModel - 碰撞模型 (接近段避障，null 时不避障)
+   * @returns {Promise<Object[]>} 关节轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  async planWritingTrajectory(kinematics, writingTrajectory, startJoints, paperFrame, sampleTime = 0.01, collisionModel = null) {
+    if (writingTrajectory.length === 0) {
+      throw new Error('Writing trajectory is empty');
     }
 
+    const slice = new TimeSlice();
+
+    const orientation = paperFrame.orientation;
+    const describe = (point, label) =>
+      `at writing point ${label} (${point.x.toFixed(1)}, ${point.y.toFixed(1)}, ${point.z.toFixed(1)})`;
+    const solve = (point, referenceJoints, label) => {
+      const pose = new Pose(this.paperToBase(point, paperFrame), orientation);
+
+      // 书写过程中保持构型不变 (接近段不限制)
+      const required = label === 0 ? {} : kinematics.getConfiguration(referenceJoints);
+      return this.solvePathPoint(kinematics, pose, referenceJoints, required, describe(point, label));
+    };
+
+    // 接近段: 从当前位置以关节空间S曲线 (必要时绕开障碍物) 移动到第一个书写点
+    const firstJoints = solve(writingTrajectory[0], startJoints, 0);
+    const approachMove = await this.planJointMove(kinematics, collisionModel, startJoints, firstJoints, this.approachSpeed, sampleTime, slice);
+    const approach = Array.isArray(approachMove) ? approachMove : approachMove.sample(sampleTime);
+
+    // 书写段: 按固定间距采样几何路径并求逆解，记录各点所在路段的速度
+    const path = [firstJoints];
+    const speeds = [writingTrajectory[0].speed];
+    let previousJoints = firstJoints;
+
+    for (let i = 1; i < writingTrajectory.length; i++) {
+      const from = writingTrajectory[i - 1];
+      const to = writingTrajectory[i];
+      const distance = Math.sqrt(
+        Math.pow(to.x - from.x, 2) +
+        Math.pow(to.y - from.y, 2) +
+        Math.pow(to.z - from.z, 2)
+      );
+
+      if (distance < 1e-6) continue;
+      if (!(to.speed > 0)) {
+        throw new Error(`Invalid speed ${to.speed} at writing point ${i}`);
+      }
+
+      const steps = Math.max(1, Math.ceil(distance / this.writingSampleSpacing));
+
+      for (let k = 1; k <= steps; k++) {
+        await slice.yield();
+
+        const s = k / steps;
+        const point = {
+          x: from.x + s * (to.x - from.x),
+          y: from.y + s * (to.y - from.y),
+          z: from.z + s * (to.z - from.z)
+        };
+
+        const joints = solve(point, previousJoints, i);
+        this.checkPathStep(previousJoints, joints, describe(point, i));
+
+        path.push(joints);
+        speeds.push(to.speed);
+        previousJoints = joints;
+      }
+    }
+
+    const writing = await this.parameterizePath(kinematics, path, { tcpSpeed: speeds, sampleTime, slice }, 'writing');
+
+    // 拼接: 书写段首点与接近段终点重合
+    const offset = approach[approach.length - 1].time;
+    const trajectory = approach.map(point => ({ time: point.time, position: point.position, velocity: [], acceleration: [] }));
+    for (const point of writing.trajectory.slice(1)) {
+      trajectory.push({ time: offset + point.time, position: point.position, velocity: [], acceleration: [] });
+    }
+
+    this.computeTrajectoryDerivatives(trajectory);
+
+    const time = trajectory[trajectory.length - 1].time;
+    this.logger.info(`Planned writing trajectory: ${trajectory.length} samples, ${time.toFixed(2)} s`);
     return trajectory;
   }
 
   /**
-   * 检查轨迹是否满足关节限位
+   * 关节空间几何路径的时间最优参数化
+   * @param {Kinematics} kinematics - 运动学模型 (TCP 速度上限需要)
+   * @param {number[][]} path - 关节路径采样点
+   * @param {Object} options - {tcpSpeed (mm/s，数值或逐点数组), sampleTime, speed (%，关节限制按时间缩放，默认 100), slice (时间片)}
+   * @param {string} label - 日志中的路径名称
+   * @returns {Promise<Object>} {trajectory: [{time, position, velocity, acceleration, pathIndex}], duration,
+   *   activeConstraints: [{from, to, constraint}]}
    */
-  checkTrajectoryLimits(trajectory, jointLimits) {
-    for (const point of trajectory) {
-      for (let i = 0; i < 6; i++) {
-        if (point.position[i] < jointLimits[i].min || point.position[i] > jointLimits[i].max) {
-          return false;
+  async parameterizePath(kinematics, path, options = {}, label = 'path') {
+    const { speed = 100, ...parameterization } = options;
+    if (!(speed > 0) || speed > 100) {
+      throw new Error(`Speed ${speed}% is out of range (0, 100]`);
+    }
+
+    const f = speed / 100;
+    const parameterizer = speed === 100 ? this.pathParameterizer : new PathParameterizer({
+      maxVelocity: this.maxVelocity.map(v => v * f),
+      maxAcceleration: this.maxAcceleration.map(a => a * f * f),
+      maxJerk: this.maxJerk.map(j => j * f * f * f)
+    });
+    const result = await parameterizer.parameterize(path, { ...parameterization, kinematics });
+    this.computeTrajectoryDerivatives(result.trajectory);
+
+    // 各约束起作用的总时长
+    const summary = {};
+    for (const { from, to, constraint } of result.activeConstraints) {
+      summary[constraint] = (summary[constraint] || 0) + to - from;
+    }
+    const text = Object.entries(summary).map(([name, t]) => `${name} ${t.toFixed(2)} s`).join(', ');
+    this.logger.info(`Parameterized ${label}: ${result.duration.toFixed(2)} s (${text || 'no active constraint'})`);
+
+    return result;
+  }
+
+  /**
+   * 几何路径相邻采样点的构型跳变检查
+   */
+  checkPathStep(previousJoints, joints, where) {
+    for (let j = 0; j < 6; j++) {
+      const step = Math.abs(joints[j] - previousJoints[j]);
+      if (step > this.maxPathJointStep) {
+        throw new Error(`Configuration jump ${where}: ` +
+          `J${j + 1} moves ${step.toFixed(3)} rad between path samples (limit ${this.maxPathJointStep} rad)`);
+      }
+    }
+  }
+
+  /**
+   * 由采样点位置差分计算速度和加速度
+   */
+  computeTrajectoryDerivatives(trajectory) {
+    const n = trajectory.length;
+
+    for (let i = 0; i < n; i++) {
+      const prev = trajectory[Math.max(0, i - 1)];
+      const next = trajectory[Math.min(n - 1, i + 1)];
+      const dt = next.time - prev.time;
+
+      trajectory[i].velocity = trajectory[i].position.map((_, j) =>
+        dt > 0 ? (next.position[j] - prev.position[j]) / dt : 0
+      );
+    }
+
+    for (let i = 0; i < n; i++) {
+      const prev = trajectory[Math.max(0, i - 1)];
+      const next = trajectory[Math.min(n - 1, i + 1)];
+      const dt = next.time - prev.time;
+
+      trajectory[i].acceleration = trajectory[i].velocity.map((_, j) =>
+        dt > 0 ? (next.velocity[j] - prev.velocity[j]) / dt : 0
+      );
+    }
+
+    return trajectory;
+  }
+
+  /**
+   * 执行书写任务
+   * 先完成整条轨迹的规划与检查，再按规划时间向控制器下发关节设定值
+   */
+  async executeWritingTrajectory(robotController, writingTrajectory, paperFrame, job = null) {
+    const trajectory = await this.planWritingTrajectory(
+      robotController.kinematics,
+      writingTrajectory,
+      robotController.getCurrentJoints(),
+      paperFrame,
+      0.01,
+      robotController.collisionModel
+    );
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 执行直线运动 (MoveL)
+   * 在当前关节状态下完成整条路径的规划与逆解检查后再开始运动
+   */
+  async executeLinearMove(robotController, targetPose, speed = this.tcpSpeed, job = null) {
+    const trajectory = await this.planLinearMove(
+      robotController.kinematics,
+      robotController.getCurrentJoints(),
+      targetPose,
+      speed
+    );
+    if (job) job.throwIfBlocked();
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 执行圆弧运动 (MoveC)
+   */
+  async executeCircularMove(robotController, viaPose, targetPose, speed = this.tcpSpeed, job = null) {
+    const trajectory = await this.planCircularMove(
+      robotController.kinematics,
+      robotController.getCurrentJoints(),
+      viaPose,
+      targetPose,
+      speed
+    );
+    if (job) job.throwIfBlocked();
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 执行连续路径程序
+   * 整个程序 (含过渡区) 规划并检查通过后再开始运动
+   */
+  async executeProgram(robotController, waypoints, job = null) {
+    const trajectory = await this.planProgram(
+      robotController.kinematics,
+      robotController.getCurrentJoints(),
+      waypoints
+    );
+    if (job) job.throwIfBlocked();
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 执行多路点样条运动 (从当前位置出发依次经过 / 逼近各路点)
+   */
+  async executeSplineMove(robotController, waypoints, options = {}, job = null) {
+    const trajectory = await this.planSplineMove(
+      robotController.kinematics,
+      [robotController.getCurrentJoints(), ...waypoints],
+      options
+    );
+    if (job) job.throwIfBlocked();
+
+    await this.executeTrajectory(robotController, trajectory, job);
+  }
+
+  /**
+   * 多路点样条运动规划
+   *
+   * 路点时刻先按各段最大关节位移以 speed% 关节速度估计，拟合样条后整体时间缩放，
+   * 使速度、加速度、加加速度的峰值恰好达到 speed% 对应的限制 (与S曲线相同，速度 f·V、
+   * 加速度 f²·A、加加速度 f³·J)。返回的样条即轨迹基元，执行时按控制周期直接求值。
+   *
+   * @param {Kinematics} kinematics - 运动学模型 (关节限位检查)
+   * @param {number[][]} waypoints - 路点关节角 (rad)，首点为起点
+   * @param {Object} options - {type, degree, mode, tolerance} 见 JointSpline.normalizeOptions，speed (%)
+   * @param {number} sampleTime - 关节限位检查的采样时间 (秒)
+   * @param {TimeSlice} slice - 时间片 (让出事件循环)
+   * @returns {Promise<TrajectoryPrimitive>} 样条轨迹 (路点重合时为零时长的静止轨迹)
+   */
+  async planSplineMove(kinematics, waypoints, options = {}, sampleTime = 0.01, slice = new TimeSlice()) {
+    const { speed = 50 } = options;
+    if (!(speed > 0) || speed > 100) {
+      throw new Error(`Speed ${speed}% is out of range (0, 100]`);
+    }
+    const f = speed / 100;
+
+    // 去除重合路点，估计路点时刻
+    const points = [waypoints[0]];
+    const times = [0];
+    for (const joints of waypoints.slice(1)) {
+      const previous = points[points.length - 1];
+      const duration = Math.max(...joints.map((q, j) => Math.abs(q - previous[j]) / (f * this.maxVelocity[j])));
+      if (duration < 1e-9) continue;
+
+      points.push(joints);
+      times.push(times[times.length - 1] + duration);
+    }
+
+    if (points.length < 2) {
+      return this.createSCurve(points[0], points[0], speed);
+    }
+
+    // 时间缩放系数: 各节点区间内取若干点，速度按 1/k、加速度按 1/k²、加加速度按 1/k³ 变化
+    let spline = await JointSpline.fit(points, times, options, slice);
+    let factor = 0;
+    const knots = [...new Set(spline.knots)];
+    for (let i = 0; i < knots.length - 1; i++) {
+      for (let k = 0; k <= 10; k++) {
+        await slice.yield();
+        const t = knots[i] + (knots[i + 1] - knots[i]) * Math.min(Math.max(k / 10, 1e-9), 1 - 1e-9);
+        const velocity = spline.velocity(t);
+        const acceleration = spline.acceleration(t);
+        const jerk = spline.jerk(t);
+
+        for (let j = 0; j < 6; j++) {
+          factor = Math.max(
+            factor,
+            Math.abs(velocity[j]) / (f * this.maxVelocity[j]),
+            Math.sqrt(Math.abs(acceleration[j]) / (f * f * this.maxAcceleration[j])),
+            Math.cbrt(Math.abs(jerk[j]) / (f * f * f * this.maxJerk[j]))
+          );
         }
       }
     }
-    return true;
+    spline = spline.scaleTime(factor);
+
+    const numPoints = Math.max(1, Math.ceil(spline.duration / sampleTime - 1e-9));
+    for (let i = 0; i <= numPoints; i++) {
+      await slice.yield();
+      const t = Math.min(i * sampleTime, spline.duration);
+      if (kinematics.filterValidSolutions([spline.position(t)]).length === 0) {
+        throw new Error(`Spline path exceeds joint limits at ${t.toFixed(2)} s`);
+      }
+    }
+
+    this.logger.info(`Planned spline move: ${points.length} waypoints, ` +
+      `${spline.controlPoints.length} control points, ${spline.duration.toFixed(2)} s`);
+    return spline;
+  }
+
+  /**
+   * 多轴同步S曲线 (加加速度受限) 关节轨迹，见 SCurveTrajectory
+   * @param {number[]} startJoints - 起始关节角度
+   * @param {number[]} endJoints - 目标关节角度
+   * @param {number} speedPercent - 速度百分比 (0, 100]
+   * @returns {SCurveTrajectory} 轨迹基元
+   */
+  createSCurve(startJoints, endJoints, speedPercent = 50) {
+    return new SCurveTrajectory(startJoints, endJoints, {
+      maxVelocity: this.maxVelocity,
+      maxAcceleration: this.maxAcceleration,
+      maxJerk: this.maxJerk
+    }, speedPercent);
+  }
+
+  /**
+   * 多轴同步S曲线关节轨迹 (按采样时间输出轨迹点)
+   * @returns {Object[]} 轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  generateSCurveTrajectory(startJoints, endJoints, speedPercent = 50, sampleTime = 0.01) {
+    return this.createSCurve(startJoints, endJoints, speedPercent).sample(sampleTime);
   }
 }
 
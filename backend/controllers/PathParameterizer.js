@@ -0,0 +1,489 @@
+/**
+ * 路径时间参数化 - 时间最优 (TOPP) 速度规划
+ *
+ * 功能：
+ * - 任意关节空间几何路径 (样条、笛卡尔逆解采样、书写轨迹) 的最快时间参数化
+ * - 关节速度、加速度、加加速度限制，可选 TCP 线速度上限
+ * - 输出沿路径各段起作用的约束
+ *
+ * 几何路径取过各采样点的自然三次样条，以采样序号 s 为路径参数，状态 x = ṡ²、控制 u = s̈，
+ * 相邻采样点间 u 为常数 (x_{i+1} = x_i + 2u)。关节速度、TCP 速度与曲率项加加速度 |q‴_j|·ṡ³ ≤ J_j
+ * 给出最大速度曲线 x ≤ MVC_i，加速度约束 |q'_j·u + q''_j·x| ≤ A_j 在 (x, u) 上为线性。
+ * 先由终点静止反向求各点可控速度上界 β_i，再由起点静止正向取最大可行加速度 (TOPP-RA)。
+ * 所得 s(t) 再经宽度 τ = max_j A_j/J_j 的滑动平均滤波，s̈ 的跳变被摊到 τ 内 (路径几何不变，
+ * 总时长增加 τ)。输出轨迹按采样周期复核全部限制，剩余超限处 (加减速直接切换、滤波抹平的减速等)
+ * 局部放慢后重新规划。长路径参数化可达数百毫秒，各计算阶段之间按时间片让出事件循环。
+ */
+
+const TimeSlice = require('./TimeSlice');
+
+class PathParameterizer {
+  /**
+   * @param {Object} limits - {maxVelocity, maxAcceleration, maxJerk} 各关节限制 (rad/s, rad/s², rad/s³)
+   */
+  constructor(limits) {
+    this.limits = limits;
+
+    // 加密路径时相邻采样点的最大关节位移 (rad)
+    this.maxJointStep = 0.005;
+
+    // 滤波后限制超限时局部放慢的余量系数与最大迭代次数
+    this.limitMargin = 0.95;
+    this.maxIterations = 30;
+
+    // 限制利用率达到该比例视为起作用的约束
+    this.activeThreshold = 0.95;
+  }
+
+  /**
+   * 时间参数化
+   * @param {number[][]} path - 关节空间几何路径 (按顺序的关节角采样点，起止点静止)
+   * @param {Object} options
+   * @param {Kinematics} options.kinematics - 运动学模型 (指定 TCP 速度上限时必需)
+   * @param {number|number[]} options.tcpSpeed - TCP 速度上限 (mm/s)，数组时逐采样点指定 (到达该点的路段)
+   * @param {number} options.sampleTime - 输出采样时间 (秒，默认 0.01)
+   * @param {TimeSlice} options.slice - 时间片 (各计算阶段之间让出事件循环)
+   * @returns {Promise<Object>} {trajectory: [{time, position, pathIndex}], duration, activeConstraints: [{from, to, constraint}]}
+   *   pathIndex 为输入路径上的 (小数) 采样序号
+   */
+  async parameterize(path, options = {}) {
+    const { kinematics = null, tcpSpeed = null, sampleTime = 0.01, slice = new TimeSlice() } = options;
+
+    if (!Array.isArray(path) || path.length === 0) {
+      throw new Error('Path to parameterize is empty');
+    }
+    if (tcpSpeed !== null && !kinematics) {
+      throw new Error('TCP speed limit requires a kinematics model');
+    }
+
+    const grid = this.densify(path, tcpSpeed);
+    if (grid.points.length < 3) {
+      const position = [...path[path.length - 1]];
+      return { trajectory: [{ time: 0, position, pathIndex: path.length - 1 }], duration: 0, activeConstraints: [] };
+    }
+
+    const derivatives = this.pathDerivatives(grid.points);
+    const tcpRate = tcpSpeed === null ? null : await this.tcpRate(kinematics, grid.points, derivatives.second, slice);
+
+    const n = grid.points.length;
+    const velocityLimit = this.maximumVelocityCurve(derivatives, tcpRate, grid.tcpSpeed);
+    const smoothing = Math.max(...this.limits.maxAcceleration.map((a, j) => a / this.limits.maxJerk[j]));
+    let scale = new Array(n).fill(1);
+
+    for (let iteration = 0; iteration <= this.maxIterations; iteration++) {
+      await slice.yield();
+      const profile = this.solve(derivatives, velocityLimit.limit.map((limit, i) => limit * scale[i]), scale);
+      await slice.yield();
+      const parameter = this.smooth(profile, smoothing, sampleTime);
+      const trajectory = this.resample(grid, derivatives.second, parameter, sampleTime);
+      await slice.yield();
+      const utilization = await this.utilization(trajectory, parameter, tcpRate, grid.tcpSpeed, sampleTime, slice);
+      const violations = this.violations(trajectory, utilization);
+
+      if (violations.length === 0) {
+        const activeConstraints = this.activeConstraints(trajectory, utilization);
+        return { trajectory, duration: trajectory[trajectory.length - 1].time, activeConstraints };
+      }
+
+      // 超限采样点受滤波窗口内的原始轨迹影响，对应网格点整体按时间缩放系数 c 放慢
+      const reduction = new Array(n).fill(1);
+      for (const { time, factor } of violations) {
+        await slice.yield();
+        const value = Math.max(0.3, factor) * this.limitMargin;
+        for (let i = 0; i < n; i++) {
+          if (profile.times[i] >= time - smoothing - sampleTime && profile.times[i] <= time + sampleTime) {
+            reduction[i] = Math.min(reduction[i], value);
+          }
+        }
+      }
+      scale = scale.map((value, i) => value * reduction[i]);
+    }
+
+    throw new Error('Path parameterization could not satisfy joint limits');
+  }
+
+  /**
+   * 路径加密: 相邻点关节位移不超过 maxJointStep，去除重合点，至少 3 个采样点
+   * @returns {Object} {points, source: 对应输入序号 (小数), tcpSpeed: 逐点 TCP 速度上限}
+   */
+  densify(path, tcpSpeed) {
+    const speedAt = i => (Array.isArray(tcpSpeed) ? tcpSpeed[i] : tcpSpeed);
+    const points = [[...path[0]]];
+    const source = [0];
+    const speeds = [speedAt(Math.min(1, path.length - 1))];
+
+    for (let i = 1; i < path.length; i++) {
+      const from = path[i - 1];
+      const to = path[i];
+      const step = Math.max(...to.map((q, j) => Math.abs(q - from[j])));
+      if (step < 1e-12) continue;
+
+      if (tcpSpeed !== null && !(speedAt(i) > 0)) {
+        throw new Error(`Invalid TCP speed ${speedAt(i)} at path point ${i}`);
+      }
+
+      // 仅一段时至少再分一次，保证起止静止之间存在中间状态
+      const count = Math.max(Math.ceil(step / this.maxJointStep), path.length === 2 ? 2 : 1);
+      for (let k = 1; k <= count; k++) {
+        const s = k / count;
+        points.push(from.map((q, j) => q + s * (to[j] - q)));
+        source.push(i - 1 + s);
+        speeds.push(speedAt(i));
+      }
+    }
+
+    return { points, source, tcpSpeed: tcpSpeed === null ? null : speeds };
+  }
+
+  /**
+   * 过各采样点的自然三次样条 (路径参数间距为 1) 在采样点处的导数
+   * @returns {Object} {first, second, third}，second 即样条二阶导 (弯矩)，third 取相邻两段中较大者
+   */
+  pathDerivatives(points) {
+    const n = points.length;
+    const dims = points[0].length;
+
+    // 追赶法求解 M_{i-1} + 4·M_i + M_{i+1} = 6·(q_{i+1} - 2·q_i + q_{i-1})，M_0 = M_{n-1} = 0
+    const second = points.map(point => point.map(() => 0));
+    for (let j = 0; j < dims; j++) {
+      const c = new Array(n).fill(0);
+      const d = new Array(n).fill(0);
+      for (let i = 1; i < n - 1; i++) {
+        const rhs = 6 * (points[i + 1][j] - 2 * points[i][j] + points[i - 1][j]);
+        const denominator = 4 - c[i - 1];
+        c[i] = 1 / denominator;
+        d[i] = (rhs - d[i - 1]) / denominator;
+      }
+      for (let i = n - 2; i >= 1; i--) {
+        second[i][j] = d[i] - c[i] * second[i + 1][j];
+      }
+    }
+
+    const first = points.map((point, i) => point.map((_, j) => (i < n - 1
+      ? points[i + 1][j] - points[i][j] - second[i][j] / 3 - second[i + 1][j] / 6
+      : points[i][j] - points[i - 1][j] + second[i - 1][j] / 6 + second[i][j] / 3)));
+
+    const third = points.map((point, i) => point.map((_, j) => Math.max(
+      i > 0 ? Math.abs(second[i][j] - second[i - 1][j]) : 0,
+      i < n - 1 ? Math.abs(second[i + 1][j] - second[i][j]) : 0
+    )));
+
+    return { first, second, third };
+  }
+
+  /**
+   * 各采样点附近 (前后半个间距) TCP 位移对路径参数的最大变化率 |dp/ds| (mm)，按 1/4 间距弦长计算
+   */
+  async tcpRate(kinematics, points, moments, slice = new TimeSlice()) {
+    const n = points.length;
+    const position = s => {
+      const { x, y, z } = kinematics.forwardKinematics(this.splinePoint(points, moments, s)).getPosition('mm');
+      return [x, y, z];
+    };
+
+    const samples = [];
+    for (let k = 0; k <= 4 * (n - 1); k++) {
+      await slice.yield();
+      samples.push(position(k / 4));
+    }
+    const chords = samples.slice(1).map((p, k) => 4 * Math.hypot(...p.map((v, d) => v - samples[k][d])));
+
+    return points.map((_, i) => Math.max(...chords.slice(Math.max(0, 4 * i - 2), Math.min(chords.length, 4 * i + 2))));
+  }
+
+  /**
+   * 最大速度曲线 x ≤ MVC_i 及其来源 (关节速度、路径曲率引起的加加速度 |q‴_j|·ṡ³ ≤ J_j 或 TCP 速度)
+   */
+  maximumVelocityCurve(derivatives, tcpRate, tcpSpeed) {
+    const limit = [];
+    const source = [];
+
+    derivatives.first.forEach((dq, i) => {
+      let best = Infinity;
+      let constraint = null;
+
+      dq.forEach((value, j) => {
+        const bound = Math.pow(this.limits.maxVelocity[j] / Math.abs(value), 2);
+        if (bound < best) {
+          best = bound;
+          constraint = `velocity J${j + 1}`;
+        }
+      });
+
+      derivatives.third[i].forEach((value, j) => {
+        const bound = Math.pow(this.limits.maxJerk[j] / Math.abs(value), 2 / 3);
+        if (bound < best) {
+          best = bound;
+          constraint = `jerk J${j + 1}`;
+        }
+      });
+
+      if (tcpRate) {
+        const bound = Math.pow(tcpSpeed[i] / tcpRate[i], 2);
+        if (bound < best) {
+          best = bound;
+          constraint = 'tcp speed';
+        }
+      }
+
+      limit.push(best);
+      source.push(constraint);
+    });
+
+    return { limit, source };
+  }
+
+  /**
+   * 给定 x 时加速度约束允许的 u 区间
+   */
+  controlBounds(derivatives, i, x, scale) {
+    let low = -Infinity;
+    let high = Infinity;
+    let feasible = true;
+
+    derivatives.first[i].forEach((a, j) => {
+      const b = derivatives.second[i][j];
+      const limit = this.limits.maxAcceleration[j] * scale;
+
+      if (Math.abs(a) < 1e-12) {
+        if (Math.abs(b * x) > limit) feasible = false;
+        return;
+      }
+
+      const u1 = (-limit - b * x) / a;
+      const u2 = (limit - b * x) / a;
+      low = Math.max(low, Math.min(u1, u2));
+      high = Math.min(high, Math.max(u1, u2));
+    });
+
+    return { low, high, feasible: feasible && low <= high };
+  }
+
+  /**
+   * 反向可控集 + 正向最大加速
+   * @param {number[]} velocityLimit - 各点 x 上限
+   * @param {number[]} accelerationScale - 各点加速度限制缩放系数
+   * @returns {Object} {x: 各点 ṡ², u: 各段 s̈, times: 各点时刻}
+   */
+  solve(derivatives, velocityLimit, accelerationScale) {
+    const n = velocityLimit.length;
+    const beta = new Array(n).fill(0);
+
+    // 反向: β_i = max x，使存在 u 满足 i 点加速度约束且 0 ≤ x + 2u ≤ β_{i+1}
+    for (let i = n - 2; i >= 0; i--) {
+      const reachable = x => {
+        const bounds = this.controlBounds(derivatives, i, x, accelerationScale[i]);
+        const low = Math.max(bounds.low, -x / 2);
+        const high = Math.min(bounds.high, (beta[i + 1] - x) / 2);
+        return bounds.feasible && low <= high;
+      };
+
+      let lowX = 0;
+      let highX = Math.min(velocityLimit[i], 1e12);
+      if (reachable(highX)) {
+        beta[i] = highX;
+        continue;
+      }
+      for (let k = 0; k < 60; k++) {
+        const mid = (lowX + highX) / 2;
+        if (reachable(mid)) lowX = mid; else highX = mid;
+      }
+      beta[i] = lowX;
+    }
+
+    // 正向: 起点静止，每段取可行的最大 u
+    const x = [0];
+    const u = [];
+    for (let i = 0; i < n - 1; i++) {
+      const bounds = this.controlBounds(derivatives, i, x[i], accelerationScale[i]);
+      const low = Math.max(bounds.low, -x[i] / 2);
+      const high = Math.min(bounds.high, (beta[i + 1] - x[i]) / 2);
+      // 舍入误差导致区间为空时取下界 (减速)
+      const control = high >= low ? high : low;
+
+      u.push(control);
+      x.push(Math.max(0, x[i] + 2 * control));
+    }
+    x[n - 1] = 0;
+
+    const times = [0];
+    for (let i = 0; i < n - 1; i++) {
+      times.push(times[i] + 2 / (Math.sqrt(x[i]) + Math.sqrt(x[i + 1])));
+    }
+
+    return { x, u, times };
+  }
+
+  /**
+   * s(t) 的滑动平均滤波: s_f(t) = (1/τ)·∫_{t-τ}^{t} s，起点前、终点后视为静止
+   * @param {Object} profile - solve 结果
+   * @param {number} window - 滤波宽度 τ (秒)
+   * @returns {number[]} 各输出采样时刻的网格参数 (小数网格序号)
+   */
+  smooth(profile, window, sampleTime) {
+    const { x, u, times } = profile;
+    const n = x.length;
+    const duration = times[n - 1];
+    const step = sampleTime / 10;
+
+    // 原始 s(t) 以细步长积分: integral[m] = ∫_0^{m·step} s
+    const integral = [0];
+    let previous = 0;
+    let i = 0;
+    for (let m = 1; m * step <= duration; m++) {
+      const time = m * step;
+      while (i < n - 2 && times[i + 1] <= time) i++;
+      const tau = time - times[i];
+      const current = i + Math.min(1, Math.max(0, Math.sqrt(x[i]) * tau + u[i] * tau * tau / 2));
+      integral.push(integral[m - 1] + (previous + current) / 2 * step);
+      previous = current;
+    }
+
+    const last = integral.length - 1;
+    const cumulative = time => {
+      if (time <= 0) return 0;
+      if (time >= last * step) return integral[last] + (n - 1) * (time - last * step);
+      const m = Math.floor(time / step);
+      return integral[m] + (integral[m + 1] - integral[m]) * (time / step - m);
+    };
+
+    const count = Math.max(1, Math.ceil((duration + window) / sampleTime - 1e-9));
+    const parameter = [];
+    for (let k = 0; k <= count; k++) {
+      const time = k * sampleTime;
+      parameter.push(Math.min(n - 1, Math.max(0, (cumulative(time) - cumulative(time - window)) / window)));
+    }
+    parameter[count] = n - 1;
+
+    return parameter;
+  }
+
+  /**
+   * 输出轨迹按采样周期的关节速度、加速度、加加速度 (中心差分，起止前后视为静止)
+   */
+  finiteDifferences(trajectory, sampleTime) {
+    const first = trajectory[0].position;
+    const last = trajectory[trajectory.length - 1].position;
+    const p = [first, first, ...trajectory.map(point => point.position), last, last];
+    const h = sampleTime;
+
+    return trajectory.map((_, index) => {
+      const k = index + 2;
+      return {
+        velocity: p[k].map((_, j) => (p[k + 1][j] - p[k - 1][j]) / (2 * h)),
+        acceleration: p[k].map((q, j) => (p[k + 1][j] - 2 * q + p[k - 1][j]) / (h * h)),
+        jerk: p[k].map((_, j) => (p[k + 2][j] - 2 * p[k + 1][j] + 2 * p[k - 1][j] - p[k - 2][j]) / (2 * h * h * h))
+      };
+    });
+  }
+
+  /**
+   * 输出轨迹各采样点的限制利用率
+   * @returns {Object[][]} 各采样点 [{constraint, ratio: 实际值/限制值, exponent}]，
+   *   时间缩放 x → c·x 时速度按 c^0.5、加速度按 c、加加速度按 c^1.5 变化，exponent 为 1 / 该幂次
+   */
+  async utilization(trajectory, parameter, tcpRate, tcpSpeed, sampleTime, slice = new TimeSlice()) {
+    const differences = this.finiteDifferences(trajectory, sampleTime);
+    const result = [];
+
+    for (let k = 0; k < trajectory.length; k++) {
+      await slice.yield();
+
+      const { velocity, acceleration, jerk } = differences[k];
+      const entries = [];
+
+      for (let j = 0; j < 6; j++) {
+        entries.push({ constraint: `velocity J${j + 1}`, ratio: Math.abs(velocity[j]) / this.limits.maxVelocity[j], exponent: 2 });
+        entries.push({ constraint: `acceleration J${j + 1}`, ratio: Math.abs(acceleration[j]) / this.limits.maxAcceleration[j], exponent: 1 });
+        entries.push({ constraint: `jerk J${j + 1}`, ratio: Math.abs(jerk[j]) / this.limits.maxJerk[j], exponent: 2 / 3 });
+      }
+
+      if (tcpRate) {
+        const i = Math.round(parameter[k]);
+        const rate = (parameter[Math.min(k + 1, parameter.length - 1)] - parameter[Math.max(k - 1, 0)]) / (2 * sampleTime);
+        entries.push({ constraint: 'tcp speed', ratio: rate * tcpRate[i] / tcpSpeed[i], exponent: 2 });
+      }
+
+      result.push(entries);
+    }
+
+    return result;
+  }
+
+  /**
+   * 超限采样点及消除超限所需的时间缩放系数
+   * @returns {Object[]} [{time, factor}]
+   */
+  violations(trajectory, utilization) {
+    const result = [];
+
+    utilization.forEach((entries, k) => {
+      let factor = 1;
+      for (const { ratio, exponent } of entries) {
+        if (ratio > 1 + 1e-3) factor = Math.min(factor, Math.pow(1 / ratio, exponent));
+      }
+      if (factor < 1) result.push({ time: trajectory[k].time, factor });
+    });
+
+    return result;
+  }
+
+  /**
+   * 起作用的约束: 各采样点利用率最高且达到 activeThreshold 的限制，相邻同类合并为时间区间
+   */
+  activeConstraints(trajectory, utilization) {
+    const segments = [];
+
+    trajectory.forEach((point, k) => {
+      let constraint = null;
+      let maxRatio = this.activeThreshold;
+
+      for (const entry of utilization[k]) {
+        if (entry.ratio >= maxRatio) {
+          maxRatio = entry.ratio;
+          constraint = entry.constraint;
+        }
+      }
+
+      const last = segments[segments.length - 1];
+      if (last && last.constraint === constraint) {
+        last.to = point.time;
+      } else {
+        segments.push({ from: point.time, to: point.time, constraint });
+      }
+    });
+
+    return segments.filter(segment => segment.constraint !== null);
+  }
+
+  /**
+   * 按网格参数输出关节角 (三次样条插值)
+   * @param {number[][]} moments - 样条各采样点二阶导
+   */
+  resample(grid, moments, parameter, sampleTime) {
+    const { points, source } = grid;
+    const n = points.length;
+
+    return parameter.map((s, k) => {
+      const i = Math.min(n - 2, Math.floor(s));
+      return {
+        time: k * sampleTime,
+        position: this.splinePoint(points, moments, s),
+        pathIndex: source[i] + (s - i) * (source[i + 1] - source[i])
+      };
+    });
+  }
+
+  /**
+   * 三次样条在路径参数 s 处的关节角
+   */
+  splinePoint(points, moments, s) {
+    const i = Math.min(points.length - 2, Math.floor(s));
+    const t = s - i;
+    const a = ((1 - t) * (1 - t) * (1 - t) - (1 - t)) / 6;
+    const b = (t * t * t - t) / 6;
+    return points[i].map((q, j) => (1 - t) * q + t * points[i + 1][j] + a * moments[i][j] + b * moments[i + 1][j]);
+  }
+}
+
+module.exports = PathParameterizer;
@@ -0,0 +1,470 @@
+/**
+ * 位姿类型 - 位置 + 单位四元数
+ *
+ * 系统内部统一单位：长度 m，角度 rad，姿态以单位四元数 {w, x, y, z} 表示。
+ * 界面使用的 XYZ 欧拉角 (R = Rz·Ry·Rx，即绕固定轴依次转 rx、ry、rz) 及 mm、度
+ * 通过 fromEuler / toEuler / serialize 转换。
+ *
+ * 对外载荷 (Socket / REST) 形式：
+ *   {position: {x, y, z}, orientation: {w, x, y, z} 或 {rx, ry, rz}, units: {length, angle}}
+ * 单位必须显式声明，由 Pose.parse 校验并换算为内部单位。
+ *
+ * Pose 对象不可变，各运算均返回新对象。
+ */
+
+// 长度单位 -> m
+const LENGTH_UNITS = { m: 1, mm: 0.001 };
+
+// 角度单位 -> rad
+const ANGLE_UNITS = { rad: 1, deg: Math.PI / 180 };
+
+// 对外载荷默认单位 (与界面一致)
+const PAYLOAD_UNITS = { length: 'mm', angle: 'deg' };
+
+// 换算后位置超出该范围 (m) 视为单位声明错误 (如毫米数值声明为 m)
+const MAX_POSITION = 5;
+
+// 四元数模长容差，超出时拒绝 (多为误将欧拉角作为四元数)
+const QUATERNION_TOLERANCE = 1e-3;
+
+class Pose {
+  /**
+   * @param {Object} position - 位置 {x, y, z} (m)
+   * @param {Object} orientation - 姿态四元数 {w, x, y, z} (自动归一化，w ≥ 0)
+   */
+  constructor(position = { x: 0, y: 0, z: 0 }, orientation = { w: 1, x: 0, y: 0, z: 0 }) {
+    const { w, x, y, z } = orientation;
+    const norm = Math.hypot(w, x, y, z);
+
+    if (!Number.isFinite(norm) || norm < 1e-12) {
+      throw new Error('Pose orientation must be a non-zero quaternion');
+    }
+    for (const key of ['x', 'y', 'z']) {
+      if (!Number.isFinite(position[key])) {
+        throw new Error(`Pose position.${key} must be a finite number`);
+      }
+    }
+
+    // q 与 -q 表示同一姿态，统一取 w ≥ 0
+    const sign = w < 0 ? -1 : 1;
+
+    this.position = Object.freeze({ x: position.x, y: position.y, z: position.z });
+    this.orientation = Object.freeze({
+      w: sign * w / norm,
+      x: sign * x / norm,
+      y: sign * y / norm,
+      z: sign * z / norm
+    });
+    Object.freeze(this);
+  }
+
+  /**
+   * 由位置与XYZ欧拉角构造
+   * @param {Object} position - {x, y, z}
+   * @param {Object} euler - {rx, ry, rz}
+   * @param {Object} units - {length: 'm'|'mm', angle: 'rad'|'deg'} (默认 m、rad)
+   */
+  static fromEuler(position, euler, units = {}) {
+    const { length, angle } = Pose.resolveUnits(units);
+    const l = LENGTH_UNITS[length];
+    const a = ANGLE_UNITS[angle];
+
+    return new Pose(
+      { x: position.x * l, y: position.y * l, z: position.z * l },
+      Pose.eulerToQuaternion({ rx: euler.rx * a, ry: euler.ry * a, rz: euler.rz * a })
+    );
+  }
+
+  /**
+   * 由齐次变换矩阵构造 (数组形式，单位 m)
+   */
+  static fromTransform(T) {
+    return new Pose(
+      { x: T[0][3], y: T[1][3], z: T[2][3] },
+      Pose.rotationToQuaternion(T)
+    );
+  }
+
+  /**
+   * 校验参数为 Pose 对象
+   */
+  static from(value) {
+    if (!(value instanceof Pose)) {
+      throw new Error('Expected a Pose (use Pose.parse for external payloads)');
+    }
+    return value;
+  }
+
+  /**
+   * 解析对外载荷
+   *
+   * 必须声明长度单位；姿态以欧拉角给出时还须声明角度单位。
+   * 以下情况视为单位不匹配并拒绝：
+   * - 换算后位置超出 MAX_POSITION (如 mm 数值声明为 m)
+   * - 声明为 rad 的欧拉角超出 ±2π (多为度数)
+   * - 四元数模长偏离 1
+   *
+   * @param {Object} payload - {position, orientation, units}
+   * @returns {Pose} 内部单位的位姿
+   */
+  static parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Pose payload is required');
+    }
+
+    const { position, orientation = { w: 1, x: 0, y: 0, z: 0 }, units } = payload;
+    if (!units || !units.length) {
+      throw new Error('Pose payload must declare units.length (m or mm)');
+    }
+    const length = Pose.resolveUnits({ length: units.length }).length;
+
+    const p = Pose.parseVector(position, ['x', 'y', 'z'], 'position');
+    const scale = LENGTH_UNITS[length];
+    const metres = { x: p.x * scale, y: p.y * scale, z: p.z * scale };
+
+    if (Math.hypot(metres.x, metres.y, metres.z) > MAX_POSITION) {
+      throw new Error(`Pose position (${p.x}, ${p.y}, ${p.z}) ${length} is beyond ${MAX_POSITION} m; check units.length`);
+    }
+
+    return new Pose(metres, Pose.parseOrientation(orientation, units));
+  }
+
+  /**
+   * 解析对外载荷中的姿态 (四元数或欧拉角)
+   * @returns {Object} 单位四元数
+   */
+  static parseOrientation(orientation, units = {}) {
+    if (!orientation || typeof orientation !== 'object') {
+      throw new Error('Pose orientation is required');
+    }
+
+    if ('w' in orientation) {
+      const q = Pose.parseVector(orientation, ['w', 'x', 'y', 'z'], 'orientation');
+      const norm = Math.hypot(q.w, q.x, q.y, q.z);
+      if (Math.abs(norm - 1) > QUATERNION_TOLERANCE) {
+        throw new Error(`Pose orientation quaternion must have unit norm (got ${norm.toFixed(4)})`);
+      }
+      return q;
+    }
+
+    if (!units.angle) {
+      throw new Error('Pose payload with Euler angles must declare units.angle (rad or deg)');
+    }
+    const { angle } = Pose.resolveUnits({ angle: units.angle });
+    const euler = Pose.parseVector(orientation, ['rx', 'ry', 'rz'], 'orientation');
+
+    if (angle === 'rad' && Object.values(euler).some(value => Math.abs(value) > 2 * Math.PI + 1e-9)) {
+      throw new Error(`Pose orientation (${euler.rx}, ${euler.ry}, ${euler.rz}) exceeds ±2π rad; check units.angle`);
+    }
+
+    const a = ANGLE_UNITS[angle];
+    return Pose.eulerToQuaternion({ rx: euler.rx * a, ry: euler.ry * a, rz: euler.rz * a });
+  }
+
+  /**
+   * 校验单位名称并补全默认值 (m、rad)
+   */
+  static resolveUnits({ length = 'm', angle = 'rad' } = {}) {
+    if (!(length in LENGTH_UNITS)) {
+      throw new Error(`Unknown length unit "${length}" (expected ${Object.keys(LENGTH_UNITS).join(' or ')})`);
+    }
+    if (!(angle in ANGLE_UNITS)) {
+      throw new Error(`Unknown angle unit "${angle}" (expected ${Object.keys(ANGLE_UNITS).join(' or ')})`);
+    }
+    return { length, angle };
+  }
+
+  /**
+   * 读取数值分量并校验
+   */
+  static parseVector(value, keys, label) {
+    if (!value || typeof value !== 'object') {
+      throw new Error(`Pose ${label} is required`);
+    }
+
+    const result = {};
+    for (const key of keys) {
+      const number = Number(value[key]);
+      if (value[key] == null || !Number.isFinite(number)) {
+        throw new Error(`Pose ${label}.${key} must be a finite number`);
+      }
+      result[key] = number;
+    }
+    return result;
+  }
+
+  /**
+   * 齐次变换矩阵 (数组形式，单位 m)
+   */
+  toTransform() {
+    const R = this.toRotation();
+    const { x, y, z } = this.position;
+
+    return [
+      [...R[0], x],
+      [...R[1], y],
+      [...R[2], z],
+      [0, 0, 0, 1]
+    ];
+  }
+
+  /**
+   * 旋转矩阵 (数组形式)
+   */
+  toRotation() {
+    return Pose.quaternionToRotation(this.orientation);
+  }
+
+  /**
+   * XYZ欧拉角
+   * @param {string} angle - 角度单位 'rad' | 'deg'
+   */
+  toEuler(angle = 'rad') {
+    const a = ANGLE_UNITS[Pose.resolveUnits({ angle }).angle];
+    const { rx, ry, rz } = Pose.quaternionToEuler(this.orientation);
+    return { rx: rx / a, ry: ry / a, rz: rz / a };
+  }
+
+  /**
+   * 位置
+   * @param {string} length - 长度单位 'm' | 'mm'
+   */
+  getPosition(length = 'm') {
+    const l = LENGTH_UNITS[Pose.resolveUnits({ length }).length];
+    const { x, y, z } = this.position;
+    return { x: x / l, y: y / l, z: z / l };
+  }
+
+  /**
+   * 位姿复合 this · other (other 表示在本位姿坐标系下)
+   */
+  multiply(other) {
+    const { position: p, orientation: q } = Pose.from(other);
+    const R = this.toRotation();
+
+    return new Pose(
+      {
+        x: this.position.x + R[0][0] * p.x + R[0][1] * p.y + R[0][2] * p.z,
+        y: this.position.y + R[1][0] * p.x + R[1][1] * p.y + R[1][2] * p.z,
+        z: this.position.z + R[2][0] * p.x + R[2][1] * p.y + R[2][2] * p.z
+      },
+      Pose.multiplyQuaternion(this.orientation, q)
+    );
+  }
+
+  /**
+   * 逆位姿
+   */
+  inverse() {
+    const { w, x, y, z } = this.orientation;
+    const conjugate = { w, x: -x, y: -y, z: -z };
+    const Rt = Pose.quaternionToRotation(conjugate);
+    const p = this.position;
+
+    return new Pose(
+      {
+        x: -(Rt[0][0] * p.x + Rt[0][1] * p.y + Rt[0][2] * p.z),
+        y: -(Rt[1][0] * p.x + Rt[1][1] * p.y + Rt[1][2] * p.z),
+        z: -(Rt[2][0] * p.x + Rt[2][1] * p.y + Rt[2][2] * p.z)
+      },
+      conjugate
+    );
+  }
+
+  /**
+   * 位姿插值 (位置线性插值，姿态球面线性插值)
+   * @param {Pose} other - 目标位姿
+   * @param {number} s - 插值参数 [0, 1]
+   */
+  interpolate(other, s) {
+    const { position: p } = Pose.from(other);
+
+    return new Pose(
+      {
+        x: this.position.x + s * (p.x - this.position.x),
+        y: this.position.y + s * (p.y - this.position.y),
+        z: this.position.z + s * (p.z - this.position.z)
+      },
+      Pose.slerp(this.orientation, other.orientation, s)
+    );
+  }
+
+  /**
+   * 与另一位姿的距离
+   * @returns {Object} {translation (m), rotation (rad)}
+   */
+  distanceTo(other) {
+    const { position: p, orientation: q } = Pose.from(other);
+    const o = this.orientation;
+    const dot = Math.min(1, Math.abs(o.w * q.w + o.x * q.x + o.y * q.y + o.z * q.z));
+
+    return {
+      translation: Math.hypot(p.x - this.position.x, p.y - this.position.y, p.z - this.position.z),
+      rotation: 2 * Math.acos(dot)
+    };
+  }
+
+  /**
+   * 转换为对外载荷 (附带欧拉角便于界面显示)
+   * @param {Object} units - {length, angle}，默认 mm、度
+   */
+  serialize(units = PAYLOAD_UNITS) {
+    const resolved = Pose.resolveUnits(units);
+
+    return {
+      position: this.getPosition(resolved.length),
+      orientation: { ...this.orientation },
+      euler: this.toEuler(resolved.angle),
+      units: resolved
+    };
+  }
+
+  toJSON() {
+    return this.serialize();
+  }
+}
+
+/**
+ * XYZ欧拉角转旋转矩阵 R = Rz · Ry · Rx (数组形式)
+ */
+Pose.eulerToRotation = ({ rx, ry, rz }) => {
+  const cx = Math.cos(rx), sx = Math.sin(rx);
+  const cy = Math.cos(ry), sy = Math.sin(ry);
+  const cz = Math.cos(rz), sz = Math.sin(rz);
+
+  return [
+    [cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx],
+    [sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx],
+    [-sy, cy * sx, cy * cx]
+  ];
+};
+
+/**
+ * 旋转矩阵 (或齐次变换矩阵) 提取XYZ欧拉角
+ */
+Pose.rotationToEuler = (R) => {
+  const [[r11, r12, r13], [r21], [r31, r32, r33]] = R;
+  let rx, ry, rz;
+
+  if (Math.abs(r31) < 0.99999) {
+    ry = -Math.asin(r31);
+    const cry = Math.cos(ry);
+    rx = Math.atan2(r32 / cry, r33 / cry);
+    rz = Math.atan2(r21 / cry, r11 / cry);
+  } else {
+    // 万向节锁
+    rx = 0;
+    if (r31 < 0) {
+      ry = Math.PI / 2;
+      rz = Math.atan2(r12, r13);
+    } else {
+      ry = -Math.PI / 2;
+      rz = Math.atan2(-r12, -r13);
+    }
+  }
+
+  return { rx, ry, rz };
+};
+
+/**
+ * XYZ欧拉角转四元数 (与 eulerToRotation 同一约定)
+ */
+Pose.eulerToQuaternion = ({ rx, ry, rz }) => {
+  const cx = Math.cos(rx / 2), sx = Math.sin(rx / 2);
+  const cy = Math.cos(ry / 2), sy = Math.sin(ry / 2);
+  const cz = Math.cos(rz / 2), sz = Math.sin(rz / 2);
+
+  return {
+    w: cx * cy * cz + sx * sy * sz,
+    x: sx * cy * cz - cx * sy * sz,
+    y: cx * sy * cz + sx * cy * sz,
+    z: cx * cy * sz - sx * sy * cz
+  };
+};
+
+/**
+ * 四元数转XYZ欧拉角 (经旋转矩阵，万向节锁处理与 rotationToEuler 一致)
+ */
+Pose.quaternionToEuler = (q) => Pose.rotationToEuler(Pose.quaternionToRotation(q));
+
+/**
+ * 四元数转旋转矩阵
+ */
+Pose.quaternionToRotation = ({ w, x, y, z }) => [
+  [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+  [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+  [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+];
+
+/**
+ * 旋转矩阵 (或齐次变换矩阵) 转四元数 (Shepperd 法，选取最大分量避免除以小数)
+ */
+Pose.rotationToQuaternion = (R) => {
+  const trace = R[0][0] + R[1][1] + R[2][2];
+
+  if (trace > 0) {
+    const s = 2 * Math.sqrt(trace + 1);
+    return { w: s / 4, x: (R[2][1] - R[1][2]) / s, y: (R[0][2] - R[2][0]) / s, z: (R[1][0] - R[0][1]) / s };
+  }
+  if (R[0][0] > R[1][1] && R[0][0] > R[2][2]) {
+    const s = 2 * Math.sqrt(1 + R[0][0] - R[1][1] - R[2][2]);
+    return { w: (R[2][1] - R[1][2]) / s, x: s / 4, y: (R[0][1] + R[1][0]) / s, z: (R[0][2] + R[2][0]) / s };
+  }
+  if (R[1][1] > R[2][2]) {
+    const s = 2 * Math.sqrt(1 + R[1][1] - R[0][0] - R[2][2]);
+    return { w: (R[0][2] - R[2][0]) / s, x: (R[0][1] + R[1][0]) / s, y: s / 4, z: (R[1][2] + R[2][1]) / s };
+  }
+  const s = 2 * Math.sqrt(1 + R[2][2] - R[0][0] - R[1][1]);
+  return { w: (R[1][0] - R[0][1]) / s, x: (R[0][2] + R[2][0]) / s, y: (R[1][2] + R[2][1]) / s, z: s / 4 };
+};
+
+/**
+ * 四元数乘法 q1 · q2
+ */
+Pose.multiplyQuaternion = (q1, q2) => ({
+  w: q1.w * q2.w - q1.x * q2.x - q1.y * q2.y - q1.z * q2.z,
+  x: q1.w * q2.x + q1.x * q2.w + q1.y * q2.z - q1.z * q2.y,
+  y: q1.w * q2.y - q1.x * q2.z + q1.y * q2.w + q1.z * q2.x,
+  z: q1.w * q2.z + q1.x * q2.y - q1.y * q2.x + q1.z * q2.w
+});
+
+/**
+ * 四元数球面线性插值 (最短路径)
+ */
+Pose.slerp = (q1, q2, t) => {
+  let dot = q1.w * q2.w + q1.x * q2.x + q1.y * q2.y + q1.z * q2.z;
+
+  // 确保最短路径
+  if (dot < 0) {
+    q2 = { w: -q2.w, x: -q2.x, y: -q2.y, z: -q2.z };
+    dot = -dot;
+  }
+
+  // 夹角很小时线性插值避免除零 (由 Pose 构造函数归一化)
+  if (dot > 0.9995) {
+    return {
+      w: q1.w + t * (q2.w - q1.w),
+      x: q1.x + t * (q2.x - q1.x),
+      y: q1.y + t * (q2.y - q1.y),
+      z: q1.z + t * (q2.z - q1.z)
+    };
+  }
+
+  const theta0 = Math.acos(dot);
+  const sinTheta0 = Math.sin(theta0);
+  const s0 = Math.sin((1 - t) * theta0) / sinTheta0;
+  const s1 = Math.sin(t * theta0) / sinTheta0;
+
+  return {
+    w: s0 * q1.w + s1 * q2.w,
+    x: s0 * q1.x + s1 * q2.x,
+    y: s0 * q1.y + s1 * q2.y,
+    z: s0 * q1.z + s1 * q2.z
+  };
+};
+
+Pose.LENGTH_UNITS = LENGTH_UNITS;
+Pose.ANGLE_UNITS = ANGLE_UNITS;
+Pose.PAYLOAD_UNITS = PAYLOAD_UNITS;
+
+module.exports = Pose;
@@ -0,0 +1,69 @@
+/**
+ * 五次多项式轨迹 - 给定起止位置、速度、加速度的关节轨迹
+ *
+ * q(t) = c₀ + c₁t + c₂t² + c₃t³ + c₄t⁴ + c₅t⁵，系数为闭式解 (h = qf - q0，T 为时长)：
+ *   c₀ = q0,  c₁ = v0,  c₂ = a0/2
+ *   c₃ = (20h - (8vf + 12v0)T - (3a0 - af)T²) / (2T³)
+ *   c₄ = (-30h + (14vf + 16v0)T + (3a0 - 2af)T²) / (2T⁴)
+ *   c₅ = (12h - 6(vf + v0)T + (af - a0)T²) / (2T⁵)
+ */
+
+const TrajectoryPrimitive = require('./TrajectoryPrimitive');
+
+class QuinticTrajectory extends TrajectoryPrimitive {
+  /**
+   * @param {number[]} start - 起始关节角度
+   * @param {number[]} end - 目标关节角度
+   * @param {number} duration - 运动时间 (秒)
+   * @param {Object} boundary - 边界条件 {startVelocity, endVelocity, startAcceleration, endAcceleration} (默认全零)
+   */
+  constructor(start, end, duration, boundary = {}) {
+    if (!(duration > 0)) {
+      throw new Error('Quintic trajectory duration must be positive');
+    }
+    super(duration);
+
+    const zeros = start.map(() => 0);
+    const {
+      startVelocity = zeros,
+      endVelocity = zeros,
+      startAcceleration = zeros,
+      endAcceleration = zeros
+    } = boundary;
+    const T = duration;
+
+    this.coefficients = start.map((q0, j) => {
+      const h = end[j] - q0;
+      const v0 = startVelocity[j];
+      const vf = endVelocity[j];
+      const a0 = startAcceleration[j];
+      const af = endAcceleration[j];
+
+      return [
+        q0,
+        v0,
+        a0 / 2,
+        (20 * h - (8 * vf + 12 * v0) * T - (3 * a0 - af) * T * T) / (2 * Math.pow(T, 3)),
+        (-30 * h + (14 * vf + 16 * v0) * T + (3 * a0 - 2 * af) * T * T) / (2 * Math.pow(T, 4)),
+        (12 * h - 6 * (vf + v0) * T + (af - a0) * T * T) / (2 * Math.pow(T, 5))
+      ];
+    });
+  }
+
+  evaluate(t, order) {
+    const time = Math.min(Math.max(t, 0), this.duration);
+
+    return this.coefficients.map(c => {
+      // k 阶导数: Σ c_i · i!/(i-k)! · t^(i-k)，Horner 法
+      let value = 0;
+      for (let i = 5; i >= order; i--) {
+        let factor = 1;
+        for (let k = 0; k < order; k++) factor *= i - k;
+        value = value * time + c[i] * factor;
+      }
+      return value;
+    });
+  }
+}
+
+module.exports = QuinticTrajectory;
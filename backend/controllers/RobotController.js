@@ -5,15 +5,27 @@
  * - EtherCAT 总线通信
  * - 关节空间运动控制
  * - 笛卡尔空间运动控制
- * - 实时状态反馈
+ * - 实时状态反馈 (位置、滤波速度与加速度、电流)
+ * - 基于电流残差的碰撞观测 (模拟模式下按动力学模型生成电流，可注入碰撞)
+ * - 控制周期事件 'control-cycle' (安全监控检查运动限制、黑匣子按周期记录)
+ * - IEC 60204-1 停止类别 0/1/2 与驱动使能状态
  */
 
 const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
 const ethercat = require('ethercat');
 const math = require('mathjs');
 const winston = require('winston');
 
 const Kinematics = require('./Kinematics');
+const Pose = require('./Pose');
+const TrajectoryExecutor = require('./TrajectoryExecutor');
+const ToolManager = require('./ToolManager');
+const FrameManager = require('./FrameManager');
+const CollisionModel = require('./CollisionModel');
+const DynamicsModel = require('./DynamicsModel');
+const CollisionObserver = require('./CollisionObserver');
+const JointStateEstimator = require('./JointStateEstimator');
 
 // 配置DH参数 (埃斯顿S3-60机器人MDH参数)
 const DH_PARAMS = [
@@ -25,6 +37,24 @@ const DH_PARAMS = [
   { a: 0, alpha: -Math.PI/2, d: 0, theta: 0 }       // J6
 ];
 
+// CiA 402 控制字
+const CONTROLWORD = {
+  DISABLE_VOLTAGE: 0x0000,  // 断开功率级，抱闸
+  SHUTDOWN: 0x0006,
+  SWITCH_ON: 0x0007,
+  ENABLE_OPERATION: 0x000F
+};
+
+// 默认关节运动限制: 速度 (rad/s)、加速度 (rad/s²)、加加速度 (rad/s³)，由配置 robot.limits 替换
+const MOTION_LIMITS = {
+  velocity: [2.0, 2.0, 2.0, 4.0, 4.0, 6.0],
+  acceleration: [8.0, 8.0, 8.0, 16.0, 16.0, 24.0],
+  jerk: [40.0, 40.0, 40.0, 80.0, 80.0, 120.0]
+};
+
+// 模拟电流噪声 (额定电流比例，均匀分布幅值)
+const SIMULATION_CURRENT_NOISE = 0.002;
+
 // 关节限位 (弧度)
 const JOINT_LIMITS = [
   { min: -2.97, max: 2.97 },  // J1: -170° to 170°
@@ -39,22 +69,65 @@ class RobotController extends EventEmitter {
   constructor() {
     super();
     
-    this.kinematics = new Kinematics(DH_PARAMS);
+    this.kinematics = new Kinematics(DH_PARAMS, JOINT_LIMITS);
     this.ethercatMaster = null;
-    this.isConnected = false;
+    // EtherCAT 连接状态 (模拟模式下同样为 true)
+    this.connected = false;
     this.isMoving = false;
+
+    // 驱动使能状态 (停止类别 0/1 断开驱动后须重新使能)
+    this.drivesEnabled = true;
+
+    // 关节运动限制 (规划器与安全监控使用同一组限制，受控停止按加速度限制减速)
+    this.motionLimits = {
+      velocity: [...MOTION_LIMITS.velocity],
+      acceleration: [...MOTION_LIMITS.acceleration],
+      jerk: [...MOTION_LIMITS.jerk]
+    };
     
     // 当前关节角度 (弧度)
     this.currentJoints = [0, 0, 0, 0, 0, 0];
     
     // 目标关节角度 (弧度)
     this.targetJoints = [0, 0, 0, 0, 0, 0];
+
+    // 关节速度 (rad/s)、加速度 (rad/s²) 估计与电机实际电流 (A)
+    this.stateEstimator = new JointStateEstimator();
+    this.jointVelocities = [0, 0, 0, 0, 0, 0];
+    this.jointAccelerations = [0, 0, 0, 0, 0, 0];
+    this.jointCurrents = [0, 0, 0, 0, 0, 0];
+
+    // 驱动器实际速度 (0x606C) 本周期读数，读取失败后改用位置差分
+    this.measuredVelocities = null;
+    this.velocityPdoAvailable = true;
     
-    // 末端执行器位姿
-    this.endEffectorPose = { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 };
+    // 末端执行器位姿 (当前工具 TCP)
+    this.endEffectorPose = new Pose();
     
     // 通信周期 (ms)
     this.cycleTime = 10;
+
+    // 轨迹执行器 (由控制循环按周期拉取设定值)
+    this.trajectoryExecutor = new TrajectoryExecutor();
+
+    // 工具管理 (笛卡尔位姿均以当前工具 TCP 表示)
+    this.toolManager = new ToolManager();
+
+    // 用户坐标系 (书写平面、工装)
+    this.frameManager = new FrameManager();
+
+    // 连杆胶囊体与静态障碍物 (障碍物由配置加载)
+    this.collisionModel = new CollisionModel(this.kinematics);
+
+    // 动力学模型与动量观测器 (电流残差碰撞检测，阈值由 SafetyMonitor 判定)
+    this.dynamics = new DynamicsModel(this.kinematics);
+    this.collisionObserver = new CollisionObserver(this.dynamics);
+
+    // 模拟模式: 上周期动量与注入的外力矩 {torques (N·m), until (ms)}
+    this.simulationMomentum = null;
+    this.simulatedCollision = null;
+
+    this.applyActiveTool();
     
     // 日志记录
     this.logger = winston.createLogger({
@@ -114,13 +187,13 @@ class RobotController extends EventEmitter {
       // 启动EtherCAT主站
       await this.ethercatMaster.start();
       
-      this.isConnected = true;
+      this.connected = true;
       this.logger.info('EtherCAT communication established');
       
     } catch (error) {
       // 如果EtherCAT初始化失败，使用模拟模式
       this.logger.warn(`EtherCAT init failed, running in simulation mode: ${error.message}`);
-      this.isConnected = true; // 模拟模式下也标记为已连接
+      this.connected = true; // 模拟模式下也标记为已连接
       this.simulationMode = true;
     }
   }
@@ -155,10 +228,29 @@ class RobotController extends EventEmitter {
    * 启动控制循环
    */
   startControlLoop() {
+    let lastCycle = null;
+
     this.controlTimer = setInterval(async () => {
-      if (!this.isConnected) return;
+      if (!this.connected) return;
+
+      // 实际周期 (定时器抖动或长同步任务后的延迟周期)；模拟对象每周期推进固定步长，使用名义周期
+      const now = performance.now();
+      const elapsed = lastCycle === null || this.simulationMode ? this.cycleTime : now - lastCycle;
+      lastCycle = now;
 
       try {
+        // 驱动断开时不执行轨迹，设定值跟随实际位置 (抱闸)
+        if (!this.drivesEnabled) {
+          this.trajectoryExecutor.stop('Drives disabled');
+          this.targetJoints = [...this.currentJoints];
+        }
+
+        // 从轨迹执行器获取本周期设定值
+        const setpoint = this.trajectoryExecutor.nextSetpoint(this.cycleTime / 1000);
+        if (setpoint) {
+          this.targetJoints = setpoint;
+        }
+
         if (this.simulationMode) {
           // 模拟模式下的关节运动
           for (let i = 0; i < 6; i++) {
@@ -169,12 +261,22 @@ class RobotController extends EventEmitter {
           }
         } else {
           // 实际EtherCAT通信
-          await this.sendTargetPositions();
+          if (this.drivesEnabled) {
+            await this.sendTargetPositions();
+          }
           await this.readActualPositions();
+          await this.readActualVelocities();
+          await this.readActualCurrents();
         }
 
+        // 更新速度、加速度估计、电流与碰撞观测器
+        this.updateDynamics(elapsed / 1000);
+
         // 更新正运动学
         this.updateForwardKinematics();
+
+        // 本周期状态已更新 (运动限制检查、黑匣子记录)
+        this.emit('control-cycle');
         
       } catch (error) {
         this.logger.error(`Control loop error: ${error.message}`);
@@ -190,6 +292,9 @@ class RobotController extends EventEmitter {
       this.emit('status-update', {
         joints: this.currentJoints,
         endEffector: this.endEffectorPose,
+        velocities: this.jointVelocities,
+        accelerations: this.jointAccelerations,
+        currents: this.jointCurrents,
         isMoving: this.isMoving,
         timestamp: Date.now()
       });
@@ -220,6 +325,124 @@ class RobotController extends EventEmitter {
     }
   }
 
+  /**
+   * 读取驱动器实际速度 (0x606C，编码器计数/s)，不可用时本周期及以后由位置差分估计
+   */
+  async readActualVelocities() {
+    this.measuredVelocities = null;
+    if (!this.ethercatMaster || !this.velocityPdoAvailable) return;
+
+    try {
+      const velocities = [];
+      for (let i = 0; i < 6; i++) {
+        const raw = await this.ethercatMaster.readSDO(i, 0x606C, 0x00, 32);
+        if (!Number.isFinite(raw)) {
+          throw new Error(`joint ${i + 1} returned ${raw}`);
+        }
+        velocities.push(this.encoderToJoint(raw > 0x7FFFFFFF ? raw - 0x100000000 : raw, i));
+      }
+      this.measuredVelocities = velocities;
+    } catch (error) {
+      this.velocityPdoAvailable = false;
+      this.logger.warn(`Actual velocity (0x606C) unavailable, estimating from positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * 读取电机实际电流 (0x6077，额定电流千分比)
+   */
+  async readActualCurrents() {
+    if (!this.ethercatMaster) return;
+
+    for (let i = 0; i < 6; i++) {
+      const raw = await this.ethercatMaster.readSDO(i, 0x6077, 0x00, 16);
+      this.jointCurrents[i] = this.dynamics.currentFromRaw(raw, i);
+    }
+  }
+
+  /**
+   * 控制周期内更新关节速度与加速度估计、模拟电流与碰撞观测器
+   * @param {number} dt - 距上一周期的实际时间 (秒)
+   */
+  updateDynamics(dt = this.cycleTime / 1000) {
+    const { velocities, accelerations } = this.stateEstimator.update(this.currentJoints, this.measuredVelocities, dt);
+
+    this.jointVelocities = velocities;
+    this.jointAccelerations = accelerations;
+
+    const terms = this.dynamics.evaluate(this.currentJoints, velocities);
+
+    if (this.simulationMode) {
+      this.jointCurrents = this.simulateCurrents(terms, dt);
+    }
+
+    this.collisionObserver.update(terms, this.jointCurrents, dt);
+  }
+
+  /**
+   * 模拟电机电流: τ_m = ṗ - Cᵀq̇ + g + τ_f - τ_ext，叠加噪声并按 0x6077 分辨率量化
+   */
+  simulateCurrents(terms, dt) {
+    const { momentum, coriolis, gravity, friction } = terms;
+    const previous = this.simulationMomentum || momentum;
+    this.simulationMomentum = momentum;
+
+    const external = this.getSimulatedExternalTorques();
+
+    const torques = momentum.map((p, i) =>
+      (p - previous[i]) / dt - coriolis[i] + gravity[i] + friction[i] - external[i]
+    );
+
+    return this.dynamics.torqueToCurrent(torques).map((current, i) => {
+      const noise = (Math.random() * 2 - 1) * SIMULATION_CURRENT_NOISE * this.dynamics.ratedCurrents[i];
+      return this.dynamics.currentFromRaw(this.dynamics.currentToRaw(current + noise, i), i);
+    });
+  }
+
+  /**
+   * 注入模拟碰撞 (仅模拟模式)
+   * @param {Object} collision - {force: TCP 处外力 {x, y, z} (N，基坐标系) 或 torques: 6 个关节外力矩 (N·m),
+   *   duration: 持续时间 (s，默认 0.5)}
+   * @returns {Object} {torques, duration}
+   */
+  injectCollision(collision = {}) {
+    if (!this.simulationMode) {
+      throw new Error('Collision injection is only available in simulation mode');
+    }
+
+    const { force, torques, duration = 0.5 } = collision;
+    if (!Number.isFinite(duration) || duration <= 0 || duration > 10) {
+      throw new Error('Collision duration must be between 0 and 10 s');
+    }
+
+    let external;
+    if (torques !== undefined) {
+      if (!Array.isArray(torques) || torques.length !== 6 || !torques.every(Number.isFinite)) {
+        throw new Error('Collision torques must be 6 finite numbers (N·m)');
+      }
+      external = [...torques];
+    } else if (force && ['x', 'y', 'z'].every(axis => Number.isFinite(force[axis]))) {
+      external = this.dynamics.externalTorques(this.currentJoints, [force.x, force.y, force.z]);
+    } else {
+      throw new Error('Collision requires force {x, y, z} (N) or torques (N·m)');
+    }
+
+    this.simulatedCollision = { torques: external, until: Date.now() + duration * 1000 };
+    this.logger.warn(`Simulated collision injected: torques ${external.map(t => t.toFixed(2)).join(', ')} N·m for ${duration} s`);
+    return { torques: external, duration };
+  }
+
+  /**
+   * 当前生效的模拟外力矩 (N·m)
+   */
+  getSimulatedExternalTorques() {
+    if (!this.simulatedCollision || Date.now() > this.simulatedCollision.until) {
+      this.simulatedCollision = null;
+      return [0, 0, 0, 0, 0, 0];
+    }
+    return this.simulatedCollision.torques;
+  }
+
   /**
    * 关节角度转编码器值
    */
@@ -243,71 +466,260 @@ class RobotController extends EventEmitter {
    * 更新正运动学
    */
   updateForwardKinematics() {
-    const pose = this.kinematics.forwardKinematics(this.currentJoints);
-    this.endEffectorPose = {
-      x: pose.position.x,
-      y: pose.position.y,
-      z: pose.position.z,
-      rx: pose.orientation.rx,
-      ry: pose.orientation.ry,
-      rz: pose.orientation.rz
-    };
+    this.endEffectorPose = this.kinematics.forwardKinematics(this.currentJoints);
   }
 
   /**
-   * 关节空间运动
+   * 求解笛卡尔目标对应的关节角度
+   * @param {Pose} pose - 目标 TCP 位姿 (用户坐标系下)
+   * @param {string|Object} configuration - 构型要求，见 resolveConfiguration
+   * @param {string} frame - 目标位姿所在的用户坐标系
    */
-  async moveJoint(jointIndex, targetAngle, speed = 50) {
-    // 检查关节限位
-    if (!this.checkJointLimits(jointIndex, targetAngle)) {
-      throw new Error(`Joint ${jointIndex + 1} target angle ${targetAngle} exceeds limits`);
+  solveCartesianTarget(pose, configuration = 'keep', frame = 'base') {
+    const targetPose = this.frameManager.toBase(frame, Pose.from(pose));
+    const required = this.resolveConfiguration(configuration);
+    
+    // 逆运动学求解 (附带构型标志)
+    const solutions = this.kinematics.solveConfigurations(targetPose, this.currentJoints);
+    
+    if (solutions.length === 0) {
+      throw new Error('No inverse kinematics solution found');
     }
 
-    this.targetJoints[jointIndex] = targetAngle;
-    this.isMoving = true;
+    const candidates = solutions.filter(solution =>
+      this.kinematics.matchesConfiguration(solution.configuration, required)
+    );
+
+    if (candidates.length === 0) {
+      const reachable = [...new Set(solutions.map(solution =>
+        this.kinematics.formatConfiguration(solution.configuration)
+      ))];
+      throw new Error(
+        `Target requires a configuration change (requested ${this.kinematics.formatConfiguration(required)}; ` +
+        `reachable: ${reachable.join(' | ')})`
+      );
+    }
 
-    // 等待运动完成
-    await this.waitForMovementComplete();
-    
-    this.isMoving = false;
+    // 选择最优解 (满足构型要求且最接近当前关节状态的解)
+    return this.selectOptimalSolution(candidates.map(solution => solution.joints));
   }
 
   /**
-   * 多关节同步运动
+   * 解析构型要求
+   *
+   * - 'keep': 保持当前构型 (默认)
+   * - 'any': 不限制构型，选择最接近当前关节状态的解
+   * - {shoulder, elbow, wrist}: 逐项指定，取值为标志值、'keep' 或 'any'
+   *
+   * @returns {Object} 目标构型标志 (null 表示不限制)
    */
-  async moveJoints(targetJoints, speed = 50) {
-    // 检查所有关节限位
-    for (let i = 0; i < 6; i++) {
-      if (!this.checkJointLimits(i, targetJoints[i])) {
-        throw new Error(`Joint ${i + 1} target angle ${targetJoints[i]} exceeds limits`);
+  resolveConfiguration(configuration = 'keep') {
+    const current = this.kinematics.getConfiguration(this.currentJoints);
+    const flags = Kinematics.CONFIGURATION_FLAGS;
+    const request = typeof configuration === 'string'
+      ? Object.fromEntries(Object.keys(flags).map(key => [key, configuration]))
+      : configuration || {};
+
+    const required = {};
+    for (const key of Object.keys(flags)) {
+      const value = request[key] == null ? 'any' : request[key];
+
+      if (value === 'keep') {
+        required[key] = current[key];
+      } else if (value === 'any') {
+        required[key] = null;
+      } else if (flags[key].includes(value)) {
+        required[key] = value;
+      } else {
+        throw new Error(`Invalid ${key} configuration "${value}" (expected ${flags[key].join('/')}, keep or any)`);
       }
     }
 
-    this.targetJoints = [...targetJoints];
-    this.isMoving = true;
+    for (const key of Object.keys(request)) {
+      if (!flags[key]) {
+        throw new Error(`Unknown configuration flag "${key}"`);
+      }
+    }
 
-    await this.waitForMovementComplete();
-    
-    this.isMoving = false;
+    return required;
   }
 
   /**
-   * 笛卡尔空间运动
+   * 获取当前构型标志
    */
-  async moveToCartesian(x, y, z, rx = 0, ry = 0, rz = 0, speed = 50) {
-    const targetPose = { position: { x, y, z }, orientation: { rx, ry, rz } };
-    
-    // 逆运动学求解
-    const solutions = this.kinematics.inverseKinematics(targetPose);
-    
-    if (solutions.length === 0) {
-      throw new Error('No inverse kinematics solution found');
+  getConfiguration() {
+    return this.kinematics.getConfiguration(this.currentJoints);
+  }
+
+  /**
+   * 选择当前工具 (运动中不可切换)
+   */
+  setActiveTool(name) {
+    this.requireStationary('change the active tool');
+
+    const tool = this.toolManager.setActiveTool(name);
+    this.applyActiveTool();
+    this.updateForwardKinematics();
+    return tool;
+  }
+
+  /**
+   * 新建或更新工具 (更新当前工具时立即生效)
+   */
+  defineTool(tool) {
+    const isActive = tool?.name === this.toolManager.getActiveTool().name;
+    if (isActive) {
+      this.requireStationary('modify the active tool');
     }
 
-    // 选择最优解 (最接近当前关节状态的解)
-    const optimalSolution = this.selectOptimalSolution(solutions);
-    
-    await this.moveJoints(optimalSolution, speed);
+    const defined = this.toolManager.defineTool(tool);
+    if (isActive) {
+      this.applyActiveTool();
+      this.updateForwardKinematics();
+    }
+    return defined;
+  }
+
+  /**
+   * 当前工具生效: TCP 变换、碰撞模型的工具胶囊体与动力学模型的末端负载
+   */
+  applyActiveTool() {
+    const tool = this.toolManager.getActiveTool();
+    this.kinematics.setToolTransform(this.toolManager.getToolTransform());
+    this.collisionModel.setToolRadius(tool.radius / 1000);
+    this.dynamics.setPayload(tool.mass, tool.centerOfGravity);
+  }
+
+  getActiveTool() {
+    return this.toolManager.getActiveTool();
+  }
+
+  /**
+   * 四点法 TCP 标定
+   * @param {number[][]} jointSamples - 工具尖端触碰同一点时记录的关节角度 (至少4组)
+   * @returns {Object} {offset, point, rmsError, maxError} (mm)
+   */
+  calibrateTcp(jointSamples) {
+    if (!Array.isArray(jointSamples) || jointSamples.some(joints => !Array.isArray(joints) || joints.length !== 6)) {
+      throw new Error('TCP calibration samples must be arrays of 6 joint angles');
+    }
+
+    return this.toolManager.calibrateTcp(jointSamples.map(joints => this.kinematics.forwardTransform(joints)));
+  }
+
+  /**
+   * 笛卡尔点动目标 (沿用户坐标系的轴平移，或绕其轴旋转)
+   * 旋转以当前 TCP 为中心，保持当前构型
+   * @param {string} axis - x | y | z | rx | ry | rz
+   * @param {number} step - 平移量 (m) 或旋转角 (rad)
+   * @param {string} frame - 点动参考坐标系
+   * @returns {number[]} 目标关节角度
+   */
+  solveCartesianJog(axis, step, frame = 'base') {
+    const axisIndex = ['x', 'y', 'z', 'rx', 'ry', 'rz'].indexOf(axis);
+    if (axisIndex < 0) {
+      throw new Error(`Invalid jog axis "${axis}" (expected x, y, z, rx, ry or rz)`);
+    }
+
+    const F = this.frameManager.getFrameTransform(frame);
+    const T = this.kinematics.tcpTransform(this.currentJoints);
+    const direction = [0, 1, 2].map(r => F[r][axisIndex % 3]);
+
+    if (axisIndex < 3) {
+      for (let r = 0; r < 3; r++) T[r][3] += step * direction[r];
+    } else {
+      // Rodrigues 公式: 绕参考坐标系轴旋转 TCP 姿态
+      const [kx, ky, kz] = direction;
+      const c = Math.cos(step);
+      const s = Math.sin(step);
+      const K = [[0, -kz, ky], [kz, 0, -kx], [-ky, kx, 0]];
+      const rotation = [0, 1, 2].map(r => [0, 1, 2].map(col =>
+        (r === col ? c : 0) + s * K[r][col] + (1 - c) * direction[r] * direction[col]
+      ));
+      const R = this.kinematics.multiplyRotation(rotation, this.kinematics.rotationOf(T));
+      for (let r = 0; r < 3; r++) T[r].splice(0, 3, ...R[r]);
+    }
+
+    return this.solveCartesianTarget(Pose.fromTransform(T), 'keep');
+  }
+
+  /**
+   * 当前 TCP 在用户坐标系下的位姿
+   */
+  getPoseInFrame(frame = 'base') {
+    return this.frameManager.fromBase(frame, this.kinematics.forwardKinematics(this.currentJoints));
+  }
+
+  /**
+   * 三点示教用户坐标系
+   * @param {string} name - 坐标系名称
+   * @param {number[][]} jointSamples - TCP 依次位于原点、X方向点、XY平面点时的关节角度
+   */
+  teachFrame(name, jointSamples) {
+    if (!Array.isArray(jointSamples) || jointSamples.length !== 3 ||
+        jointSamples.some(joints => !Array.isArray(joints) || joints.length !== 6)) {
+      throw new Error('Frame teach requires 3 samples of 6 joint angles (origin, X point, XY point)');
+    }
+
+    const [origin, xPoint, xyPoint] = jointSamples.map(joints =>
+      this.kinematics.forwardKinematics(joints).getPosition('mm')
+    );
+
+    return this.frameManager.teachFrame(name, origin, xPoint, xyPoint);
+  }
+
+  /**
+   * 用户坐标系作为书写纸面
+   * @param {string} frame - 纸面坐标系名称
+   * @param {Object} orientation - 笔相对纸面坐标系的姿态四元数 (默认绕X轴翻转，笔尖朝向纸面 -Z)
+   * @returns {Object} 书写坐标系 {transform, orientation}，见 MotionPlanner.paperToBase
+   */
+  getWritingFrame(frame, orientation = { w: 0, x: 1, y: 0, z: 0 }) {
+    const paper = this.frameManager.getFramePose(frame);
+
+    return {
+      transform: paper.toTransform(),
+      orientation: paper.multiply(new Pose(undefined, orientation)).orientation
+    };
+  }
+
+  /**
+   * 运动中禁止的操作
+   */
+  requireStationary(action) {
+    if (this.isMoving || this.trajectoryExecutor.isActive()) {
+      throw new Error(`Cannot ${action} while the robot is moving`);
+    }
+  }
+
+  /**
+   * 获取当前位置的可操作度与奇异性指标
+   */
+  getSingularityMetrics() {
+    return this.kinematics.getSingularityMetrics(this.currentJoints);
+  }
+
+  /**
+   * 设置关节运动限制 (未给出的保持不变)
+   * @param {Object} limits - {velocity (rad/s), acceleration (rad/s²), jerk (rad/s³)}，各为6个关节的正数
+   * @returns {Object} 当前限制 {velocity, acceleration, jerk}
+   */
+  setMotionLimits(limits = {}) {
+    const motionLimits = { ...this.motionLimits };
+
+    for (const key of Object.keys(MOTION_LIMITS)) {
+      if (limits[key] === undefined) continue;
+
+      const values = limits[key];
+      if (!Array.isArray(values) || values.length !== 6 || !values.every(value => Number.isFinite(value) && value > 0)) {
+        throw new Error(`Joint ${key} limits must be 6 positive numbers`);
+      }
+      motionLimits[key] = [...values];
+    }
+
+    this.motionLimits = motionLimits;
+    this.logger.info(`Motion limits: ${JSON.stringify(motionLimits)}`);
+    return { ...motionLimits };
   }
 
   /**
@@ -364,20 +776,112 @@ class RobotController extends EventEmitter {
   }
 
   /**
-   * 紧急停止
+   * 停止轨迹执行并保持当前位置
    */
-  emergencyStop() {
+  holdPosition(reason = 'Motion stopped') {
+    this.trajectoryExecutor.stop(reason);
     this.targetJoints = [...this.currentJoints];
+  }
+
+  /**
+   * 紧急停止 (停止类别 0)
+   */
+  emergencyStop() {
+    return this.stop(0, 'Emergency stop');
+  }
+
+  /**
+   * 按 IEC 60204-1 停止类别停止
+   * - 0: 立即停止并断开驱动 (抱闸)
+   * - 1: 沿当前轨迹受控减速，停止后断开驱动
+   * - 2: 沿当前轨迹受控减速，驱动保持使能并保持位置
+   * @param {number} category - 停止类别 0 | 1 | 2
+   * @param {string} reason - 停止原因 (当前轨迹的拒绝原因)
+   * @param {number[]} decelerations - 受控减速的各轴减速度 (rad/s²，默认为加速度限制)
+   * @returns {Promise} 停止完成 (类别 0/1 为驱动断开后) 时兑现
+   */
+  async stop(category, reason, decelerations = this.motionLimits.acceleration) {
+    if (![0, 1, 2].includes(category)) {
+      throw new Error(`Invalid stop category ${category}`);
+    }
+
+    this.logger.warn(`Stop category ${category}: ${reason}`);
+
+    if (category === 0) {
+      this.holdPosition(reason);
+    } else {
+      await this.controlledStop(reason, decelerations);
+    }
     this.isMoving = false;
-    
+
+    if (category < 2) {
+      await this.disableDrives(reason);
+    }
+  }
+
+  /**
+   * 沿当前轨迹受控减速至停止 (无轨迹执行时保持当前位置)
+   */
+  controlledStop(reason, decelerations) {
+    const executor = this.trajectoryExecutor;
+
+    return new Promise(resolve => {
+      if (!executor.isActive()) {
+        this.holdPosition(reason);
+        return resolve();
+      }
+
+      const done = () => {
+        executor.off('aborted', done);
+        executor.off('completed', done);
+        resolve();
+      };
+      executor.on('aborted', done);
+      executor.on('completed', done);
+
+      const rampTime = executor.stopAlongPath(reason, decelerations);
+      this.logger.info(`Controlled stop along path in ${rampTime.toFixed(3)} s: ${reason}`);
+    });
+  }
+
+  /**
+   * 断开驱动 (CiA 402 Disable Voltage，抱闸)
+   */
+  async disableDrives(reason) {
+    if (!this.drivesEnabled) return;
+
+    this.drivesEnabled = false;
+    this.holdPosition(reason);
+
     if (!this.simulationMode && this.ethercatMaster) {
-      // 发送停止指令到所有关节
       for (let i = 0; i < 6; i++) {
-        this.ethercatMaster.writeSDO(i, 0x6040, 0x00, 0x010F, 16); // 快速停止
+        await this.ethercatMaster.writeSDO(i, 0x6040, 0x00, CONTROLWORD.DISABLE_VOLTAGE, 16);
       }
     }
-    
-    this.logger.warn('Emergency stop executed');
+
+    this.logger.warn(`Drives disabled: ${reason}`);
+    this.emit('drives-disabled', { reason, timestamp: Date.now() });
+  }
+
+  /**
+   * 重新使能驱动 (CiA 402 Shutdown → Switch On → Enable Operation)，设定值取当前位置
+   */
+  async enableDrives() {
+    if (this.drivesEnabled) return;
+
+    this.targetJoints = [...this.currentJoints];
+
+    if (!this.simulationMode && this.ethercatMaster) {
+      for (const controlword of [CONTROLWORD.SHUTDOWN, CONTROLWORD.SWITCH_ON, CONTROLWORD.ENABLE_OPERATION]) {
+        for (let i = 0; i < 6; i++) {
+          await this.ethercatMaster.writeSDO(i, 0x6040, 0x00, controlword, 16);
+        }
+      }
+    }
+
+    this.drivesEnabled = true;
+    this.logger.info('Drives enabled');
+    this.emit('drives-enabled', { timestamp: Date.now() });
   }
 
   /**
@@ -388,17 +892,39 @@ class RobotController extends EventEmitter {
   }
 
   /**
-   * 获取末端执行器位姿
+   * 获取末端执行器位姿 (当前工具 TCP，Pose 不可变，可直接共享)
    */
   getEndEffectorPose() {
-    return { ...this.endEffectorPose };
+    return this.endEffectorPose;
+  }
+
+  /**
+   * 获取关节速度 (rad/s)、加速度 (rad/s²) 估计与电机实际电流 (A)
+   */
+  getJointVelocities() {
+    return [...this.jointVelocities];
+  }
+
+  getJointAccelerations() {
+    return [...this.jointAccelerations];
+  }
+
+  /**
+   * TCP 线速度 (m/s，由估计的关节速度经雅可比求得)
+   */
+  getTcpSpeed() {
+    return Math.hypot(...this.kinematics.tcpVelocity(this.currentJoints, this.jointVelocities));
+  }
+
+  getJointCurrents() {
+    return [...this.jointCurrents];
   }
 
   /**
    * 是否已连接
    */
   isConnected() {
-    return this.isConnected;
+    return this.connected;
   }
 
   /**
@@ -417,7 +943,7 @@ class RobotController extends EventEmitter {
       await this.ethercatMaster.stop();
     }
     
-    this.isConnected = false;
+    this.connected = false;
     this.logger.info('Robot controller closed');
   }
 }
@@ -0,0 +1,147 @@
+/**
+ * 多轴同步S曲线 (加加速度受限) 关节轨迹
+ *
+ * 各轴沿关节空间直线 q_j(t) = q0_j + D_j·s(t) 同步运动，归一化路径参数 s 采用
+ * 七段式S曲线。s 的速度、加速度、加加速度限制取各运动轴 V_j/|D_j|、A_j/|D_j|、J_j/|D_j|
+ * 中的最小者，从而任一轴不超限且全部轴同时到达。
+ * 速度百分比按时间缩放作用于限制 (速度 ×f、加速度 ×f²、加加速度 ×f³)，
+ * 即轨迹形状不变、时间拉长为 1/f 倍。
+ * 每段加加速度恒定，段内位置为三次多项式，按段起点状态闭式求值。
+ */
+
+const TrajectoryPrimitive = require('./TrajectoryPrimitive');
+
+class SCurveTrajectory extends TrajectoryPrimitive {
+  /**
+   * @param {number[]} startJoints - 起始关节角度
+   * @param {number[]} endJoints - 目标关节角度
+   * @param {Object} limits - 关节限制 {maxVelocity, maxAcceleration, maxJerk}
+   * @param {number} speedPercent - 速度百分比 (0, 100]
+   */
+  constructor(startJoints, endJoints, limits, speedPercent = 50) {
+    if (!(speedPercent > 0) || speedPercent > 100) {
+      throw new Error(`Speed ${speedPercent}% is out of range (0, 100]`);
+    }
+
+    const f = speedPercent / 100;
+    const displacement = endJoints.map((q, j) => q - startJoints[j]);
+    const moving = displacement.map((d, j) => j).filter(j => Math.abs(displacement[j]) > 1e-9);
+
+    const limit = (values, power) => Math.min(...moving.map(j => values[j] * Math.pow(f, power) / Math.abs(displacement[j])));
+    const profile = moving.length > 0
+      ? SCurveTrajectory.profile(1, limit(limits.maxVelocity, 1), limit(limits.maxAcceleration, 2), limit(limits.maxJerk, 3))
+      : null;
+
+    super(profile ? profile.totalTime : 0);
+
+    this.start = [...startJoints];
+    this.end = [...endJoints];
+    this.displacement = moving.length > 0 ? displacement : displacement.map(() => 0);
+    this.profile = profile;
+    this.phases = profile ? SCurveTrajectory.phases(profile) : [];
+  }
+
+  /**
+   * 单轴七段式S曲线 (起止速度、加速度为零)
+   *
+   * 阶段依次为 加加速、匀加速、减加速、匀速、加减速、匀减速、减减速，加加速度为 +J,0,-J,0,-J,0,+J。
+   * 加速阶段时长 T_acc = 2·tj + ta，其中 tj = min(A/J, √(v/J))，ta = v/(J·tj) - tj；
+   * 加速与减速共走过 v·T_acc。距离不足以达到 V 时求解峰值速度 v 使 v·T_acc(v) = D：
+   *   v ≥ A²/J:  v² + v·A²/J - A·D = 0
+   *   v < A²/J:  2·v^(3/2)/√J = D  (三角形加速度，达不到 A)
+   *
+   * @param {number} distance - 运动距离 (≥ 0)
+   * @param {number} maxVel - 速度限制
+   * @param {number} maxAcc - 加速度限制
+   * @param {number} maxJerk - 加加速度限制
+   * @returns {Object} {durations: 7段时长, jerk, peakVelocity, peakAcceleration, totalTime}
+   */
+  static profile(distance, maxVel, maxAcc, maxJerk) {
+    const accelerationTime = v => {
+      const tj = Math.min(maxAcc / maxJerk, Math.sqrt(v / maxJerk));
+      return { tj, ta: Math.max(0, v / (maxJerk * tj) - tj) };
+    };
+
+    let peakVelocity = maxVel;
+    let { tj, ta } = accelerationTime(maxVel);
+    let tv = (distance - maxVel * (2 * tj + ta)) / maxVel;
+
+    if (tv < 0) {
+      const vLimit = maxAcc * maxAcc / maxJerk;
+      peakVelocity = (-vLimit + Math.sqrt(vLimit * vLimit + 4 * maxAcc * distance)) / 2;
+      if (peakVelocity < vLimit) {
+        peakVelocity = Math.pow(distance * Math.sqrt(maxJerk) / 2, 2 / 3);
+      }
+      ({ tj, ta } = accelerationTime(peakVelocity));
+      tv = 0;
+    }
+
+    const durations = [tj, ta, tj, tv, tj, ta, tj];
+    return {
+      durations,
+      jerk: maxJerk,
+      peakVelocity,
+      peakAcceleration: maxJerk * tj,
+      totalTime: durations.reduce((sum, d) => sum + d, 0)
+    };
+  }
+
+  /**
+   * 各段起点时刻与状态 (逐段积分)
+   * @returns {Object[]} [{time, duration, jerk, position, velocity, acceleration}]
+   */
+  static phases(profile) {
+    const jerks = [1, 0, -1, 0, -1, 0, 1].map(sign => sign * profile.jerk);
+    const phases = [];
+    let time = 0;
+    let position = 0;
+    let velocity = 0;
+    let acceleration = 0;
+
+    for (let i = 0; i < 7; i++) {
+      const dt = profile.durations[i];
+      const jerk = jerks[i];
+      phases.push({ time, duration: dt, jerk, position, velocity, acceleration });
+
+      position += velocity * dt + acceleration * dt * dt / 2 + jerk * dt * dt * dt / 6;
+      velocity += acceleration * dt + jerk * dt * dt / 2;
+      acceleration += jerk * dt;
+      time += dt;
+    }
+
+    return phases;
+  }
+
+  /**
+   * 归一化路径参数 s 在时刻 t 的 order 阶导数
+   */
+  parameter(t, order) {
+    // 终点处 s = 1 且静止，避免逐段累积的舍入误差
+    if (t >= this.duration && order < 3) return order === 0 ? 1 : 0;
+
+    const time = Math.min(Math.max(t, 0), this.duration);
+    const phase = this.phases.find((p, i) => i === 6 || time < p.time + p.duration);
+    const dt = time - phase.time;
+    const { jerk, position, velocity, acceleration } = phase;
+
+    switch (order) {
+      case 0: return position + velocity * dt + acceleration * dt * dt / 2 + jerk * dt * dt * dt / 6;
+      case 1: return velocity + acceleration * dt + jerk * dt * dt / 2;
+      case 2: return acceleration + jerk * dt;
+      default: return jerk;
+    }
+  }
+
+  evaluate(t, order) {
+    if (!this.profile) {
+      return order === 0 ? [...this.end] : this.end.map(() => 0);
+    }
+
+    const s = this.parameter(t, order);
+    return order === 0
+      ? this.start.map((q, j) => q + this.displacement[j] * s)
+      : this.displacement.map(d => d * s);
+  }
+}
+
+module.exports = SCurveTrajectory;
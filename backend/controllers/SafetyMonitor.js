@@ -3,15 +3,37 @@
  * 
  * 功能：
  * - 关节限位检查
- * - 速度/加速度监控
- * - 碰撞检测
- * - 急停处理
+ * - 安全区检查 (限定区、禁入区、限速区)
+ * - 速度/加速度/TCP 速度监控 (关节状态估计值)
+ * - 轨迹执行前校验 (TrajectoryValidator)
+ * - 碰撞检测 (动量观测器电流残差)
+ * - 自碰撞检查 (连杆胶囊体最小间距)
+ * - 急停处理 (各安全事件按配置的停止类别 0/1/2 停止)
+ * - 故障锁存与运动互锁，安全复位须原因已消除、自检通过并记录确认人
+ * - 故障恢复: 关节超出安全范围或自碰撞时，经操作员确认以降低的速度移回 (故障保持锁存)
  * - 安全状态监控
  */
 
 const EventEmitter = require('events');
 const winston = require('winston');
 
+const SafetyZoneManager = require('./SafetyZoneManager');
+const TrajectoryValidator = require('./TrajectoryValidator');
+
+// 安全复位时视为静止的关节速度 (rad/s)
+const STANDSTILL_VELOCITY = 0.01;
+
+// 可由恢复运动消除的故障原因 (其余原因须先消除)
+const RECOVERABLE_CAUSES = ['joint-limit', 'self-collision'];
+
+// 恢复目标: 移入安全范围的裕量 (rad)、自碰撞梯度上升步长 (rad) 与最大步数
+const RECOVERY_INSET = 0.02;
+const RECOVERY_STEP = 0.02;
+const RECOVERY_MAX_STEPS = 50;
+
+// 恢复运动中允许的恶化量: 关节超限 (rad)、自碰撞间距 (m)，超过时仍保护性停止
+const RECOVERY_TOLERANCE = { joint: 0.005, distance: 0.005 };
+
 class SafetyMonitor extends EventEmitter {
   constructor(robotController) {
     super();
@@ -35,40 +57,77 @@ class SafetyMonitor extends EventEmitter {
       { min: -6.28, max: 6.28, margin: 0.05 }   // J6
     ];
 
-    // 速度限制 (rad/s)
-    this.velocityLimits = [2.0, 2.0, 2.0, 4.0, 4.0, 6.0];
-    
-    // 加速度限制 (rad/s²)
-    this.accelerationLimits = [8.0, 8.0, 8.0, 16.0, 16.0, 24.0];
-
-    // 工作空间限制 (mm)
-    this.workspaceLimits = {
-      x: { min: -400, max: 400 },
-      y: { min: -400, max: 400 },
-      z: { min: 0, max: 600 }
+    // 速度 (rad/s)、加速度 (rad/s²)、加加速度 (rad/s³) 限制，与控制器相同 (见 setMotionLimits)
+    this.setMotionLimits(robotController.motionLimits);
+
+    // TCP 线速度限制 (m/s)
+    this.tcpSpeedLimit = 2.0;
+
+    // 周期监控相对上述限制的容差 (估计噪声、滤波滞后与跟随误差)，规划轨迹仍按限制本身校验
+    this.monitoringTolerance = 0.1;
+
+    // 安全区 (默认仅 TCP 工作空间限定区，由配置替换)
+    this.zoneManager = new SafetyZoneManager(robotController.collisionModel);
+
+    // 奇异性阈值 (wrist/elbow 为关节角距离 rad，shoulder 为肘点到 J1 轴距离 m)
+    this.singularityThresholds = {
+      wrist: 0.1,
+      elbow: 0.1,
+      shoulder: 0.03,
+      conditionNumber: 200
     };
 
-    // 碰撞检测参数
-    this.collisionThreshold = 15.0; // 电流阈值 (A)
+    // 碰撞检测参数: 残差电流阈值 (额定电流 %)，有效阈值 = 阈值 × (1 - 灵敏度)
+    this.collisionThreshold = 50.0;
     this.collisionSensitivity = 0.8;
 
+    // 各安全事件的停止类别 (IEC 60204-1): 0 立即断开驱动，1 受控减速后断开驱动，2 受控减速、驱动保持使能
+    this.stopCategories = {
+      'emergency-stop': 1,
+      'collision': 0,
+      'safety-check-error': 0,
+      'joint-limit': 2,
+      'safety-zone': 2,
+      'self-collision': 1,
+      'motion-limit': 1
+    };
+
     // 安全状态
     this.safetyStatus = {
       isActive: true,
       emergencyStopped: false,
       limitViolations: [],
+      motionViolations: [], // 速度 / 加速度 / TCP 速度超限 [{check, joint, value, limit}]
+      tcpSpeed: 0, // TCP 线速度估计 (m/s)
+      zoneViolations: [],
       collisionDetected: false,
+      collisionResidual: { peak: null, joint: null, threshold: null }, // 最大残差 (额定电流比例)、所在关节与有效阈值
+      selfCollision: { distance: null, links: null }, // 不相邻连杆最小间距 (m) 与最近连杆对
+      lastStop: null, // 最近一次停止 {event, category, reason, timestamp}
+      faults: [], // 待复位的故障 (每种事件保留首次) [{event, category, reason, timestamp}]
+      lastReset: null, // 最近一次安全复位 {operator, actor, faults, timestamp}
+      recovery: null, // 进行中的故障恢复 {operator, actor, target, start: {limitExcess, selfDistance}, escalated, timestamp}
       lastCheckTime: Date.now()
     };
 
+    // 最近一次保持自碰撞最小间距的关节构型 (故障恢复目标)
+    this.lastClearJoints = null;
+
+    // 规划轨迹执行前校验 (与运行时检查使用相同限制)
+    this.trajectoryValidator = new TrajectoryValidator(this);
+
     // 启动安全监控
     this.startMonitoring();
   }
 
   /**
-   * 启动安全监控循环
+   * 启动安全监控: 速度、加速度与 TCP 速度每个控制周期检查 (估计值随周期更新)，其余检查 20Hz
    */
   startMonitoring() {
+    this.robotController.on('control-cycle', () => {
+      this.performMotionCheck();
+    });
+
     this.monitorInterval = setInterval(() => {
       this.performSafetyCheck();
     }, 50); // 20Hz 安全检查
@@ -76,6 +135,21 @@ class SafetyMonitor extends EventEmitter {
     this.logger.info('Safety monitoring started');
   }
 
+  /**
+   * 控制周期检查关节速度、加速度与 TCP 速度
+   */
+  performMotionCheck() {
+    if (!this.safetyStatus.isActive) return;
+
+    try {
+      const rc = this.robotController;
+      this.checkMotionLimits(rc.getJointVelocities(), rc.getJointAccelerations(), rc.getTcpSpeed());
+    } catch (error) {
+      this.logger.error(`Motion limit check error: ${error.message}`);
+      this.triggerEmergencyStop('Safety check error', 'safety-check-error');
+    }
+  }
+
   /**
    * 执行安全检查
    */
@@ -84,15 +158,18 @@ class SafetyMonitor extends EventEmitter {
 
     try {
       const currentJoints = this.robotController.getCurrentJoints();
-      const endEffectorPose = this.robotController.getEndEffectorPose();
+      const tcpSpeed = this.robotController.getTcpSpeed();
 
       // 检查关节限位
       this.checkJointLimits(currentJoints);
 
-      // 检查工作空间
-      this.checkWorkspaceLimits(endEffectorPose);
+      // 检查安全区
+      this.checkSafetyZones(currentJoints, tcpSpeed);
 
-      // 检查碰撞
+      // 检查自碰撞
+      this.checkSelfCollision(currentJoints);
+
+      // 检查碰撞 (电流残差)
       this.checkCollision();
 
       // 更新状态
@@ -100,7 +177,7 @@ class SafetyMonitor extends EventEmitter {
 
     } catch (error) {
       this.logger.error(`Safety check error: ${error.message}`);
-      this.triggerEmergencyStop('Safety check error');
+      this.triggerEmergencyStop('Safety check error', 'safety-check-error');
     }
   }
 
@@ -108,6 +185,39 @@ class SafetyMonitor extends EventEmitter {
    * 检查关节限位
    */
   checkJointLimits(joints) {
+    const violations = this.findJointLimitViolations(joints);
+
+    // 恢复运动中只有超限加剧时停止
+    const { recovery } = this.safetyStatus;
+    const worsening = recovery
+      ? violations.filter(v => Math.abs(v.value - v.safeValue) > recovery.start.limitExcess[v.joint - 1] + RECOVERY_TOLERANCE.joint)
+      : violations;
+
+    if (worsening.length > 0) {
+      this.safetyStatus.limitViolations = violations;
+    }
+
+    // 故障已锁存时只更新状态
+    if (worsening.length > 0 && this.isNewFault('joint-limit')) {
+      this.logger.warn(`Joint limit violations: ${JSON.stringify(violations)}`);
+      
+      // 触发保护性停止
+      this.triggerProtectiveStop('Joint limit violation', 'joint-limit');
+      
+      // 发出警告
+      this.emit('warning', {
+        type: 'joint-limit',
+        violations: violations
+      });
+    }
+
+    return violations.length === 0;
+  }
+
+  /**
+   * 超出安全范围 (限位减安全余量) 的关节
+   */
+  findJointLimitViolations(joints) {
     const violations = [];
 
     for (let i = 0; i < 6; i++) {
@@ -126,16 +236,25 @@ class SafetyMonitor extends EventEmitter {
       }
     }
 
-    if (violations.length > 0) {
-      this.safetyStatus.limitViolations = violations;
-      this.logger.warn(`Joint limit violations: ${JSON.stringify(violations)}`);
-      
-      // 触发保护性停止
-      this.triggerProtectiveStop('Joint limit violation');
-      
-      // 发出警告
+    return violations;
+  }
+
+  /**
+   * 检查安全区
+   * @param {number[]} joints - 关节角度
+   * @param {number} tcpSpeed - TCP 线速度估计 (m/s)
+   */
+  checkSafetyZones(joints, tcpSpeed) {
+    const violations = this.zoneManager.check(joints, tcpSpeed).map(({ excess, ...violation }) => violation);
+    this.safetyStatus.zoneViolations = violations;
+
+    // 故障已锁存时只更新状态
+    if (violations.length > 0 && this.isNewFault('safety-zone')) {
+      this.logger.warn(`Safety zone violations: ${JSON.stringify(violations)}`);
+      this.triggerProtectiveStop('Safety zone violation', 'safety-zone');
+
       this.emit('warning', {
-        type: 'joint-limit',
+        type: 'safety-zone',
         violations: violations
       });
     }
@@ -144,28 +263,61 @@ class SafetyMonitor extends EventEmitter {
   }
 
   /**
-   * 检查工作空间限位
+   * 检查自碰撞 (不相邻连杆胶囊体间距为负时保护性停止)
    */
-  checkWorkspaceLimits(pose) {
-    const { x, y, z } = pose;
-    const violations = [];
-
-    if (x < this.workspaceLimits.x.min || x > this.workspaceLimits.x.max) {
-      violations.push({ axis: 'x', value: x, limit: x < this.workspaceLimits.x.min ? 'min' : 'max' });
-    }
-    if (y < this.workspaceLimits.y.min || y > this.workspaceLimits.y.max) {
-      violations.push({ axis: 'y', value: y, limit: y < this.workspaceLimits.y.min ? 'min' : 'max' });
+  checkSelfCollision(joints) {
+    const { collisionModel } = this.robotController;
+    const { distance, links } = collisionModel.selfDistance(joints);
+    this.safetyStatus.selfCollision = { distance, links };
+
+    // 最近一次保持最小间距的构型 (深度穿透时的恢复目标)
+    if (distance >= collisionModel.clearance) {
+      this.lastClearJoints = [...joints];
     }
-    if (z < this.workspaceLimits.z.min || z > this.workspaceLimits.z.max) {
-      violations.push({ axis: 'z', value: z, limit: z < this.workspaceLimits.z.min ? 'min' : 'max' });
+
+    // 恢复运动中只有间距减小时停止
+    const { recovery } = this.safetyStatus;
+    const worsening = recovery ? distance < recovery.start.selfDistance - RECOVERY_TOLERANCE.distance : true;
+
+    // 故障已锁存时只更新状态
+    if (distance < 0 && worsening && this.isNewFault('self-collision')) {
+      this.logger.warn(`Self-collision: ${links.join(' / ')} separation ${(distance * 1000).toFixed(1)} mm`);
+      this.triggerProtectiveStop('Self-collision', 'self-collision');
+
+      this.emit('warning', {
+        type: 'self-collision',
+        distance: distance,
+        links: links
+      });
     }
 
-    if (violations.length > 0) {
-      this.logger.warn(`Workspace limit violations: ${JSON.stringify(violations)}`);
-      this.triggerProtectiveStop('Workspace limit violation');
-      
+    return distance >= 0;
+  }
+
+  /**
+   * 检查关节速度、加速度与 TCP 速度 (超过限制与容差时保护性停止)
+   * @param {number[]} velocities - 关节速度估计 (rad/s)
+   * @param {number[]} accelerations - 关节加速度估计 (rad/s²)
+   * @param {number} tcpSpeed - TCP 线速度估计 (m/s)
+   */
+  checkMotionLimits(velocities, accelerations, tcpSpeed) {
+    const violations = [
+      ...this.checkVelocityLimits(velocities),
+      ...this.checkAccelerationLimits(accelerations),
+      ...this.checkTcpSpeed(tcpSpeed)
+    ];
+
+    this.safetyStatus.tcpSpeed = tcpSpeed;
+    this.safetyStatus.motionViolations = violations;
+
+    // 故障已锁存时只更新状态
+    if (violations.length > 0 && this.isNewFault('motion-limit')) {
+      this.logger.warn(`Motion limit violations: ${JSON.stringify(violations)}`);
+      const label = { velocity: 'Velocity', acceleration: 'Acceleration', 'tcp-speed': 'TCP speed' }[violations[0].check];
+      this.triggerProtectiveStop(`${label} limit violation`, 'motion-limit');
+
       this.emit('warning', {
-        type: 'workspace-limit',
+        type: 'motion-limit',
         violations: violations
       });
     }
@@ -173,96 +325,447 @@ class SafetyMonitor extends EventEmitter {
     return violations.length === 0;
   }
 
+  /**
+   * 设置关节运动限制 (周期监控与轨迹校验，由 RobotController.setMotionLimits 校验)
+   * @param {Object} limits - {velocity, acceleration, jerk}
+   */
+  setMotionLimits({ velocity, acceleration, jerk }) {
+    this.velocityLimits = [...velocity];
+    this.accelerationLimits = [...acceleration];
+    this.jerkLimits = [...jerk];
+  }
+
   /**
    * 检查速度限制
    */
   checkVelocityLimits(velocities) {
+    return this.checkJointValues('velocity', velocities, this.velocityLimits);
+  }
+
+  /**
+   * 检查加速度限制
+   */
+  checkAccelerationLimits(accelerations) {
+    return this.checkJointValues('acceleration', accelerations, this.accelerationLimits);
+  }
+
+  /**
+   * 检查 TCP 线速度限制
+   */
+  checkTcpSpeed(tcpSpeed) {
+    return tcpSpeed > this.tcpSpeedLimit * (1 + this.monitoringTolerance)
+      ? [{ check: 'tcp-speed', value: tcpSpeed, limit: this.tcpSpeedLimit }]
+      : [];
+  }
+
+  /**
+   * 各关节绝对值超过限制与容差的项 [{check, joint, value, limit}]
+   */
+  checkJointValues(check, values, limits) {
     const violations = [];
 
     for (let i = 0; i < 6; i++) {
-      if (Math.abs(velocities[i]) > this.velocityLimits[i]) {
+      if (Math.abs(values[i]) > limits[i] * (1 + this.monitoringTolerance)) {
         violations.push({
+          check: check,
           joint: i + 1,
-          velocity: velocities[i],
-          limit: this.velocityLimits[i]
+          value: values[i],
+          limit: limits[i]
         });
       }
     }
 
-    if (violations.length > 0) {
-      this.logger.warn(`Velocity limit violations: ${JSON.stringify(violations)}`);
-      this.triggerProtectiveStop('Velocity limit violation');
+    return violations;
+  }
+
+  /**
+   * 设置碰撞检测阈值与灵敏度
+   * @param {Object} settings - {threshold: 残差电流阈值 (额定电流 %), sensitivity: 灵敏度 0-0.95}
+   */
+  setCollisionDetection(settings = {}) {
+    const { threshold = this.collisionThreshold, sensitivity = this.collisionSensitivity } = settings;
+
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      throw new Error('Collision threshold must be a positive percentage of rated current');
+    }
+    if (!Number.isFinite(sensitivity) || sensitivity < 0 || sensitivity > 0.95) {
+      throw new Error('Collision sensitivity must be between 0 and 0.95');
     }
 
-    return violations.length === 0;
+    this.collisionThreshold = threshold;
+    this.collisionSensitivity = sensitivity;
+    this.logger.info(`Collision detection: threshold ${threshold}%, sensitivity ${sensitivity} (effective ${this.getCollisionThreshold() * 100}%)`);
+    return this.getCollisionSettings();
+  }
+
+  getCollisionSettings() {
+    return {
+      threshold: this.collisionThreshold,
+      sensitivity: this.collisionSensitivity,
+      effectiveThreshold: this.getCollisionThreshold() * 100
+    };
   }
 
   /**
-   * 检查碰撞
+   * 有效残差阈值 (额定电流比例)
+   */
+  getCollisionThreshold() {
+    return this.collisionThreshold / 100 * (1 - this.collisionSensitivity);
+  }
+
+  /**
+   * 检查碰撞: 动量观测器自上次检查以来的残差电流峰值超过阈值时急停
    */
   checkCollision() {
-    // 在实际系统中，这里会读取电机电流或力矩传感器
-    // 模拟碰撞检测
-    const collisionProbability = Math.random() * 0.001; // 0.1% 概率
-    
-    if (collisionProbability > 0.0005) {
+    const { collisionObserver, dynamics } = this.robotController;
+    const peak = collisionObserver.takePeak();
+    const threshold = this.getCollisionThreshold();
+    const ratios = peak.map((current, i) => Math.abs(current) / dynamics.ratedCurrents[i]);
+    const worst = ratios.indexOf(Math.max(...ratios));
+
+    this.safetyStatus.collisionResidual = { peak: ratios[worst], joint: worst + 1, threshold };
+
+    const joints = peak
+      .map((residual, i) => ({ joint: i + 1, residual, threshold: threshold * dynamics.ratedCurrents[i] }))
+      .filter((item, i) => ratios[i] > threshold);
+
+    if (joints.length === 0) return false;
+
+    // 已急停时不重复触发 (残差在 reset 前保持)
+    if (!this.safetyStatus.collisionDetected) {
       this.safetyStatus.collisionDetected = true;
-      this.logger.warn('Collision detected!');
-      
-      this.triggerEmergencyStop('Collision detected');
-      
+      this.logger.warn(`Collision detected: ${joints.map(item =>
+        `J${item.joint} residual ${item.residual.toFixed(2)} A (threshold ${item.threshold.toFixed(2)} A)`).join(', ')}`);
+
+      this.triggerEmergencyStop('Collision detected', 'collision');
+
       this.emit('collision', {
         timestamp: Date.now(),
-        severity: 'high'
+        severity: 'high',
+        joints
       });
-      
+    }
+
+    return true;
+  }
+
+  /**
+   * 设置安全事件的停止类别 (未给出的保持不变)
+   * @param {Object} categories - {事件类型: 0 | 1 | 2}
+   */
+  setStopCategories(categories = {}) {
+    for (const [event, category] of Object.entries(categories)) {
+      if (!(event in this.stopCategories)) {
+        throw new Error(`Unknown safety event "${event}" (expected ${Object.keys(this.stopCategories).join(', ')})`);
+      }
+      if (![0, 1, 2].includes(category)) {
+        throw new Error(`Stop category for ${event} must be 0, 1 or 2`);
+      }
+    }
+
+    Object.assign(this.stopCategories, categories);
+    this.logger.info(`Stop categories: ${JSON.stringify(this.stopCategories)}`);
+    return { ...this.stopCategories };
+  }
+
+  /**
+   * 安全条件违反时是否为新故障 (需停止与报警)
+   * 故障保持锁存 (安全复位前) 期间只更新安全状态，不重复停止；故障恢复中情况加剧时停止一次
+   * @param {string} event - 安全事件类型
+   */
+  isNewFault(event) {
+    const { recovery, faults } = this.safetyStatus;
+
+    if (recovery && RECOVERABLE_CAUSES.includes(event)) {
+      if (recovery.escalated) return false;
+      recovery.escalated = true;
       return true;
     }
+    return !faults.some(fault => fault.event === event);
+  }
+
+  /**
+   * 按事件类型的停止类别停止机器人 (受控减速按加速度限制沿当前轨迹规划)
+   */
+  stopRobot(event, reason) {
+    const category = this.stopCategories[event];
+    const stop = { event, category, reason, timestamp: Date.now() };
+    this.safetyStatus.lastStop = stop;
+
+    // 锁存故障，安全复位前互锁运动
+    if (!this.safetyStatus.faults.some(fault => fault.event === event)) {
+      this.safetyStatus.faults.push(stop);
+      this.emit('fault', stop);
+    }
+
+    this.robotController.stop(category, reason, this.accelerationLimits).catch(error => {
+      this.logger.error(`Stop category ${category} failed: ${error.message}`);
+    });
 
-    return false;
+    return category;
   }
 
   /**
    * 触发保护性停止
+   * @param {string} reason - 停止原因
+   * @param {string} event - 安全事件类型 (决定停止类别)
    */
-  triggerProtectiveStop(reason) {
-    this.logger.warn(`Protective stop triggered: ${reason}`);
-    
-    // 平滑停止
-    this.robotController.targetJoints = [...this.robotController.currentJoints];
+  triggerProtectiveStop(reason, event) {
+    const category = this.stopRobot(event, `Protective stop: ${reason}`);
+    this.logger.warn(`Protective stop (category ${category}) triggered: ${reason}`);
     
     this.emit('protective-stop', {
       reason: reason,
+      event: event,
+      category: category,
       timestamp: Date.now()
     });
   }
 
   /**
    * 触发紧急停止
+   * @param {string} reason - 停止原因
+   * @param {string} event - 安全事件类型 (决定停止类别，默认急停按钮)
    */
-  triggerEmergencyStop(reason) {
+  triggerEmergencyStop(reason, event = 'emergency-stop') {
     this.safetyStatus.emergencyStopped = true;
-    this.logger.error(`Emergency stop triggered: ${reason}`);
-    
-    // 立即执行紧急停止
-    this.robotController.emergencyStop();
+    const category = this.stopRobot(event, reason);
+    this.logger.error(`Emergency stop (category ${category}) triggered: ${reason}`);
     
     this.emit('emergency-stop', {
       reason: reason,
+      event: event,
+      category: category,
       timestamp: Date.now()
     });
   }
 
   /**
-   * 重置安全状态
+   * 运动互锁原因: 存在待复位故障或驱动未使能时返回原因，允许运动时返回 null
+   * 故障恢复进行中时仍允许恢复运动 (type 'safety-recovery')
+   * @param {string} type - 运动任务类型
    */
-  reset() {
+  getInterlockReason(type) {
+    const { faults, recovery } = this.safetyStatus;
+
+    if (faults.length > 0 && !(recovery && type === 'safety-recovery')) {
+      const more = faults.length > 1 ? ` (+${faults.length - 1} more)` : '';
+      return `Safety reset required: ${faults[0].reason}${more}`;
+    }
+    if (!this.robotController.drivesEnabled) {
+      return 'Drives disabled';
+    }
+    return null;
+  }
+
+  /**
+   * 尚未消除的故障原因 (不触发停止): 机器人须静止，且当前构型与电流残差不再违反安全条件
+   * @returns {Object[]} [{type, message}]，为空时可复位；type 为 RECOVERABLE_CAUSES 之一时可由恢复运动消除
+   */
+  getActiveCauses() {
+    const joints = this.robotController.getCurrentJoints();
+    const velocities = this.robotController.getJointVelocities();
+    const causes = [];
+
+    const moving = velocities.findIndex(v => Math.abs(v) > STANDSTILL_VELOCITY);
+    if (moving >= 0) {
+      causes.push({ type: 'motion', message: `J${moving + 1} not at standstill` });
+    }
+
+    for (const { joint, value, safeValue } of this.findJointLimitViolations(joints)) {
+      causes.push({ type: 'joint-limit', message: `J${joint} at ${value.toFixed(3)} rad outside safe range (${safeValue.toFixed(3)} rad)` });
+    }
+
+    for (const { zone } of this.zoneManager.check(joints, 0)) {
+      causes.push({ type: 'safety-zone', message: `Safety zone "${zone}" violated` });
+    }
+
+    const { distance, links } = this.robotController.collisionModel.selfDistance(joints);
+    if (distance < 0) {
+      causes.push({ type: 'self-collision', message: `Self-collision between ${links.join(' and ')}` });
+    }
+
+    // 碰撞: 当前残差 (非峰值) 须回落到阈值以下，即接触已解除
+    const { collisionObserver, dynamics } = this.robotController;
+    const threshold = this.getCollisionThreshold();
+    collisionObserver.residualCurrents().forEach((current, i) => {
+      if (Math.abs(current) / dynamics.ratedCurrents[i] > threshold) {
+        causes.push({ type: 'collision', message: `J${i + 1} external torque still present (${current.toFixed(2)} A)` });
+      }
+    });
+
+    return causes;
+  }
+
+  /**
+   * 确认人姓名 (复位与故障恢复均须记录)
+   */
+  requireOperator(operator, action) {
+    if (typeof operator !== 'string' || operator.trim() === '') {
+      throw new Error(`${action} requires the name of the acknowledging operator`);
+    }
+    return operator.trim();
+  }
+
+  /**
+   * 安全复位 (故障确认)
+   * 原因须已消除；清除锁存状态后执行自检，通过后重新使能驱动并记录确认人，未通过时恢复锁存状态
+   * 仅剩关节超限 / 自碰撞原因时拒绝的异常带 recoverable 标记，可先执行故障恢复 (startRecovery)
+   * @param {string} operator - 确认复位的操作员
+   * @param {string} actor - 请求来源 (审计日志)
+   * @returns {Promise<Object>} 复位记录 {operator, actor, faults, timestamp}
+   */
+  async reset(operator, actor = 'unknown') {
+    operator = this.requireOperator(operator, 'Safety reset');
+
+    if (this.safetyStatus.recovery) {
+      throw new Error('Safety reset rejected: recovery move in progress');
+    }
+
+    const causes = this.getActiveCauses();
+    if (causes.length > 0) {
+      const messages = causes.map(cause => cause.message);
+      this.logger.warn(`Safety reset by ${operator} (${actor}) rejected: ${messages.join('; ')}`);
+      const error = new Error(`Safety reset rejected: ${messages.join('; ')}`);
+      error.causes = messages;
+      error.recoverable = causes.every(cause => RECOVERABLE_CAUSES.includes(cause.type));
+      throw error;
+    }
+
+    const latched = {
+      emergencyStopped: this.safetyStatus.emergencyStopped,
+      collisionDetected: this.safetyStatus.collisionDetected,
+      faults: this.safetyStatus.faults
+    };
+
     this.safetyStatus.emergencyStopped = false;
     this.safetyStatus.limitViolations = [];
     this.safetyStatus.collisionDetected = false;
-    
-    this.logger.info('Safety system reset');
-    this.emit('reset');
+    this.safetyStatus.faults = [];
+    this.robotController.collisionObserver.reset();
+
+    const selfCheck = this.performSelfCheck();
+    if (!selfCheck.overall) {
+      Object.assign(this.safetyStatus, latched);
+      const failed = Object.keys(selfCheck.checks).filter(check => selfCheck.checks[check] !== true);
+      this.logger.warn(`Safety reset by ${operator} (${actor}) rejected: self-check failed (${failed.join(', ')})`);
+      const error = new Error(`Safety reset rejected: self-check failed (${failed.join(', ')})`);
+      error.causes = failed.map(check => `Self-check ${check} failed`);
+      throw error;
+    }
+
+    await this.robotController.enableDrives();
+
+    const record = { operator, actor, faults: latched.faults, timestamp: Date.now() };
+    this.safetyStatus.lastReset = record;
+
+    this.logger.info(`Safety reset acknowledged by ${operator} (${actor}): ${JSON.stringify(latched.faults)}`);
+    this.emit('reset', record);
+    return record;
+  }
+
+  /**
+   * 故障恢复目标: 超限关节移回安全范围内 RECOVERY_INSET；
+   * 自碰撞时沿连杆间距的数值梯度逐步移动关节，直到间距达到碰撞模型的最小间距。
+   * 连杆轴线相交时间距梯度为零，改为退回最近一次保持最小间距的构型
+   * @param {number[]} joints - 当前关节角度
+   * @returns {number[]} 目标关节角度
+   */
+  planRecoveryTarget(joints) {
+    const { collisionModel } = this.robotController;
+    const clamp = (q, i) => {
+      const limit = this.jointLimits[i];
+      return Math.min(Math.max(q, limit.min + limit.margin + RECOVERY_INSET), limit.max - limit.margin - RECOVERY_INSET);
+    };
+
+    let target = joints.map(clamp);
+
+    for (let step = 0; step < RECOVERY_MAX_STEPS; step++) {
+      const { distance } = collisionModel.selfDistance(target);
+      if (distance >= collisionModel.clearance) {
+        return target;
+      }
+
+      const h = 1e-4;
+      const gradient = target.map((q, i) => {
+        const probe = [...target];
+        probe[i] = q + h;
+        return (collisionModel.selfDistance(probe).distance - distance) / h;
+      });
+      const norm = Math.hypot(...gradient);
+      if (norm < 1e-9) {
+        if (this.lastClearJoints) return this.lastClearJoints.map(clamp);
+        break;
+      }
+
+      target = target.map((q, i) => clamp(q + RECOVERY_STEP * gradient[i] / norm, i));
+    }
+
+    throw new Error('Recovery rejected: no self-collision-free configuration found near the current position');
+  }
+
+  /**
+   * 开始故障恢复 (操作员确认)
+   * 故障保持锁存，仅允许一次降速恢复运动 ('safety-recovery' 任务) 将关节移回安全范围 / 解除自碰撞；
+   * 恢复期间关节超限与自碰撞监控只在情况加剧时停止，其余监控不变。运动结束后须调用 endRecovery，再执行安全复位
+   * @param {string} operator - 确认恢复的操作员
+   * @param {string} actor - 请求来源 (审计日志)
+   * @returns {Promise<Object>} 恢复记录 {operator, actor, target, start, escalated, timestamp}
+   */
+  async startRecovery(operator, actor = 'unknown') {
+    operator = this.requireOperator(operator, 'Safety recovery');
+
+    if (this.safetyStatus.recovery) {
+      throw new Error('Recovery rejected: recovery move already in progress');
+    }
+
+    const causes = this.getActiveCauses();
+    const blocking = causes.filter(cause => !RECOVERABLE_CAUSES.includes(cause.type));
+    if (blocking.length > 0) {
+      throw new Error(`Recovery rejected: ${blocking.map(cause => cause.message).join('; ')}`);
+    }
+    if (causes.length === 0) {
+      throw new Error('Recovery rejected: no joint-limit or self-collision cause present, use safety reset');
+    }
+
+    const joints = this.robotController.getCurrentJoints();
+    const target = this.planRecoveryTarget(joints);
+    const limitExcess = joints.map((q, i) => {
+      const limit = this.jointLimits[i];
+      return Math.max(limit.min + limit.margin - q, q - (limit.max - limit.margin), 0);
+    });
+
+    const record = {
+      operator,
+      actor,
+      target,
+      start: { limitExcess, selfDistance: this.robotController.collisionModel.selfDistance(joints).distance },
+      escalated: false, // 恢复中情况加剧已停止
+      timestamp: Date.now()
+    };
+    this.safetyStatus.recovery = record;
+
+    try {
+      await this.robotController.enableDrives();
+    } catch (error) {
+      this.safetyStatus.recovery = null;
+      throw error;
+    }
+
+    this.logger.info(`Safety recovery acknowledged by ${operator} (${actor}): ${causes.map(cause => cause.message).join('; ')}`);
+    this.emit('recovery', record);
+    return record;
+  }
+
+  /**
+   * 结束故障恢复 (恢复运动完成或中止)，故障仍须安全复位
+   */
+  endRecovery() {
+    const { recovery } = this.safetyStatus;
+    if (!recovery) return;
+
+    this.safetyStatus.recovery = null;
+    this.logger.info(`Safety recovery by ${recovery.operator} ended`);
   }
 
   /**
@@ -279,6 +782,7 @@ class SafetyMonitor extends EventEmitter {
   getStatus() {
     return {
       ...this.safetyStatus,
+      interlock: this.getInterlockReason(),
       robotConnected: this.robotController.isConnected(),
       currentJoints: this.robotController.getCurrentJoints(),
       endEffectorPose: this.robotController.getEndEffectorPose()
@@ -305,21 +809,23 @@ class SafetyMonitor extends EventEmitter {
    * 检查是否接近奇异点
    */
   isNearSingularity(joints) {
-    // 检查J5接近±90° (腕部奇异)
-    if (Math.abs(Math.abs(joints[4]) - Math.PI/2) < 0.1) {
-      return true;
-    }
-    
-    // 检查肩部奇异
-    const r = Math.sqrt(
-      Math.pow(joints[0], 2) + 
-      Math.pow(joints[1], 2)
-    );
-    if (r < 0.1) {
-      return true;
+    return this.getSingularityTypes(joints).length > 0;
+  }
+
+  /**
+   * 获取接近的奇异类型 (wrist / elbow / shoulder / ill-conditioned)
+   * @param {number[]} joints - 关节角度
+   * @param {Object} metrics - 已计算的奇异性指标 (可选)
+   */
+  getSingularityTypes(joints, metrics = this.robotController.kinematics.getSingularityMetrics(joints)) {
+    const types = Object.keys(metrics.distances)
+      .filter(type => metrics.distances[type] < this.singularityThresholds[type]);
+
+    if (types.length === 0 && metrics.conditionNumber > this.singularityThresholds.conditionNumber) {
+      types.push('ill-conditioned');
     }
-    
-    return false;
+
+    return types;
   }
 
   /**
@@ -361,8 +867,14 @@ class SafetyMonitor extends EventEmitter {
     // 检查急停按钮
     results.checks.emergencyStop = !this.safetyStatus.emergencyStopped;
     
-    // 检查工作空间
-    results.checks.workspace = this.checkWorkspaceLimits(this.robotController.getEndEffectorPose());
+    // 检查安全区
+    results.checks.safetyZones = this.checkSafetyZones(this.robotController.getCurrentJoints(), this.robotController.getTcpSpeed());
+
+    // 检查自碰撞
+    results.checks.selfCollision = this.checkSelfCollision(this.robotController.getCurrentJoints());
+
+    // 检查碰撞状态 (碰撞急停须先复位)
+    results.checks.collision = !this.safetyStatus.collisionDetected;
 
     // 总体状态
     results.overall = Object.values(results.checks).every(check => check === true);
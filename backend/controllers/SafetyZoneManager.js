@@ -0,0 +1,244 @@
+/**
+ * 安全区管理器 - 限定区 (keep-in)、禁入区 (keep-out) 与限速区 (reduced-speed)
+ *
+ * 功能：
+ * - 命名安全区定义 (形状见 ConvexShape: 长方体、竖直圆柱、球、半空间、凸多面体)
+ * - 作用对象: TCP 点、工具胶囊体或全部活动连杆胶囊体 (含工具)
+ * - 由配置加载，运行时可增删改，每次变更记录审计日志 (操作者、变更前后定义)
+ * - 给定构型 (及 TCP 速度) 的违规检查，供周期安全检查与轨迹执行前校验共用
+ *
+ * keep-in: 作用对象须完全位于区域内；keep-out: 作用对象不得进入区域；
+ * reduced-speed: 作用对象进入区域时 TCP 线速度不得超过 maxSpeed。
+ * 运行时变更不写回配置文件，重启后以配置为准。
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+const ConvexShape = require('./ConvexShape');
+
+const ZONE_TYPES = ['keep-in', 'keep-out', 'reduced-speed'];
+const TARGETS = ['tcp', 'tool', 'links'];
+const UNITS = { m: 1, mm: 0.001 };
+
+// 限速比较的相对容差 (数值误差)
+const SPEED_TOLERANCE = 1e-3;
+
+// 未配置时的默认安全区: TCP 工作空间 (m)
+const DEFAULT_ZONES = [
+  {
+    name: 'workspace',
+    type: 'keep-in',
+    appliesTo: 'tcp',
+    shape: { type: 'box', center: { x: 0, y: 0, z: 0.65 }, size: { x: 2.0, y: 2.0, z: 1.3 } }
+  }
+];
+
+class SafetyZoneManager extends EventEmitter {
+  /**
+   * @param {CollisionModel} collisionModel - 碰撞模型 (连杆与工具胶囊体)
+   */
+  constructor(collisionModel) {
+    super();
+
+    this.collisionModel = collisionModel;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [
+        new winston.transports.File({ filename: 'logs/safety-zones.log' })
+      ]
+    });
+
+    this.zones = new Map(DEFAULT_ZONES.map(zone => [zone.name, this.normalizeZone(zone, 1)]));
+  }
+
+  /**
+   * 按配置替换全部安全区
+   * @param {Object} config - {unit: 'm' | 'mm', zones: [{name, type, appliesTo, shape, maxSpeed}]}
+   */
+  configure(config = {}, actor = 'config') {
+    const { unit = 'm', zones = [] } = config;
+    const scale = this.unitScale(unit);
+    const normalized = zones.map(zone => this.normalizeZone(zone, scale));
+
+    const names = new Set(normalized.map(zone => zone.name));
+    if (names.size !== normalized.length) {
+      throw new Error('Safety zone names must be unique');
+    }
+
+    const previous = this.listZones();
+    this.zones = new Map(normalized.map(zone => [zone.name, zone]));
+
+    this.audit('load', `${normalized.length} zones`, actor, previous, this.listZones());
+    this.emit('zones-changed', this.listZones());
+    return this.listZones();
+  }
+
+  unitScale(unit) {
+    const scale = UNITS[unit];
+    if (!scale) {
+      throw new Error(`Invalid safety zone unit "${unit}" (expected m or mm)`);
+    }
+    return scale;
+  }
+
+  /**
+   * 校验并规范化安全区定义 (换算为 m、m/s)
+   */
+  normalizeZone(zone, scale) {
+    if (!zone || typeof zone.name !== 'string' || zone.name.trim() === '') {
+      throw new Error('Safety zone name is required');
+    }
+
+    const name = zone.name.trim();
+    const { type, appliesTo = 'tcp' } = zone;
+
+    if (!ZONE_TYPES.includes(type)) {
+      throw new Error(`Safety zone ${name}: type must be ${ZONE_TYPES.join(', ')}`);
+    }
+    if (!TARGETS.includes(appliesTo)) {
+      throw new Error(`Safety zone ${name}: appliesTo must be ${TARGETS.join(', ')}`);
+    }
+
+    let maxSpeed = null;
+    if (type === 'reduced-speed') {
+      if (!Number.isFinite(zone.maxSpeed) || zone.maxSpeed <= 0) {
+        throw new Error(`Safety zone ${name}: maxSpeed must be a positive number`);
+      }
+      maxSpeed = zone.maxSpeed * scale;
+    }
+
+    return {
+      name,
+      type,
+      appliesTo,
+      shape: ConvexShape.normalize(zone.shape, scale, `Safety zone ${name}`),
+      maxSpeed
+    };
+  }
+
+  /**
+   * 安全区列表 (m、m/s，对外展示与界面渲染)
+   */
+  listZones() {
+    return Array.from(this.zones.values()).map(zone => ({
+      name: zone.name,
+      type: zone.type,
+      appliesTo: zone.appliesTo,
+      shape: ConvexShape.serialize(zone.shape),
+      maxSpeed: zone.maxSpeed
+    }));
+  }
+
+  /**
+   * 获取安全区，不存在时抛出异常
+   */
+  getZone(name) {
+    const zone = this.zones.get(name);
+    if (!zone) {
+      throw new Error(`Safety zone ${name} not found`);
+    }
+    return zone;
+  }
+
+  /**
+   * 新建或更新安全区
+   * @param {Object} zone - {name, type, appliesTo, shape, maxSpeed}
+   * @param {Object} options - {unit: 定义的长度单位 (默认 m), actor: 操作者 (审计日志)}
+   * @returns {Object} 规范化后的安全区 (m)
+   */
+  defineZone(zone, options = {}) {
+    const { unit = 'm', actor = 'unknown' } = options;
+    const normalized = this.normalizeZone(zone, this.unitScale(unit));
+    const previous = this.zones.has(normalized.name) ? this.serialize(normalized.name) : null;
+
+    this.zones.set(normalized.name, normalized);
+
+    const defined = this.serialize(normalized.name);
+    this.audit(previous ? 'update' : 'create', normalized.name, actor, previous, defined);
+    this.emit('zones-changed', this.listZones());
+    return defined;
+  }
+
+  /**
+   * 删除安全区
+   */
+  removeZone(name, options = {}) {
+    const { actor = 'unknown' } = options;
+    this.getZone(name);
+
+    const previous = this.serialize(name);
+    this.zones.delete(name);
+
+    this.audit('remove', name, actor, previous, null);
+    this.emit('zones-changed', this.listZones());
+  }
+
+  serialize(name) {
+    return this.listZones().find(zone => zone.name === name);
+  }
+
+  /**
+   * 审计日志: 操作、对象、操作者与变更前后定义
+   */
+  audit(action, target, actor, before, after) {
+    this.logger.info(`Audit ${action} ${target} by ${actor}: ${JSON.stringify({ before, after })}`);
+  }
+
+  /**
+   * 检查给定构型下的安全区约束
+   * @param {number[]} joints - 关节角度
+   * @param {number} tcpSpeed - TCP 线速度 (m/s)
+   * @returns {Object[]} 违规项 [{zone, link, limit, value, excess}]
+   *   keep-in / keep-out: value 为到区域边界的余量 (m，负值为越界)，limit 为 0，link 为越界最多的对象；
+   *   reduced-speed: value 为 TCP 速度 (m/s)，limit 为区域限速
+   */
+  check(joints, tcpSpeed = 0) {
+    if (this.zones.size === 0) return [];
+
+    const targets = this.targets(joints);
+    const items = [];
+
+    for (const zone of this.zones.values()) {
+      const worst = { margin: Infinity, link: null };
+
+      for (const { name, start, end, radius } of targets[zone.appliesTo]) {
+        const margin = zone.type === 'keep-in'
+          ? -(ConvexShape.segmentMaximum(zone.shape, start, end) + radius)
+          : ConvexShape.segmentMinimum(zone.shape, start, end) - radius;
+
+        if (margin < worst.margin) {
+          worst.margin = margin;
+          worst.link = name;
+        }
+      }
+
+      if (worst.margin >= 0) continue;
+
+      if (zone.type !== 'reduced-speed') {
+        items.push({ zone: zone.name, link: worst.link, limit: 0, value: worst.margin, excess: -worst.margin });
+      } else if (tcpSpeed > zone.maxSpeed * (1 + SPEED_TOLERANCE)) {
+        items.push({ zone: zone.name, limit: zone.maxSpeed, value: tcpSpeed, excess: tcpSpeed / zone.maxSpeed });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 各作用对象的胶囊体 (TCP 视为半径为 0 的点)
+   */
+  targets(joints) {
+    const capsules = this.collisionModel.linkCapsules(joints);
+    const tool = capsules.find(capsule => capsule.name === 'tool');
+
+    return {
+      tcp: [{ name: 'tcp', start: tool.end, end: tool.end, radius: 0 }],
+      tool: [tool],
+      links: capsules.filter(capsule => !capsule.fixed)
+    };
+  }
+}
+
+module.exports = SafetyZoneManager;
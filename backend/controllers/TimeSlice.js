@@ -0,0 +1,31 @@
+/**
+ * 协作式时间片 - 长时间同步计算分段让出事件循环
+ *
+ * 逆解采样、路径参数化、轨迹校验等计算可达秒级，一次性执行会阻塞控制循环、安全检查、状态广播与急停处理。
+ * 计算循环中定期调用 yield()，连续计算超过预算时经 setImmediate 让出事件循环，
+ * 待处理的定时器与 I/O 先执行，再继续计算。
+ */
+
+const { performance } = require('perf_hooks');
+
+class TimeSlice {
+  /**
+   * @param {number} budget - 每段连续计算的时间上限 (毫秒)
+   */
+  constructor(budget = 5) {
+    this.budget = budget;
+    this.start = performance.now();
+  }
+
+  /**
+   * 本段计算超过预算时让出事件循环
+   */
+  async yield() {
+    if (performance.now() - this.start < this.budget) return;
+
+    await new Promise(resolve => setImmediate(resolve));
+    this.start = performance.now();
+  }
+}
+
+module.exports = TimeSlice;
@@ -0,0 +1,276 @@
+/**
+ * 工具管理器 - 工具中心点 (TCP) 定义与标定
+ *
+ * 功能：
+ * - 命名工具定义 (TCP偏移、姿态、质量、重心、碰撞半径)，持久化保存
+ * - 当前工具选择
+ * - 四点法 TCP 标定 (多个法兰位姿触碰同一点)
+ *
+ * 工具参数相对法兰坐标系 (坐标系6) 定义，长度单位 mm，角度单位 rad，
+ * 姿态为 XYZ 欧拉角，与 Pose.fromEuler 一致。
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const math = require('mathjs');
+const winston = require('winston');
+
+const Pose = require('./Pose');
+
+// 法兰工具 (零偏移，不可删除)
+const FLANGE_TOOL = {
+  name: 'flange',
+  offset: { x: 0, y: 0, z: 0 },
+  orientation: { rx: 0, ry: 0, rz: 0 },
+  mass: 0,
+  centerOfGravity: { x: 0, y: 0, z: 0 },
+  radius: 20
+};
+
+// 未指定时的工具碰撞半径 (mm)
+const DEFAULT_TOOL_RADIUS = 20;
+
+class ToolManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.filePath = options.filePath || 'data/tools.json';
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.simple(),
+      transports: [
+        new winston.transports.File({ filename: 'logs/tools.log' })
+      ]
+    });
+
+    this.tools = new Map([[FLANGE_TOOL.name, FLANGE_TOOL]]);
+    this.activeToolName = FLANGE_TOOL.name;
+
+    // 标定位姿的最小姿态差异 (AᵀA 最小特征值)
+    this.minCalibrationSpread = 1e-3;
+
+    this.load();
+  }
+
+  /**
+   * 从文件加载工具定义
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      for (const tool of data.tools || []) {
+        if (tool.name !== FLANGE_TOOL.name) {
+          this.tools.set(tool.name, this.normalizeTool(tool));
+        }
+      }
+
+      if (this.tools.has(data.activeTool)) {
+        this.activeToolName = data.activeTool;
+      }
+
+      this.logger.info(`Loaded ${this.tools.size} tools, active tool: ${this.activeToolName}`);
+    } catch (error) {
+      this.logger.error(`Failed to load tools from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存工具定义到文件
+   */
+  save() {
+    const data = {
+      activeTool: this.activeToolName,
+      tools: this.listTools().filter(tool => tool.name !== FLANGE_TOOL.name)
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * 校验并规范化工具定义
+   */
+  normalizeTool(tool) {
+    if (!tool || typeof tool.name !== 'string' || tool.name.trim() === '') {
+      throw new Error('Tool name is required');
+    }
+
+    const vector = (value, keys, label) => {
+      const result = {};
+      for (const key of keys) {
+        const number = Number(value?.[key] ?? 0);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Tool ${tool.name}: ${label}.${key} must be a finite number`);
+        }
+        result[key] = number;
+      }
+      return result;
+    };
+
+    const mass = Number(tool.mass ?? 0);
+    if (!Number.isFinite(mass) || mass < 0) {
+      throw new Error(`Tool ${tool.name}: mass must be a non-negative number`);
+    }
+
+    // 碰撞半径: 法兰至 TCP 的胶囊体半径 (自碰撞、障碍物检查)
+    const radius = Number(tool.radius ?? DEFAULT_TOOL_RADIUS);
+    if (!Number.isFinite(radius) || radius < 0) {
+      throw new Error(`Tool ${tool.name}: radius must be a non-negative number`);
+    }
+
+    return {
+      name: tool.name.trim(),
+      offset: vector(tool.offset, ['x', 'y', 'z'], 'offset'),
+      orientation: vector(tool.orientation, ['rx', 'ry', 'rz'], 'orientation'),
+      mass,
+      centerOfGravity: vector(tool.centerOfGravity, ['x', 'y', 'z'], 'centerOfGravity'),
+      radius
+    };
+  }
+
+  /**
+   * 列出全部工具
+   */
+  listTools() {
+    return Array.from(this.tools.values());
+  }
+
+  /**
+   * 获取工具，不存在时抛出异常
+   */
+  getTool(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Tool ${name} not found`);
+    }
+    return tool;
+  }
+
+  /**
+   * 新建或更新工具
+   * @param {Object} tool - {name, offset, orientation, mass, centerOfGravity, radius (mm)}
+   * @returns {Object} 规范化后的工具定义
+   */
+  defineTool(tool) {
+    const normalized = this.normalizeTool(tool);
+
+    if (normalized.name === FLANGE_TOOL.name) {
+      throw new Error('The flange tool cannot be redefined');
+    }
+
+    this.tools.set(normalized.name, normalized);
+    this.save();
+
+    this.logger.info(`Tool ${normalized.name} defined: ${JSON.stringify(normalized)}`);
+    this.emit('tools-changed', this.listTools());
+    return normalized;
+  }
+
+  /**
+   * 删除工具 (当前工具与法兰工具不可删除)
+   */
+  removeTool(name) {
+    this.getTool(name);
+
+    if (name === FLANGE_TOOL.name) {
+      throw new Error('The flange tool cannot be removed');
+    }
+    if (name === this.activeToolName) {
+      throw new Error(`Tool ${name} is active and cannot be removed`);
+    }
+
+    this.tools.delete(name);
+    this.save();
+
+    this.logger.info(`Tool ${name} removed`);
+    this.emit('tools-changed', this.listTools());
+  }
+
+  /**
+   * 选择当前工具
+   */
+  setActiveTool(name) {
+    const tool = this.getTool(name);
+
+    this.activeToolName = name;
+    this.save();
+
+    this.logger.info(`Active tool set to ${name}`);
+    this.emit('active-tool-changed', tool);
+    return tool;
+  }
+
+  getActiveTool() {
+    return this.getTool(this.activeToolName);
+  }
+
+  /**
+   * 工具坐标系相对法兰的变换矩阵 (数组形式，单位 m)
+   */
+  getToolTransform(name = this.activeToolName) {
+    const { offset, orientation } = this.getTool(name);
+    return Pose.fromEuler(offset, orientation, { length: 'mm', angle: 'rad' }).toTransform();
+  }
+
+  /**
+   * 四点法 TCP 标定
+   *
+   * 各标定位姿下工具尖端触碰同一固定点 P：R_i·t + p_i = P。
+   * 将 [R_i  -I]·[t; P] = -p_i 叠加后按最小二乘求解 TCP 偏移 t 与触碰点 P。
+   *
+   * @param {number[][][]} flangeTransforms - 法兰位姿 (4x4 数组，单位 m)，至少4个且姿态差异足够
+   * @returns {Object} {offset, point, rmsError, maxError} (mm)
+   */
+  calibrateTcp(flangeTransforms) {
+    if (!Array.isArray(flangeTransforms) || flangeTransforms.length < 4) {
+      throw new Error('TCP calibration requires at least 4 flange poses');
+    }
+
+    const A = [];
+    const b = [];
+
+    for (const T of flangeTransforms) {
+      for (let r = 0; r < 3; r++) {
+        A.push([T[r][0], T[r][1], T[r][2], r === 0 ? -1 : 0, r === 1 ? -1 : 0, r === 2 ? -1 : 0]);
+        b.push(-T[r][3]);
+      }
+    }
+
+    const AT = math.transpose(A);
+    const ATA = math.multiply(AT, A);
+    const eigenvalues = math.eigs(ATA).values;
+    const minEigenvalue = Math.min(...(Array.isArray(eigenvalues) ? eigenvalues : eigenvalues.toArray()));
+
+    if (minEigenvalue < this.minCalibrationSpread) {
+      throw new Error('TCP calibration poses do not differ enough in orientation');
+    }
+
+    const x = math.lusolve(ATA, math.multiply(AT, b)).map(row => row[0]);
+    const t = x.slice(0, 3);
+    const P = x.slice(3, 6);
+
+    // 各位姿下尖端位置与拟合点的偏差
+    const errors = flangeTransforms.map(T => Math.hypot(...[0, 1, 2].map(r =>
+      T[r][0] * t[0] + T[r][1] * t[1] + T[r][2] * t[2] + T[r][3] - P[r]
+    )));
+
+    const toMillimetres = v => ({ x: v[0] * 1000, y: v[1] * 1000, z: v[2] * 1000 });
+    const result = {
+      offset: toMillimetres(t),
+      point: toMillimetres(P),
+      rmsError: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length) * 1000,
+      maxError: Math.max(...errors) * 1000
+    };
+
+    this.logger.info(`TCP calibrated from ${flangeTransforms.length} poses: ${JSON.stringify(result)}`);
+    return result;
+  }
+}
+
+ToolManager.FLANGE_TOOL = FLANGE_TOOL;
+
+module.exports = ToolManager;
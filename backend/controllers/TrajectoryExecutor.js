@@ -0,0 +1,344 @@
+/**
+ * 轨迹执行器 - 按规划时间流式下发关节设定值
+ *
+ * 功能：
+ * - 轨迹点缓冲队列，或直接按时间求值的轨迹基元 (TrajectoryPrimitive)
+ * - 由控制循环按通信周期拉取设定值，保持规划时间
+ * - 执行进度事件
+ * - 暂停 / 恢复 / 中止 (沿路径受控减速)
+ * - 安全停止 (停止类别 1/2): 按当前路径速度与各轴减速度规划沿路径的减速时间
+ */
+
+const EventEmitter = require('events');
+
+const TrajectoryPrimitive = require('./TrajectoryPrimitive');
+
+class TrajectoryExecutor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // 暂停/中止时的减速时间 (秒)
+    this.rampTime = options.rampTime || 0.3;
+
+    // 进度事件间隔 (秒)
+    this.progressInterval = options.progressInterval || 0.1;
+
+    this.reset();
+  }
+
+  /**
+   * 复位执行状态
+   */
+  reset() {
+    this.state = 'idle'; // idle | running | pausing | paused | resuming | aborting | stopping
+    this.queue = [];
+    this.primitive = null;
+    this.index = 0;
+    this.trajectoryTime = 0;
+    this.timeScale = 1;
+    this.lastProgressTime = 0;
+    this.pending = null;
+
+    // 安全停止: 时间缩放因子每秒下降量与停止原因
+    this.stopRate = 0;
+    this.stopReason = null;
+  }
+
+  /**
+   * 执行轨迹
+   * @param {Object[]|TrajectoryPrimitive} trajectory - 轨迹点数组 [{time, position}] 或轨迹基元
+   * @returns {Promise} 轨迹执行完成时兑现，被中止时拒绝
+   */
+  execute(trajectory) {
+    if (this.isActive()) {
+      return Promise.reject(new Error('Trajectory executor is busy'));
+    }
+
+    const primitive = trajectory instanceof TrajectoryPrimitive ? trajectory : null;
+    if (!primitive && (!trajectory || trajectory.length === 0)) {
+      return Promise.resolve();
+    }
+
+    this.reset();
+    if (primitive) {
+      this.primitive = primitive;
+    } else {
+      this.queue = trajectory.filter(point => Array.isArray(point.position));
+    }
+    this.state = 'running';
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      this.emit('started', { duration: this.getDuration(), points: primitive ? null : this.queue.length });
+    });
+  }
+
+  /**
+   * 控制循环每周期调用，返回当前周期的关节设定值
+   * @param {number} dt - 控制周期 (秒)
+   * @returns {number[]|null} 关节设定值，空闲时返回null
+   */
+  nextSetpoint(dt) {
+    if (!this.isActive()) return null;
+
+    this.updateTimeScale(dt);
+    this.trajectoryTime += this.timeScale * dt;
+
+    const duration = this.getDuration();
+    if (this.trajectoryTime >= duration) {
+      this.trajectoryTime = duration;
+    }
+
+    const setpoint = this.interpolate(this.trajectoryTime);
+
+    if (this.trajectoryTime - this.lastProgressTime >= this.progressInterval || this.trajectoryTime >= duration) {
+      this.lastProgressTime = this.trajectoryTime;
+      this.emit('progress', this.getProgress());
+    }
+
+    if (this.state === 'aborting' && this.timeScale === 0) {
+      this.finish(new Error('Trajectory aborted'));
+    } else if (this.state === 'stopping' && (this.timeScale === 0 || this.trajectoryTime >= duration)) {
+      this.finish(new Error(this.stopReason));
+    } else if (this.trajectoryTime >= duration) {
+      this.finish(null);
+    }
+
+    return setpoint;
+  }
+
+  /**
+   * 更新时间缩放因子 (暂停/恢复/中止时线性过渡)
+   */
+  updateTimeScale(dt) {
+    const step = dt / this.rampTime;
+
+    switch (this.state) {
+      case 'pausing':
+      case 'aborting':
+        this.timeScale = Math.max(0, this.timeScale - step);
+        if (this.state === 'pausing' && this.timeScale === 0) {
+          this.state = 'paused';
+          this.emit('paused', this.getProgress());
+        }
+        break;
+      case 'stopping':
+        this.timeScale = Math.max(0, this.timeScale - this.stopRate * dt);
+        break;
+      case 'resuming':
+        this.timeScale = Math.min(1, this.timeScale + step);
+        if (this.timeScale === 1) {
+          this.state = 'running';
+        }
+        break;
+      case 'paused':
+        this.timeScale = 0;
+        break;
+      default:
+        this.timeScale = 1;
+    }
+  }
+
+  /**
+   * 按时间求设定值: 轨迹基元直接解析求值，轨迹点在缓冲队列中线性插值
+   */
+  interpolate(time) {
+    if (this.primitive) {
+      return this.primitive.position(time);
+    }
+
+    const queue = this.queue;
+
+    while (this.index < queue.length - 1 && queue[this.index + 1].time <= time) {
+      this.index++;
+    }
+
+    const p0 = queue[this.index];
+    const p1 = queue[Math.min(this.index + 1, queue.length - 1)];
+    const span = p1.time - p0.time;
+    const s = span > 0 ? Math.min(1, Math.max(0, (time - p0.time) / span)) : 0;
+
+    return p0.position.map((q, j) => q + s * (p1.position[j] - q));
+  }
+
+  /**
+   * 结束执行
+   */
+  finish(error) {
+    const pending = this.pending;
+    const progress = { ...this.getProgress(), state: error ? 'aborted' : 'done' };
+
+    this.state = 'idle';
+    this.queue = [];
+    this.primitive = null;
+    this.pending = null;
+
+    if (error) {
+      this.emit('aborted', { ...progress, reason: error.message });
+      if (pending) pending.reject(error);
+    } else {
+      this.emit('completed', progress);
+      if (pending) pending.resolve();
+    }
+  }
+
+  /**
+   * 暂停 (沿路径受控减速至停止)
+   */
+  pause() {
+    if (this.state !== 'running' && this.state !== 'resuming') return false;
+    this.state = 'pausing';
+    return true;
+  }
+
+  /**
+   * 从暂停点恢复
+   */
+  resume() {
+    if (this.state !== 'paused' && this.state !== 'pausing') return false;
+    this.state = 'resuming';
+    this.emit('resumed', this.getProgress());
+    return true;
+  }
+
+  /**
+   * 中止 (沿路径受控减速后结束)
+   */
+  abort() {
+    if (!this.isActive()) return false;
+
+    if (this.state === 'paused') {
+      this.finish(new Error('Trajectory aborted'));
+    } else if (this.state !== 'stopping') {
+      // 安全停止中保持其减速规划
+      this.state = 'aborting';
+    }
+    return true;
+  }
+
+  /**
+   * 安全停止 (沿路径受控减速后结束，停止类别 1/2)
+   * 时间缩放因子 s 线性降为零，关节加速度为 q̈·s² + q̇·ṡ (q̇, q̈ 为原规划时间下的路径速度与加速度)，
+   * 减速时间取各轴 |q̇|·s / (减速度 - |q̈|·s²) 的最大值，使减速过程不超过减速度；
+   * 已在安全停止中时只允许缩短减速时间
+   * @param {string} reason - 停止原因 (执行 Promise 的拒绝原因)
+   * @param {number[]} decelerations - 各轴减速度 (rad/s²)
+   * @returns {number|null} 减速时间 (秒)，空闲时返回 null
+   */
+  stopAlongPath(reason, decelerations) {
+    if (!this.isActive()) return null;
+
+    if (this.state === 'paused') {
+      this.finish(new Error(reason));
+      return 0;
+    }
+
+    const s = this.timeScale;
+    const velocity = this.pathVelocity(this.trajectoryTime);
+    const acceleration = this.pathAcceleration(this.trajectoryTime);
+    const rampTime = Math.max(...velocity.map((v, i) => {
+      // 路径本身已接近最大减速度时保留至少 10% 的减速度裕量用于停止
+      const available = Math.max(decelerations[i] - Math.abs(acceleration[i]) * s * s, 0.1 * decelerations[i]);
+      return Math.abs(v) * s / available;
+    }));
+    const rate = rampTime > 0 ? s / rampTime : Infinity;
+
+    if (this.state !== 'stopping' || rate > this.stopRate) {
+      this.stopRate = rate;
+      this.stopReason = reason;
+    }
+    this.state = 'stopping';
+
+    const time = this.stopRate === Infinity ? 0 : this.timeScale / this.stopRate;
+    this.emit('stopping', { ...this.getProgress(), reason: this.stopReason, rampTime: time });
+    return time;
+  }
+
+  /**
+   * 路径速度 (按原规划时间，rad/s): 轨迹基元解析求值，轨迹点取当前线段斜率
+   */
+  pathVelocity(time) {
+    if (this.primitive) {
+      return this.primitive.velocity(time);
+    }
+
+    const p0 = this.queue[this.index];
+    const p1 = this.queue[Math.min(this.index + 1, this.queue.length - 1)];
+
+    return this.segmentSlope(p0, p1);
+  }
+
+  /**
+   * 路径加速度 (按原规划时间，rad/s²): 轨迹基元解析求值，轨迹点取相邻线段斜率之差
+   */
+  pathAcceleration(time) {
+    if (this.primitive) {
+      return this.primitive.acceleration(time);
+    }
+
+    const queue = this.queue;
+    const i = this.index;
+    if (i === 0 || i >= queue.length - 1) {
+      return queue[i].position.map(() => 0);
+    }
+
+    const before = this.segmentSlope(queue[i - 1], queue[i]);
+    const after = this.segmentSlope(queue[i], queue[i + 1]);
+    const span = (queue[i + 1].time - queue[i - 1].time) / 2;
+
+    return after.map((v, j) => (span > 0 ? (v - before[j]) / span : 0));
+  }
+
+  segmentSlope(p0, p1) {
+    const span = p1.time - p0.time;
+    return p0.position.map((q, j) => (span > 0 ? (p1.position[j] - q) / span : 0));
+  }
+
+  /**
+   * 是否正在安全停止减速
+   */
+  isStopping() {
+    return this.state === 'stopping';
+  }
+
+  /**
+   * 立即停止 (不减速，用于停止类别 0)
+   */
+  stop(reason = 'Trajectory stopped') {
+    if (!this.isActive()) return false;
+    this.finish(new Error(reason));
+    return true;
+  }
+
+  /**
+   * 是否正在执行轨迹
+   */
+  isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * 轨迹总时长 (秒)
+   */
+  getDuration() {
+    if (this.primitive) return this.primitive.duration;
+    return this.queue.length > 0 ? this.queue[this.queue.length - 1].time : 0;
+  }
+
+  /**
+   * 获取执行进度
+   */
+  getProgress() {
+    const duration = this.getDuration();
+    return {
+      state: this.state,
+      time: this.trajectoryTime,
+      duration,
+      progress: duration > 0 ? this.trajectoryTime / duration : 1,
+      index: this.primitive ? null : this.index,
+      points: this.primitive ? null : this.queue.length
+    };
+  }
+}
+
+module.exports = TrajectoryExecutor;
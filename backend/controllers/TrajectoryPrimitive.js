@@ -0,0 +1,64 @@
+/**
+ * 轨迹基元 - 解析求值的关节轨迹公共接口
+ *
+ * 五次多项式、S曲线、样条等轨迹均继承本类，按时间解析给出位置、速度、加速度、加加速度，
+ * 轨迹执行器按控制周期直接求设定值，限制校验也可在任意时刻求值，无需数值差分。
+ * 子类设置 duration 并实现 evaluate(t, order)；t 超出 [0, duration] 时取端点处的值。
+ */
+
+class TrajectoryPrimitive {
+  /**
+   * @param {number} duration - 轨迹时长 (秒)
+   */
+  constructor(duration) {
+    this.duration = duration;
+  }
+
+  /**
+   * t 时刻各关节的 order 阶导数 (0 位置、1 速度、2 加速度、3 加加速度)
+   * @returns {number[]}
+   */
+  evaluate(t, order) {
+    throw new Error(`${this.constructor.name} does not implement evaluate`);
+  }
+
+  position(t) {
+    return this.evaluate(t, 0);
+  }
+
+  velocity(t) {
+    return this.evaluate(t, 1);
+  }
+
+  acceleration(t) {
+    return this.evaluate(t, 2);
+  }
+
+  jerk(t) {
+    return this.evaluate(t, 3);
+  }
+
+  /**
+   * 按固定采样时间输出轨迹点，末点取终点
+   * @param {number} sampleTime - 采样时间 (秒)
+   * @returns {Object[]} 轨迹点数组 [{time, position, velocity, acceleration}]
+   */
+  sample(sampleTime = 0.01) {
+    const numPoints = this.duration > 0 ? Math.ceil(this.duration / sampleTime - 1e-9) : 0;
+    const trajectory = [];
+
+    for (let i = 0; i <= numPoints; i++) {
+      const t = Math.min(i * sampleTime, this.duration);
+      trajectory.push({
+        time: i * sampleTime,
+        position: this.position(t),
+        velocity: this.velocity(t),
+        acceleration: this.acceleration(t)
+      });
+    }
+
+    return trajectory;
+  }
+}
+
+module.exports = TrajectoryPrimitive;
@@ -0,0 +1,289 @@
+/**
+ * 轨迹校验器 - 执行前逐采样点检查规划轨迹
+ *
+ * 检查项：
+ * - 关节位置 (含安全余量)、速度、加速度、加加速度限制，TCP 线速度限制
+ * - 安全区 (限定区、禁入区、限速区的 TCP 速度)
+ * - 连杆与静态障碍物接触、不相邻连杆间自碰撞 (碰撞模型)
+ * - 奇异点接近 (仅警告: 零位即处于腕部奇异，关节运动经过奇异点无害，
+ *   笛卡尔运动在奇异点附近的关节速度、加速度已由上面的限制约束)
+ * - 扩展检查 (由 addCheck 注册)
+ *
+ * 限制取自安全监控器，与运行时检查一致。同一检查项、同一关节 / 区域连续超限的采样段
+ * 合并为一条记录，记录该段最严重的采样点及起止时刻。
+ * 长轨迹校验可达秒级，采样与检查按时间片让出事件循环 (控制循环与急停处理不被阻塞)。
+ */
+
+const TimeSlice = require('./TimeSlice');
+
+// 速度、加速度、加加速度、TCP 速度比较的相对容差 (数值差分误差)
+const DERIVATIVE_TOLERANCE = 1e-3;
+
+class TrajectoryValidator {
+  /**
+   * @param {SafetyMonitor} safetyMonitor - 安全监控器 (限制与奇异性阈值)
+   * @param {Object} options - {sampleTime (秒)，primitive 的采样时间}
+   */
+  constructor(safetyMonitor, options = {}) {
+    this.safetyMonitor = safetyMonitor;
+    this.kinematics = safetyMonitor.robotController.kinematics;
+    this.sampleTime = options.sampleTime || 0.01;
+
+    // 已注册的检查项 [{name, severity, interval, evaluate}]
+    this.checks = [];
+
+    this.addCheck('joint-position', sample => this.checkJointPositions(sample));
+    this.addCheck('joint-velocity', sample => this.checkDerivative(sample.velocity, this.safetyMonitor.velocityLimits));
+    this.addCheck('joint-acceleration', sample => this.checkDerivative(sample.acceleration, this.safetyMonitor.accelerationLimits));
+    this.addCheck('joint-jerk', sample => this.checkDerivative(sample.jerk, this.safetyMonitor.jerkLimits));
+    this.addCheck('tcp-speed', sample => this.checkTcpSpeed(sample));
+    this.addCheck('safety-zone', sample => this.checkSafetyZones(sample));
+    this.addCheck('obstacle', sample => this.checkObstacles(sample));
+    this.addCheck('self-collision', sample => this.checkSelfCollision(sample));
+    this.addCheck('singularity', sample => this.checkSingularity(sample), { severity: 'warning', interval: 0.05 });
+  }
+
+  /**
+   * 注册检查项
+   * @param {string} name - 检查项名称 (报告中的 check 字段)
+   * @param {Function} evaluate - (sample) => [{...标识字段 (joint、zone 等), limit, value, excess}]，excess > 0 为超限程度
+   * @param {Object} options - {severity: 'error' | 'warning', interval: 检查间隔 (秒，0 为每个采样点)}
+   */
+  addCheck(name, evaluate, options = {}) {
+    const { severity = 'error', interval = 0 } = options;
+    this.checks = this.checks.filter(check => check.name !== name);
+    this.checks.push({ name, severity, interval, evaluate });
+  }
+
+  /**
+   * 校验轨迹
+   * @param {Object[]|TrajectoryPrimitive} trajectory - 轨迹点数组或轨迹基元
+   * @param {Object} options - {skip: 跳过的检查项名称 (安全故障恢复运动)}
+   * @returns {Promise<Object>} {valid, duration, samples, violations, warnings}
+   *   每条记录 {check, index, time, 标识字段 (joint | zone、link | type | link、obstacle | links), limit, value, from, to}
+   */
+  async validate(trajectory, options = {}) {
+    const { skip = [] } = options;
+    const slice = new TimeSlice();
+    const samples = await this.sample(trajectory, slice);
+    const records = { error: [], warning: [] };
+
+    for (const check of this.checks) {
+      if (skip.includes(check.name)) continue;
+
+      const runs = new Map();
+      let lastTime = -Infinity;
+
+      for (const [index, sample] of samples.entries()) {
+        await slice.yield();
+
+        const last = index === samples.length - 1;
+        if (check.interval > 0 && sample.time - lastTime < check.interval - 1e-9 && !last) continue;
+        lastTime = sample.time;
+
+        const items = check.evaluate(sample);
+        const active = new Set();
+
+        for (const { excess, ...item } of items) {
+          const key = subject(item);
+          const run = runs.get(key);
+          active.add(key);
+
+          if (!run) {
+            runs.set(key, { excess, record: { check: check.name, index, time: sample.time, ...item, from: sample.time, to: sample.time } });
+            continue;
+          }
+          run.record.to = sample.time;
+          if (excess > run.excess) {
+            run.excess = excess;
+            Object.assign(run.record, { index, time: sample.time, ...item });
+          }
+        }
+
+        // 未继续超限的段结束
+        for (const [key, run] of runs) {
+          if (!active.has(key)) {
+            records[check.severity].push(run.record);
+            runs.delete(key);
+          }
+        }
+      }
+
+      for (const run of runs.values()) {
+        records[check.severity].push(run.record);
+      }
+    }
+
+    const byTime = (a, b) => a.from - b.from;
+    return {
+      valid: records.error.length === 0,
+      duration: samples.length > 0 ? samples[samples.length - 1].time : 0,
+      samples: samples.length,
+      violations: records.error.sort(byTime),
+      warnings: records.warning.sort(byTime)
+    };
+  }
+
+  /**
+   * 报告摘要 (首条超限记录)
+   */
+  describe(report) {
+    if (report.valid) return 'Trajectory is within limits';
+
+    const first = report.violations[0];
+    const more = report.violations.length > 1 ? ` (+${report.violations.length - 1} more)` : '';
+    return `Trajectory rejected: ${first.check} of ${subject(first)} is ${format(first.value)} ` +
+      `(limit ${format(first.limit)}) at ${first.time.toFixed(2)} s${more}`;
+  }
+
+  /**
+   * 校验用采样点 [{index, time, position, velocity, acceleration, jerk}]
+   * 轨迹基元按采样时间解析求值；轨迹点数组缺少的导数由差分补齐，加加速度由加速度差分
+   * @param {TimeSlice} slice - 时间片 (基元逐点求值时让出事件循环)
+   */
+  async sample(trajectory, slice = new TimeSlice()) {
+    if (!Array.isArray(trajectory)) {
+      const count = trajectory.duration > 0 ? Math.ceil(trajectory.duration / this.sampleTime - 1e-9) : 0;
+      const samples = [];
+
+      for (let index = 0; index <= count; index++) {
+        await slice.yield();
+
+        const t = Math.min(index * this.sampleTime, trajectory.duration);
+        samples.push({
+          index,
+          time: index * this.sampleTime,
+          position: trajectory.position(t),
+          velocity: trajectory.velocity(t),
+          acceleration: trajectory.acceleration(t),
+          jerk: trajectory.jerk(t)
+        });
+      }
+      return samples;
+    }
+
+    const points = trajectory.filter(point => Array.isArray(point.position));
+    const samples = points.map((point, index) => ({ index, time: point.time, position: point.position }));
+    const difference = (i, key) => {
+      const a = samples[Math.max(0, i - 1)];
+      const b = samples[Math.min(samples.length - 1, i + 1)];
+      const dt = b.time - a.time;
+      return a[key].map((value, j) => dt > 0 ? (b[key][j] - value) / dt : 0);
+    };
+    const given = (value) => Array.isArray(value) && value.length === 6 ? value : null;
+
+    samples.forEach((sample, i) => {
+      sample.velocity = given(points[i].velocity) || difference(i, 'position');
+    });
+    samples.forEach((sample, i) => {
+      sample.acceleration = given(points[i].acceleration) || difference(i, 'velocity');
+    });
+    samples.forEach((sample, i) => {
+      const previous = samples[Math.max(0, i - 1)];
+      const dt = sample.time - previous.time;
+      sample.jerk = sample.acceleration.map((a, j) => dt > 0 ? (a - previous.acceleration[j]) / dt : 0);
+    });
+    return samples;
+  }
+
+  /**
+   * 关节位置 (限位减安全余量)
+   */
+  checkJointPositions(sample) {
+    const items = [];
+
+    this.safetyMonitor.jointLimits.forEach((limit, i) => {
+      const q = sample.position[i];
+      const safeMin = limit.min + limit.margin;
+      const safeMax = limit.max - limit.margin;
+
+      if (q < safeMin) items.push({ joint: i + 1, limit: safeMin, value: q, excess: safeMin - q });
+      if (q > safeMax) items.push({ joint: i + 1, limit: safeMax, value: q, excess: q - safeMax });
+    });
+
+    return items;
+  }
+
+  /**
+   * 关节速度 / 加速度 / 加加速度绝对值限制
+   */
+  checkDerivative(values, limits) {
+    const items = [];
+
+    values.forEach((value, i) => {
+      if (Math.abs(value) > limits[i] * (1 + DERIVATIVE_TOLERANCE)) {
+        items.push({ joint: i + 1, limit: limits[i], value, excess: Math.abs(value) / limits[i] });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * TCP 线速度 (由关节速度经雅可比求得)
+   */
+  checkTcpSpeed(sample) {
+    const limit = this.safetyMonitor.tcpSpeedLimit;
+    const tcpSpeed = Math.hypot(...this.kinematics.tcpVelocity(sample.position, sample.velocity));
+    return tcpSpeed > limit * (1 + DERIVATIVE_TOLERANCE) ? [{ limit, value: tcpSpeed, excess: tcpSpeed / limit }] : [];
+  }
+
+  /**
+   * 安全区 (TCP 速度由关节速度经雅可比求得)
+   */
+  checkSafetyZones(sample) {
+    const tcpSpeed = Math.hypot(...this.kinematics.tcpVelocity(sample.position, sample.velocity));
+    return this.safetyMonitor.zoneManager.check(sample.position, tcpSpeed);
+  }
+
+  /**
+   * 连杆与障碍物接触 (间距为负；规划时另留有碰撞模型的最小间距)
+   */
+  checkObstacles(sample) {
+    const collisionModel = this.safetyMonitor.robotController.collisionModel;
+    if (!collisionModel) return [];
+
+    const { distance, link, obstacle } = collisionModel.obstacleDistance(sample.position);
+    return distance < 0 ? [{ link, obstacle, limit: 0, value: distance, excess: -distance }] : [];
+  }
+
+  /**
+   * 连杆自碰撞 (不相邻连杆胶囊体间距为负)
+   */
+  checkSelfCollision(sample) {
+    const collisionModel = this.safetyMonitor.robotController.collisionModel;
+    if (!collisionModel) return [];
+
+    const { distance, links } = collisionModel.selfDistance(sample.position);
+    return distance < 0 ? [{ links, limit: 0, value: distance, excess: -distance }] : [];
+  }
+
+  /**
+   * 奇异点接近 (距离小于阈值，或条件数过大)
+   */
+  checkSingularity(sample) {
+    const metrics = this.kinematics.getSingularityMetrics(sample.position);
+    const thresholds = this.safetyMonitor.singularityThresholds;
+
+    return this.safetyMonitor.getSingularityTypes(sample.position, metrics).map(type => type === 'ill-conditioned'
+      ? { type, limit: thresholds.conditionNumber, value: metrics.conditionNumber, excess: metrics.conditionNumber }
+      : { type, limit: thresholds[type], value: metrics.distances[type], excess: thresholds[type] - metrics.distances[type] });
+  }
+}
+
+/**
+ * 记录的标识 (除 check、数值与时间外的字段，如 joint 2、workspace / tcp、forearm / table、shoulder / forearm)
+ */
+function subject(item) {
+  const names = { joint: 'joint' };
+  return Object.entries(item)
+    .filter(([key]) => !['check', 'index', 'time', 'limit', 'value', 'from', 'to'].includes(key))
+    .map(([key, value]) => names[key] ? `${names[key]} ${value}` : [].concat(value).join(' / '))
+    .join(' / ');
+}
+
+function format(value) {
+  return Number.isFinite(value) ? value.toFixed(3) : String(value);
+}
+
+module.exports = TrajectoryValidator;
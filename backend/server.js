@@ -18,6 +18,10 @@ const RobotController = require('./controllers/RobotController');
 const MotionPlanner = require('./controllers/MotionPlanner');
 const SafetyMonitor = require('./controllers/SafetyMonitor');
 const HandwritingEngine = require('./controllers/HandwritingEngine');
+const MotionJobManager = require('./controllers/MotionJobManager');
+const BlackBoxRecorder = require('./controllers/BlackBoxRecorder');
+const Pose = require('./controllers/Pose');
+const JointSpline = require('./controllers/JointSpline');
 
 // 配置日志系统
 const logger = winston.createLogger({
@@ -35,6 +39,9 @@ const logger = winston.createLogger({
   ]
 });
 
+// 工具、用户坐标系的存储单位 (ToolManager / FrameManager 内部格式)
+const SETUP_UNITS = { length: 'mm', angle: 'rad' };
+
 class RobotControlServer {
   constructor() {
     this.app = express();
@@ -66,7 +73,7 @@ class RobotControlServer {
         status: 'running',
         timestamp: new Date().toISOString(),
         robotConnected: this.robotController?.isConnected() || false,
-        safetyActive: this.safetyMonitor?.isActive() || false
+        safetyActive: this.safetyMonitor?.safetyStatus.isActive || false
       });
     });
 
@@ -74,6 +81,200 @@ class RobotControlServer {
       this.handleEmergencyStop();
       res.json({ success: true, message: 'Emergency stop activated' });
     });
+
+    // 运动任务
+    this.app.get('/api/jobs', (req, res) => {
+      res.json({ success: true, jobs: this.motionJobManager?.listJobs() || [] });
+    });
+
+    this.app.get('/api/jobs/:id', (req, res) => {
+      const job = this.motionJobManager?.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, message: `Motion job ${req.params.id} not found` });
+      }
+      res.json({ success: true, job: job.toJSON() });
+    });
+
+    for (const action of ['pause', 'resume', 'abort']) {
+      this.app.post(`/api/jobs/:id/${action}`, (req, res) => {
+        try {
+          const job = this.motionJobManager[action](req.params.id);
+          res.json({ success: true, job: job.toJSON() });
+        } catch (error) {
+          res.status(400).json({ success: false, message: error.message });
+        }
+      });
+    }
+
+    // 工具 (TCP) 管理
+    this.app.get('/api/tools', (req, res) => {
+      res.json({ success: true, ...this.getToolState() });
+    });
+
+    this.app.post('/api/tools', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastTools(), () => ({
+        tool: this.robotController.defineTool(this.parseToolPayload(req.body))
+      }));
+    });
+
+    this.app.delete('/api/tools/:name', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastTools(), () => {
+        this.robotController.toolManager.removeTool(req.params.name);
+        return {};
+      });
+    });
+
+    this.app.post('/api/tools/active', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastTools(), () => ({
+        tool: this.robotController.setActiveTool(req.body.name)
+      }));
+    });
+
+    this.app.post('/api/tools/calibrate', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastTools(), () => this.calibrateTool(req.body));
+    });
+
+    // 用户坐标系
+    this.app.get('/api/frames', (req, res) => {
+      res.json({ success: true, ...this.getFrameState() });
+    });
+
+    this.app.post('/api/frames', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastFrames(), () => ({
+        frame: this.robotController.frameManager.defineFrame(this.parseFramePayload(req.body))
+      }));
+    });
+
+    this.app.delete('/api/frames/:name', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastFrames(), () => {
+        this.robotController.frameManager.removeFrame(req.params.name);
+        return {};
+      });
+    });
+
+    this.app.post('/api/frames/teach', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastFrames(), () => ({
+        frame: this.robotController.teachFrame(req.body.name, req.body.samples)
+      }));
+    });
+
+    // 安全区 (变更记录审计日志，单位由请求的 unit 声明，默认 m)
+    this.app.get('/api/safety-zones', (req, res) => {
+      res.json({ success: true, ...this.getZoneState() });
+    });
+
+    this.app.post('/api/safety-zones', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastZones(), () => {
+        const { unit, ...zone } = req.body;
+        return { zone: this.safetyMonitor.zoneManager.defineZone(zone, { unit, actor: `REST ${req.ip}` }) };
+      });
+    });
+
+    this.app.delete('/api/safety-zones/:name', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastZones(), () => {
+        this.safetyMonitor.zoneManager.removeZone(req.params.name, { actor: `REST ${req.ip}` });
+        return {};
+      });
+    });
+
+    // 安全复位 (故障确认): { operator }，原因未消除或自检未通过时返回 409 与原因列表
+    // recoverable 为 true 时仅剩关节超限 / 自碰撞，可先执行故障恢复
+    this.app.post('/api/safety/reset', async (req, res) => {
+      try {
+        const reset = await this.safetyMonitor.reset((req.body || {}).operator, `REST ${req.ip}`);
+        res.json({ success: true, reset });
+      } catch (error) {
+        res.status(409).json({ success: false, message: error.message, causes: error.causes || [], recoverable: !!error.recoverable });
+      }
+    });
+
+    // 故障恢复 (操作员确认): { operator }，故障保持锁存，降速移回安全范围 (提交任务后立即返回)
+    this.app.post('/api/safety/recovery', async (req, res) => {
+      try {
+        const job = await this.startSafetyRecovery((req.body || {}).operator, `REST ${req.ip}`);
+        res.json({ success: true, recovery: this.safetyMonitor.safetyStatus.recovery, job: job.toJSON() });
+      } catch (error) {
+        res.status(409).json({ success: false, message: error.message });
+      }
+    });
+
+    // 安全事件记录 (黑匣子): 列表、完整记录 (3D 回放) 与下载
+    this.app.get('/api/incidents', (req, res) => {
+      res.json({ success: true, incidents: this.blackBox ? this.blackBox.listIncidents() : [] });
+    });
+
+    this.app.get('/api/incidents/:id', async (req, res) => {
+      try {
+        res.json({ success: true, incident: await this.blackBox.getIncident(req.params.id) });
+      } catch (error) {
+        res.status(404).json({ success: false, message: error.message });
+      }
+    });
+
+    this.app.get('/api/incidents/:id/download', (req, res) => {
+      try {
+        res.download(this.blackBox.requireIncident(req.params.id), `${req.params.id}.json`);
+      } catch (error) {
+        res.status(404).json({ success: false, message: error.message });
+      }
+    });
+
+    // 碰撞检测 (电流残差阈值与灵敏度)
+    this.app.get('/api/collision-detection', (req, res) => {
+      res.json({ success: true, ...this.getCollisionState() });
+    });
+
+    this.app.post('/api/collision-detection', (req, res) => {
+      this.handleSetupRequest(res, () => this.broadcastCollisionSettings(), () => ({
+        settings: this.safetyMonitor.setCollisionDetection(req.body)
+      }));
+    });
+
+    // 由准静态运动样本辨识摩擦参数 {samples: [{joints, velocities, currents}]}
+    this.app.post('/api/dynamics/identify-friction', (req, res) => {
+      this.handleSetupRequest(res, () => {}, () => ({
+        friction: this.robotController.dynamics.identifyFriction(req.body.samples)
+      }));
+    });
+
+    // 模拟碰撞注入 (仅模拟模式) {force: {x, y, z} (N) | torques (N·m), duration (s)}
+    this.app.post('/api/simulation/collision', (req, res) => {
+      this.handleSetupRequest(res, () => {}, () => ({
+        collision: this.robotController.injectCollision(req.body)
+      }));
+    });
+
+    // 直线 / 圆弧运动 (提交任务后立即返回，执行状态见 /api/jobs/:id)
+    for (const [route, type] of [['linear', 'move-linear'], ['circular', 'move-circular']]) {
+      this.app.post(`/api/motion/${route}`, (req, res) => {
+        try {
+          const job = this.motionJobManager.submit(type, req.body, this.createPathMove(type, req.body));
+          res.json({ success: true, job: job.toJSON() });
+        } catch (error) {
+          res.status(400).json({ success: false, message: error.message });
+        }
+      });
+    }
+
+    // 连续路径程序 (MoveJ / MoveL 路点，带过渡区)
+    this.app.post('/api/motion/program', (req, res) => {
+      try {
+        const job = this.motionJobManager.submit('motion-program', req.body, this.createProgramMove(req.body));
+        res.json({ success: true, job: job.toJSON() });
+      } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+      }
+    });
+
+    // 多路点样条运动
+    this.app.post('/api/motion/spline', (req, res) => {
+      try {
+        const job = this.motionJobManager.submit('spline-move', req.body, this.createSplineMove(req.body));
+        res.json({ success: true, job: job.toJSON() });
+      } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+      }
+    });
   }
 
   async initializeControllers() {
@@ -81,12 +282,92 @@ class RobotControlServer {
       // 初始化机器人控制器
       this.robotController = new RobotController();
       await this.robotController.initialize();
+
+      // 静态障碍物 (基坐标系)，关节运动与复位据此避障
+      if (config.has('collision')) {
+        this.robotController.collisionModel.configure(config.get('collision'));
+      }
+
+      // 动力学模型参数与观测器增益 (碰撞检测的期望电流)
+      if (config.has('dynamics')) {
+        const { observerGain, ...model } = config.get('dynamics');
+        this.robotController.dynamics.configure(model);
+        if (observerGain !== undefined) {
+          this.robotController.collisionObserver.setGain(observerGain);
+        }
+      }
+
+      // 转发轨迹执行进度
+      this.robotController.trajectoryExecutor.on('progress', (progress) => {
+        this.io.emit('motion-progress', progress);
+      });
+
+      // 初始化运动任务管理
+      this.motionJobManager = new MotionJobManager(this.robotController);
+      this.motionJobManager.on('job-update', (job) => {
+        this.io.emit('motion-job-update', job);
+      });
       
       // 初始化运动规划器
       this.motionPlanner = new MotionPlanner();
       
-      // 初始化安全监控
+      // 初始化安全监控 (规划轨迹执行前均经其校验)
       this.safetyMonitor = new SafetyMonitor(this.robotController);
+      this.motionPlanner.setValidator(this.safetyMonitor.trajectoryValidator);
+
+      // 关节速度、加速度、加加速度限制: 规划、受控停止与安全监控共用配置 robot.limits
+      if (config.has('robot.limits')) {
+        const limits = this.robotController.setMotionLimits(config.get('robot.limits'));
+        this.motionPlanner.setMotionLimits(limits);
+        this.safetyMonitor.setMotionLimits(limits);
+      }
+
+      // 笛卡尔运动限制与默认速度 (TCP 线速度上限、直线 / 圆弧默认速度、书写接近段速度)
+      if (config.has('robot.motion')) {
+        this.motionPlanner.configure(config.get('robot.motion'));
+      }
+
+      // 安全故障待复位或驱动未使能时拒绝运动任务，复位后通知客户端
+      this.motionJobManager.setInterlock((type) => this.safetyMonitor.getInterlockReason(type));
+      this.safetyMonitor.on('reset', (record) => {
+        this.io.emit('safety-reset', record);
+      });
+      this.safetyMonitor.on('recovery', (record) => {
+        this.io.emit('safety-recovery', record);
+      });
+
+      // 安全事件黑匣子 (锁存新故障时写入事故文件并通知客户端)
+      this.blackBox = new BlackBoxRecorder(
+        this.robotController,
+        this.safetyMonitor,
+        config.has('blackBox') ? config.get('blackBox') : {}
+      );
+      this.blackBox.on('incident', (incident) => {
+        this.io.emit('incident-recorded', incident);
+      });
+
+      // 安全区 (未配置时仅有默认 TCP 工作空间)
+      if (config.has('safetyZones')) {
+        this.safetyMonitor.zoneManager.configure(config.get('safetyZones'));
+      }
+
+      // 各安全事件的停止类别 (0/1/2)
+      if (config.has('stopCategories')) {
+        this.safetyMonitor.setStopCategories(config.get('stopCategories'));
+      }
+
+      // 碰撞检测阈值与灵敏度，检测到碰撞时通知客户端
+      if (config.has('collisionDetection')) {
+        this.safetyMonitor.setCollisionDetection(config.get('collisionDetection'));
+      }
+      this.safetyMonitor.on('collision', (collision) => {
+        this.io.emit('collision-detected', collision);
+      });
+      for (const event of ['protective-stop', 'emergency-stop']) {
+        this.safetyMonitor.on(event, (stop) => {
+          this.io.emit('safety-stop', stop);
+        });
+      }
       
       // 初始化智能书写引擎
       this.handwritingEngine = new HandwritingEngine();
@@ -105,70 +386,276 @@ class RobotControlServer {
       socket.emit('system-status', {
         robotConnected: this.robotController?.isConnected() || false,
         joints: this.robotController?.getCurrentJoints() || [0, 0, 0, 0, 0, 0],
-        endEffector: this.robotController?.getEndEffectorPose() || { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 }
+        endEffector: (this.robotController?.getEndEffectorPose() || new Pose()).serialize()
       });
 
       // 关节控制
       socket.on('joint-move', async (data) => {
+        let job = null;
         try {
           const { jointIndex, angle, speed = 50 } = data;
-          await this.robotController.moveJoint(jointIndex, angle, speed);
-          socket.emit('joint-move-success', { jointIndex, angle });
+          job = this.submitMotionJob(socket, 'joint-move', data, (job) => {
+            const targetJoints = this.robotController.getCurrentJoints();
+            targetJoints[jointIndex] = angle;
+            return this.motionPlanner.executeJointMove(this.robotController, targetJoints, speed, job);
+          });
+          await job.promise;
+          socket.emit('joint-move-success', { jointIndex, angle, jobId: job.id });
         } catch (error) {
-          logger.error(`Joint move failed: ${error.message}`);
-          socket.emit('error', { message: error.message });
+          this.handleMotionError(socket, 'Joint move', job, error);
         }
       });
 
       // 笛卡尔空间运动
       socket.on('cartesian-move', async (data) => {
+        let job = null;
         try {
-          const { x, y, z, rx = 0, ry = 0, rz = 0, speed = 50 } = data;
-          await this.robotController.moveToCartesian(x, y, z, rx, ry, rz, speed);
-          socket.emit('cartesian-move-success', { x, y, z, rx, ry, rz });
+          const { pose, speed = 50, configuration = 'keep', frame = 'base' } = data;
+          const target = Pose.parse(pose);
+          job = this.submitMotionJob(socket, 'cartesian-move', data, (job) => {
+            const targetJoints = this.robotController.solveCartesianTarget(target, configuration, frame);
+            return this.motionPlanner.executeJointMove(this.robotController, targetJoints, speed, job);
+          });
+          await job.promise;
+          socket.emit('cartesian-move-success', { pose: target.serialize(), frame, jobId: job.id });
         } catch (error) {
-          logger.error(`Cartesian move failed: ${error.message}`);
-          socket.emit('error', { message: error.message });
+          this.handleMotionError(socket, 'Cartesian move', job, error);
+        }
+      });
+
+      // 笛卡尔点动 (沿用户坐标系的轴)
+      socket.on('cartesian-jog', async (data = {}) => {
+        let job = null;
+        try {
+          const { axis, step, units, speed = 30, frame = 'base' } = data;
+          const distance = this.parseJogStep(axis, step, units);
+          job = this.submitMotionJob(socket, 'cartesian-jog', data, (job) => {
+            const targetJoints = this.robotController.solveCartesianJog(axis, distance, frame);
+            return this.motionPlanner.executeJointMove(this.robotController, targetJoints, speed, job);
+          });
+          await job.promise;
+          socket.emit('cartesian-jog-success', { axis, step, frame, jobId: job.id });
+        } catch (error) {
+          this.handleMotionError(socket, 'Cartesian jog', job, error);
+        }
+      });
+
+      // 直线运动 (MoveL) / 圆弧运动 (MoveC)
+      for (const type of ['move-linear', 'move-circular']) {
+        socket.on(type, async (data = {}) => {
+          let job = null;
+          try {
+            job = this.submitMotionJob(socket, type, data, this.createPathMove(type, data));
+            await job.promise;
+            socket.emit(`${type}-success`, { frame: data.frame || 'base', jobId: job.id });
+          } catch (error) {
+            this.handleMotionError(socket, type === 'move-linear' ? 'Linear move' : 'Circular move', job, error);
+          }
+        });
+      }
+
+      // 连续路径程序
+      socket.on('motion-program', async (data = {}) => {
+        let job = null;
+        try {
+          job = this.submitMotionJob(socket, 'motion-program', data, this.createProgramMove(data));
+          await job.promise;
+          socket.emit('motion-program-success', { frame: data.frame || 'base', jobId: job.id });
+        } catch (error) {
+          this.handleMotionError(socket, 'Motion program', job, error);
+        }
+      });
+
+      // 多路点样条运动
+      socket.on('spline-move', async (data = {}) => {
+        let job = null;
+        try {
+          job = this.submitMotionJob(socket, 'spline-move', data, this.createSplineMove(data));
+          await job.promise;
+          socket.emit('spline-move-success', { jobId: job.id });
+        } catch (error) {
+          this.handleMotionError(socket, 'Spline move', job, error);
         }
       });
 
       // 一键复位
-      socket.on('home-reset', async (data) => {
+      socket.on('home-reset', async (data = {}) => {
+        let job = null;
         try {
           const { speed = 30 } = data;
-          await this.motionPlanner.executeHoming(this.robotController, speed);
-          socket.emit('home-reset-success');
+          job = this.submitMotionJob(socket, 'home-reset', data, (job) =>
+            this.motionPlanner.executeHoming(this.robotController, speed, job)
+          );
+          await job.promise;
+          socket.emit('home-reset-success', { jobId: job.id });
         } catch (error) {
-          logger.error(`Home reset failed: ${error.message}`);
-          socket.emit('error', { message: error.message });
+          this.handleMotionError(socket, 'Home reset', job, error);
         }
       });
 
       // 智能书写
       socket.on('handwriting-start', async (data) => {
+        let job = null;
         try {
-          const { text, fontSize = 20, speed = 20 } = data;
-          const trajectory = this.handwritingEngine.generateTrajectory(text, fontSize);
-          await this.motionPlanner.executeTrajectory(this.robotController, trajectory, speed);
-          socket.emit('handwriting-complete');
+          const { text, fontSize = 20, speed = 20, frame = null, orientation, units } = data;
+          const penOrientation = orientation ? Pose.parseOrientation(orientation, units) : undefined;
+          const trajectory = this.handwritingEngine.generateTrajectory(text, { fontSize, writeSpeed: speed });
+          // 指定用户坐标系时以其作为纸面，否则使用配置文件中的纸面坐标系
+          const paperFrame = frame
+            ? this.robotController.getWritingFrame(frame, penOrientation)
+            : this.parsePaperFrame(config.get('handwriting.paperFrame'));
+          job = this.submitMotionJob(socket, 'handwriting', data, (job) =>
+            this.motionPlanner.executeWritingTrajectory(
+              this.robotController,
+              trajectory,
+              paperFrame,
+              job
+            )
+          );
+          await job.promise;
+          socket.emit('handwriting-complete', { jobId: job.id });
         } catch (error) {
-          logger.error(`Handwriting failed: ${error.message}`);
-          socket.emit('error', { message: error.message });
+          this.handleMotionError(socket, 'Handwriting', job, error);
         }
       });
 
+      // 暂停 / 恢复 / 中止运动任务 (未指定jobId时作用于当前任务)
+      for (const action of ['pause', 'resume', 'abort']) {
+        socket.on(`motion-${action}`, (data = {}) => {
+          try {
+            this.motionJobManager[action](data.jobId);
+          } catch (error) {
+            logger.warn(`Motion ${action} rejected: ${error.message}`);
+            socket.emit('error', { message: error.message });
+          }
+        });
+      }
+
+      // 工具 (TCP) 管理
+      socket.on('tool-list', () => {
+        socket.emit('tool-list', this.getToolState());
+      });
+
+      socket.on('tool-select', (data = {}) => {
+        this.handleSetupSocket(socket, 'Tool select', () => this.broadcastTools(), () =>
+          this.robotController.setActiveTool(data.name)
+        );
+      });
+
+      socket.on('tool-define', (data = {}) => {
+        this.handleSetupSocket(socket, 'Tool define', () => this.broadcastTools(), () =>
+          this.robotController.defineTool(this.parseToolPayload(data))
+        );
+      });
+
+      socket.on('tool-calibrate', (data = {}) => {
+        this.handleSetupSocket(socket, 'Tool calibration', () => this.broadcastTools(), () => {
+          const result = this.calibrateTool(data);
+          socket.emit('tool-calibrated', result);
+        });
+      });
+
+      // 用户坐标系
+      socket.on('frame-list', () => {
+        socket.emit('frame-list', this.getFrameState());
+      });
+
+      socket.on('frame-define', (data = {}) => {
+        this.handleSetupSocket(socket, 'Frame define', () => this.broadcastFrames(), () =>
+          this.robotController.frameManager.defineFrame(this.parseFramePayload(data))
+        );
+      });
+
+      socket.on('frame-teach', (data = {}) => {
+        this.handleSetupSocket(socket, 'Frame teach', () => this.broadcastFrames(), () =>
+          this.robotController.teachFrame(data.name, data.samples)
+        );
+      });
+
+      // 安全区
+      socket.on('safety-zone-list', () => {
+        socket.emit('safety-zone-list', this.getZoneState());
+      });
+
+      socket.on('safety-zone-define', (data = {}) => {
+        this.handleSetupSocket(socket, 'Safety zone define', () => this.broadcastZones(), () => {
+          const { unit, ...zone } = data;
+          this.safetyMonitor.zoneManager.defineZone(zone, { unit, actor: `socket ${socket.id}` });
+        });
+      });
+
+      socket.on('safety-zone-remove', (data = {}) => {
+        this.handleSetupSocket(socket, 'Safety zone remove', () => this.broadcastZones(), () =>
+          this.safetyMonitor.zoneManager.removeZone(data.name, { actor: `socket ${socket.id}` })
+        );
+      });
+
+      // 碰撞检测
+      socket.on('collision-detection-get', () => {
+        socket.emit('collision-detection', this.getCollisionState());
+      });
+
+      socket.on('collision-detection-set', (data = {}) => {
+        this.handleSetupSocket(socket, 'Collision detection', () => this.broadcastCollisionSettings(), () =>
+          this.safetyMonitor.setCollisionDetection(data)
+        );
+      });
+
+      socket.on('simulate-collision', (data = {}) => {
+        this.handleSetupSocket(socket, 'Collision injection', () => {}, () =>
+          this.robotController.injectCollision(data)
+        );
+      });
+
       // 紧急停止
       socket.on('emergency-stop', () => {
         this.handleEmergencyStop();
         socket.emit('emergency-stop-activated');
       });
 
+      // 安全复位 (故障确认)，成功时广播 'safety-reset'
+      socket.on('safety-reset', async (data = {}) => {
+        try {
+          await this.safetyMonitor.reset(data.operator, `socket ${socket.id}`);
+        } catch (error) {
+          logger.warn(`Safety reset rejected: ${error.message}`);
+          socket.emit('safety-reset-rejected', { message: error.message, causes: error.causes || [], recoverable: !!error.recoverable });
+        }
+      });
+
+      // 故障恢复 (操作员确认)，开始时广播 'safety-recovery'，完成后仍须安全复位
+      socket.on('safety-recovery', async (data = {}) => {
+        let job = null;
+        try {
+          job = await this.startSafetyRecovery(data.operator, `socket ${socket.id}`);
+          socket.emit('motion-job-created', job.toJSON());
+          await job.promise;
+          socket.emit('safety-recovery-complete', { jobId: job.id });
+        } catch (error) {
+          this.handleMotionError(socket, 'Safety recovery', job, error);
+        }
+      });
+
+      // 安全事件记录列表与完整记录 (3D 回放)
+      socket.on('incident-list', () => {
+        socket.emit('incident-list', { incidents: this.blackBox ? this.blackBox.listIncidents() : [] });
+      });
+
+      socket.on('incident-get', async (data = {}) => {
+        try {
+          socket.emit('incident', await this.blackBox.getIncident(data.id));
+        } catch (error) {
+          logger.warn(`Incident ${data.id} rejected: ${error.message}`);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
       // 获取机器人状态
       socket.on('get-robot-status', () => {
         const status = {
           connected: this.robotController?.isConnected() || false,
           joints: this.robotController?.getCurrentJoints() || [0, 0, 0, 0, 0, 0],
-          endEffector: this.robotController?.getEndEffectorPose() || { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 },
+          endEffector: (this.robotController?.getEndEffectorPose() || new Pose()).serialize(),
           safety: this.safetyMonitor?.getStatus() || {}
         };
         socket.emit('robot-status', status);
@@ -184,9 +671,20 @@ class RobotControlServer {
     // 设置周期性状态广播
     setInterval(() => {
       if (this.robotController && this.safetyMonitor) {
+        const singularity = this.robotController.getSingularityMetrics();
         const status = {
           joints: this.robotController.getCurrentJoints(),
-          endEffector: this.robotController.getEndEffectorPose(),
+          velocities: this.robotController.getJointVelocities(),
+          accelerations: this.robotController.getJointAccelerations(),
+          tcpSpeed: this.robotController.getTcpSpeed(),
+          drivesEnabled: this.robotController.drivesEnabled,
+          endEffector: this.robotController.getEndEffectorPose().serialize(),
+          configuration: this.robotController.getConfiguration(),
+          tool: this.robotController.getActiveTool().name,
+          singularity: {
+            ...singularity,
+            near: this.safetyMonitor.getSingularityTypes(this.robotController.getCurrentJoints(), singularity)
+          },
           safety: this.safetyMonitor.getStatus(),
           timestamp: Date.now()
         };
@@ -194,19 +692,324 @@ class RobotControlServer {
       }
     }, 100); // 100Hz 更新频率
 
-    // 安全监控循环
-    setInterval(() => {
-      if (this.safetyMonitor) {
-        this.safetyMonitor.checkLimits();
+    // 安全检查由 SafetyMonitor 自行调度 (控制周期与 20Hz 检查)
+  }
+
+  /**
+   * 点动步长换算为内部单位 (平移 m，旋转 rad)，单位须显式声明
+   */
+  parseJogStep(axis, step, units = {}) {
+    const rotation = ['rx', 'ry', 'rz'].includes(axis);
+    const key = rotation ? 'angle' : 'length';
+    const table = rotation ? Pose.ANGLE_UNITS : Pose.LENGTH_UNITS;
+
+    if (!(units?.[key] in table)) {
+      throw new Error(`Cartesian jog must declare units.${key} (${Object.keys(table).join(' or ')})`);
+    }
+    if (!Number.isFinite(step)) {
+      throw new Error('Cartesian jog step must be a finite number');
+    }
+    return step * table[units[key]];
+  }
+
+  /**
+   * 工具载荷换算为存储单位 (偏移、重心、碰撞半径 mm，姿态 XYZ 欧拉角 rad，质量 kg)
+   * @param {Object} data - {name, offset, orientation, mass, centerOfGravity, radius, units}
+   */
+  parseToolPayload(data = {}) {
+    const { name, offset, orientation, mass, centerOfGravity = { x: 0, y: 0, z: 0 }, radius, units } = data;
+    const setup = this.parseSetupPose('Tool', offset, orientation, units);
+    const cog = Pose.parseVector(centerOfGravity, ['x', 'y', 'z'], 'centerOfGravity');
+
+    return {
+      name,
+      offset: setup.position,
+      orientation: setup.orientation,
+      mass,
+      centerOfGravity: { x: cog.x * setup.scale, y: cog.y * setup.scale, z: cog.z * setup.scale },
+      radius: radius == null ? undefined : Number(radius) * setup.scale
+    };
+  }
+
+  /**
+   * 用户坐标系载荷换算为存储单位 (原点 mm，姿态 XYZ 欧拉角 rad)
+   * @param {Object} data - {name, origin, orientation, units}
+   */
+  parseFramePayload(data = {}) {
+    const setup = this.parseSetupPose('Frame', data.origin, data.orientation, data.units);
+    return { name: data.name, origin: setup.position, orientation: setup.orientation };
+  }
+
+  /**
+   * 配置文件中的纸面坐标系按声明的单位换算 (原点 mm，绕基坐标系Z轴旋转 rad，见 MotionPlanner.paperToBase)
+   * @param {Object} paperFrame - {origin, rotation, orientation (笔姿态，四元数或欧拉角), units}
+   */
+  parsePaperFrame(paperFrame) {
+    const { origin, rotation = 0, orientation, units } = paperFrame;
+    const setup = this.parseSetupPose('Paper frame', origin, { rx: 0, ry: 0, rz: rotation }, units);
+    return { origin: setup.position, rotation: setup.orientation.rz, orientation: Pose.parseOrientation(orientation, units) };
+  }
+
+  /**
+   * 工具 / 坐标系的位置与姿态按声明的单位校验 (同 Pose.parse) 并换算为存储单位
+   * 姿态可为四元数或欧拉角 (须声明 units.angle)，省略时为单位姿态
+   * @param {string} label - 'Tool' | 'Frame' | 'Paper frame'
+   * @returns {Object} {position (mm), orientation {rx, ry, rz} (rad), scale: 声明长度单位 -> mm}
+   */
+  parseSetupPose(label, position = { x: 0, y: 0, z: 0 }, orientation, units) {
+    if (!(units?.length in Pose.LENGTH_UNITS)) {
+      throw new Error(`${label} payload must declare units.length (${Object.keys(Pose.LENGTH_UNITS).join(' or ')})`);
+    }
+
+    const pose = Pose.parse({ position, orientation, units });
+    const scale = Pose.LENGTH_UNITS[units.length] / Pose.LENGTH_UNITS[SETUP_UNITS.length];
+    const p = Pose.parseVector(position, ['x', 'y', 'z'], 'position');
+
+    // 欧拉角直接换算 (避免经四元数往返改变数值)，四元数转换为欧拉角
+    let euler = pose.toEuler(SETUP_UNITS.angle);
+    if (orientation && !('w' in orientation)) {
+      const a = Pose.ANGLE_UNITS[units.angle] / Pose.ANGLE_UNITS[SETUP_UNITS.angle];
+      const e = Pose.parseVector(orientation, ['rx', 'ry', 'rz'], 'orientation');
+      euler = { rx: e.rx * a, ry: e.ry * a, rz: e.rz * a };
+    }
+
+    return {
+      position: { x: p.x * scale, y: p.y * scale, z: p.z * scale },
+      orientation: euler,
+      scale
+    };
+  }
+
+  /**
+   * 直线 / 圆弧运动任务的执行函数
+   * 位姿在提交时解析并换算到基坐标系，轨迹在任务开始时按当时的关节状态规划
+   * @param {string} type - 'move-linear' | 'move-circular'
+   * @param {Object} data - {pose, via (仅圆弧), speed (mm/s), frame}
+   * @returns {Function} 执行函数 async (job) => void
+   */
+  createPathMove(type, data = {}) {
+    // 未指定速度时使用规划器默认 TCP 速度 (配置 robot.motion.tcpSpeed)
+    const { pose, via, speed, frame = 'base' } = data;
+    const target = this.robotController.frameManager.toBase(frame, Pose.parse(pose));
+
+    if (type === 'move-linear') {
+      return (job) => this.motionPlanner.executeLinearMove(this.robotController, target, speed, job);
+    }
+
+    const viaPose = this.robotController.frameManager.toBase(frame, Pose.parse(via));
+    return (job) => this.motionPlanner.executeCircularMove(this.robotController, viaPose, target, speed, job);
+  }
+
+  /**
+   * 连续路径程序任务的执行函数
+   * 路点位姿在提交时解析并换算到基坐标系，关节目标 (rad) 原样使用
+   * @param {Object} data - {waypoints: [{type: 'joint' | 'linear', pose | joints, speed, zone (mm)}], frame}
+   * @returns {Function} 执行函数 async (job) => void
+   */
+  createProgramMove(data = {}) {
+    const { waypoints, frame = 'base' } = data;
+
+    if (!Array.isArray(waypoints) || waypoints.length === 0) {
+      throw new Error('Motion program has no waypoints');
+    }
+
+    const program = waypoints.map((waypoint = {}, i) => {
+      const { type, pose, joints, speed, zone = 0 } = waypoint;
+
+      if (type !== 'joint' && type !== 'linear') {
+        throw new Error(`Waypoint ${i + 1}: type must be joint or linear`);
+      }
+      if (!Number.isFinite(zone) || zone < 0) {
+        throw new Error(`Waypoint ${i + 1}: zone must be a non-negative number of mm`);
+      }
+
+      if (type === 'joint' && joints !== undefined) {
+        if (!Array.isArray(joints) || joints.length !== 6 || !joints.every(Number.isFinite)) {
+          throw new Error(`Waypoint ${i + 1}: joints must be 6 finite angles (rad)`);
+        }
+        return { type, joints, speed, zone };
+      }
+
+      return { type, pose: this.robotController.frameManager.toBase(frame, Pose.parse(pose)), speed, zone };
+    });
+
+    return (job) => this.motionPlanner.executeProgram(this.robotController, program, job);
+  }
+
+  /**
+   * 多路点样条运动任务的执行函数
+   * @param {Object} data - {waypoints: 关节角数组 (rad), type, degree, mode, tolerance (rad), speed (%)}
+   * @returns {Function} 执行函数 async (job) => void
+   */
+  createSplineMove(data = {}) {
+    const { waypoints, speed = 50 } = data;
+
+    if (!Array.isArray(waypoints) || waypoints.length === 0) {
+      throw new Error('Spline move has no waypoints');
+    }
+    waypoints.forEach((joints, i) => {
+      if (!Array.isArray(joints) || joints.length !== 6 || !joints.every(Number.isFinite)) {
+        throw new Error(`Waypoint ${i + 1}: joints must be 6 finite angles (rad)`);
       }
-    }, 50); // 20Hz 安全检查
+    });
+
+    const options = { ...JointSpline.normalizeOptions(data), speed };
+    return (job) => this.motionPlanner.executeSplineMove(this.robotController, waypoints, options, job);
+  }
+
+  /**
+   * 开始故障恢复并提交恢复运动任务，任务结束 (或提交失败) 时结束恢复
+   * @returns {Promise<MotionJob>} 恢复运动任务
+   */
+  async startSafetyRecovery(operator, actor) {
+    const { target } = await this.safetyMonitor.startRecovery(operator, actor);
+
+    try {
+      const job = this.motionJobManager.submit('safety-recovery', { operator, target }, (job) =>
+        this.motionPlanner.executeRecoveryMove(this.robotController, target, job)
+      );
+      job.promise.finally(() => this.safetyMonitor.endRecovery()).catch(() => {});
+      return job;
+    } catch (error) {
+      this.safetyMonitor.endRecovery();
+      throw error;
+    }
+  }
+
+  /**
+   * 提交运动任务并通知发起方
+   */
+  submitMotionJob(socket, type, params, handler) {
+    const job = this.motionJobManager.submit(type, params, handler);
+    socket.emit('motion-job-created', job.toJSON());
+    return job;
+  }
+
+  /**
+   * 运动任务失败处理 (主动中止不视为错误，校验未通过时发送校验报告)
+   */
+  handleMotionError(socket, label, job, error) {
+    if (job && job.status === 'aborted') {
+      logger.warn(`${label} aborted: ${error.message}`);
+      socket.emit('motion-aborted', job.toJSON());
+      return;
+    }
+
+    if (error.report) {
+      logger.warn(`${label} rejected: ${error.message}`);
+      socket.emit('trajectory-rejected', { jobId: job?.id, message: error.message, report: error.report });
+      return;
+    }
+
+    logger.error(`${label} failed: ${error.message}`);
+    socket.emit('error', { message: error.message });
+  }
+
+  /**
+   * 工具列表与当前工具 (mm、rad)
+   */
+  getToolState() {
+    if (!this.robotController) {
+      return { units: SETUP_UNITS, tools: [], activeTool: null };
+    }
+    return {
+      units: SETUP_UNITS,
+      tools: this.robotController.toolManager.listTools(),
+      activeTool: this.robotController.getActiveTool().name
+    };
+  }
+
+  /**
+   * TCP 标定，指定工具名时将标定结果保存为该工具的偏移
+   * @param {Object} data - {samples: 关节角度数组, name}
+   */
+  calibrateTool(data = {}) {
+    const calibration = this.robotController.calibrateTcp(data.samples);
+    let tool = null;
+
+    if (data.name) {
+      const existing = this.robotController.toolManager.tools.get(data.name);
+      tool = this.robotController.defineTool({ ...existing, name: data.name, offset: calibration.offset });
+    }
+
+    return { calibration, tool };
+  }
+
+  /**
+   * 执行配置类 REST 请求，成功后广播最新列表
+   * @param {Function} broadcast - 广播函数
+   */
+  handleSetupRequest(res, broadcast, action) {
+    try {
+      const result = action();
+      broadcast();
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  }
+
+  /**
+   * 执行配置类 socket 请求，成功后广播最新列表
+   */
+  handleSetupSocket(socket, label, broadcast, action) {
+    try {
+      action();
+      broadcast();
+    } catch (error) {
+      logger.warn(`${label} rejected: ${error.message}`);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * 碰撞检测设置 (阈值为额定电流 %)
+   */
+  getCollisionState() {
+    return { settings: this.safetyMonitor?.getCollisionSettings() || null };
+  }
+
+  broadcastCollisionSettings() {
+    this.io.emit('collision-detection', this.getCollisionState());
+  }
+
+  broadcastTools() {
+    this.io.emit('tool-list', this.getToolState());
+  }
+
+  broadcastFrames() {
+    this.io.emit('frame-list', this.getFrameState());
+  }
+
+  /**
+   * 用户坐标系列表 (mm、rad)
+   */
+  getFrameState() {
+    return { units: SETUP_UNITS, frames: this.robotController ? this.robotController.frameManager.listFrames() : [] };
+  }
+
+  broadcastZones() {
+    this.io.emit('safety-zone-list', this.getZoneState());
+  }
+
+  /**
+   * 安全区列表 (m、m/s)
+   */
+  getZoneState() {
+    return { unit: 'm', zones: this.safetyMonitor ? this.safetyMonitor.zoneManager.listZones() : [] };
   }
 
   handleEmergencyStop() {
     logger.warn('Emergency stop activated!');
-    if (this.robotController) {
+    // 先按配置的停止类别停止 (类别 1 沿当前轨迹减速)，再中止排队任务
+    if (this.safetyMonitor) {
+      this.safetyMonitor.triggerEmergencyStop('Operator emergency stop');
+    } else if (this.robotController) {
       this.robotController.emergencyStop();
     }
+    if (this.motionJobManager) {
+      this.motionJobManager.abortAll('Emergency stop');
+    }
     this.io.emit('emergency-stop-activated');
   }
 
@@ -9,13 +9,16 @@
  * - 状态监控与日志
  */
 
+// 界面使用的单位 (位姿载荷显式声明单位，后端统一换算为 m、rad)
+const UI_UNITS = { length: 'mm', angle: 'deg' };
+
 class RobotControlApp {
     constructor() {
         this.socket = null;
         this.isConnected = false;
         this.robotStatus = {
             joints: [0, 0, 0, 0, 0, 0],
-            endEffector: { x: 0, y: 0, z: 0, rx: 0, ry: 0, rz: 0 }
+            endEffector: null
         };
         
         // 3D可视化
@@ -23,6 +26,10 @@ class RobotControlApp {
         this.camera = null;
         this.renderer = null;
         this.robotModel = null;
+        this.zoneGroup = null;
+
+        // 安全事件回放 (回放期间 3D 模型不跟随实时状态)
+        this.replay = null;
         
         // 日志系统
         this.logContainer = document.getElementById('log-container');
@@ -81,6 +88,10 @@ class RobotControlApp {
                     this.isConnected = true;
                     this.updateConnectionStatus(true);
                     this.log('WebSocket连接已建立', 'success');
+                    this.socket.emit('tool-list');
+                    this.socket.emit('frame-list');
+                    this.socket.emit('safety-zone-list');
+                    this.socket.emit('incident-list');
                     resolve();
                 });
 
@@ -107,13 +118,26 @@ class RobotControlApp {
                     this.updateRobotStatus(status);
                 });
 
+                // 轨迹执行进度
+                this.socket.on('motion-progress', (data) => {
+                    const percent = Math.round(data.progress * 100);
+                    document.querySelector('.loading-spinner span').textContent = `轨迹执行中 ${percent}%`;
+                });
+
                 // 操作反馈
                 this.socket.on('joint-move-success', (data) => {
-                    this.log(`关节 J${data.jointIndex + 1} 移动到 ${data.angle.toFixed(2)}°`, 'success');
+                    this.log(`关节 J${data.jointIndex + 1} 移动到 ${(data.angle * 180 / Math.PI).toFixed(2)}°`, 'success');
                 });
 
                 this.socket.on('cartesian-move-success', (data) => {
-                    this.log(`末端移动到 (${data.x.toFixed(1)}, ${data.y.toFixed(1)}, ${data.z.toFixed(1)})`, 'success');
+                    const { position } = this.toDisplayUnits(data.pose);
+                    this.log(`末端移动到 (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}) mm`, 'success');
+                    this.hideLoading();
+                });
+
+                this.socket.on('move-linear-success', () => {
+                    this.log('直线运动完成', 'success');
+                    this.hideLoading();
                 });
 
                 this.socket.on('home-reset-success', () => {
@@ -126,6 +150,97 @@ class RobotControlApp {
                     this.hideLoading();
                 });
 
+                // 工具列表
+                this.socket.on('tool-list', (data) => {
+                    this.updateToolList(data);
+                });
+
+                // 用户坐标系列表
+                this.socket.on('frame-list', (data) => {
+                    this.updateFrameList(data);
+                });
+
+                // 安全事件记录 (黑匣子)
+                this.socket.on('incident-list', ({ incidents }) => {
+                    this.updateIncidentList(incidents);
+                });
+
+                this.socket.on('incident-recorded', (incident) => {
+                    this.log(`安全事件已记录: ${incident.id} (${incident.reason})`, 'warning');
+                    this.socket.emit('incident-list');
+                });
+
+                this.socket.on('incident', (incident) => {
+                    this.startReplay(incident);
+                });
+
+                // 安全区 (m)
+                this.socket.on('safety-zone-list', ({ zones }) => {
+                    this.renderSafetyZones(zones);
+                });
+
+                this.socket.on('tool-calibrated', ({ calibration }) => {
+                    const { x, y, z } = calibration.offset;
+                    this.log(`TCP标定完成: (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}) mm，误差 ${calibration.rmsError.toFixed(2)} mm`, 'success');
+                });
+
+                // 运动任务状态
+                this.socket.on('motion-job-update', (job) => {
+                    this.updateMotionJob(job);
+                });
+
+                this.socket.on('motion-aborted', (job) => {
+                    this.log(`运动任务 ${job.id} 已中止`, 'warning');
+                    this.hideLoading();
+                });
+
+                // 轨迹校验未通过 (未开始运动)
+                this.socket.on('trajectory-rejected', ({ message, report }) => {
+                    report.violations.forEach(violation => {
+                        const subject = violation.joint ? `J${violation.joint}` :
+                            (violation.type || (violation.links || [violation.zone || violation.obstacle, violation.link]).filter(Boolean).join('/'));
+                        this.log(`${violation.check} ${subject}: ${violation.value.toFixed(3)} (限制 ${violation.limit.toFixed(3)}) @ ${violation.time.toFixed(2)}s`, 'error');
+                    });
+                    this.hideLoading();
+                    this.showModal('轨迹校验未通过', message);
+                });
+
+                // 电流残差碰撞检测触发急停
+                this.socket.on('collision-detected', ({ joints }) => {
+                    const detail = joints.map(item =>
+                        `J${item.joint} ${item.residual.toFixed(2)} A (阈值 ${item.threshold.toFixed(2)} A)`).join(', ');
+                    this.log(`检测到碰撞: ${detail}`, 'error');
+                    this.showModal('检测到碰撞', `机器人已紧急停止: ${detail}`);
+                });
+
+                // 安全停止 (类别 0 立即断使能，1 减速后断使能，2 减速后保持使能)
+                this.socket.on('safety-stop', ({ reason, category }) => {
+                    this.log(`安全停止 (类别 ${category}): ${reason}`, 'warning');
+                });
+
+                // 安全复位 (广播给所有客户端) { operator, actor, faults, timestamp }
+                this.socket.on('safety-reset', ({ operator, faults }) => {
+                    this.log(`安全复位已由 ${operator} 确认 (${faults.length} 项故障)`, 'success');
+                });
+
+                this.socket.on('safety-reset-rejected', ({ message, causes, recoverable }) => {
+                    this.log(`安全复位被拒绝: ${message}`, 'error');
+                    // 仅剩关节超限 / 自碰撞时可降速移回安全范围后再复位
+                    if (recoverable) {
+                        this.safetyRecovery(causes);
+                        return;
+                    }
+                    this.showModal('安全复位被拒绝', causes.length > 0 ? causes.join('; ') : message);
+                });
+
+                this.socket.on('safety-recovery', ({ operator, target }) => {
+                    this.log(`故障恢复已由 ${operator} 确认，降速移向 ${target.map(q => (q * 180 / Math.PI).toFixed(1)).join(', ')}°`, 'warning');
+                });
+
+                this.socket.on('safety-recovery-complete', () => {
+                    this.log('故障恢复运动完成，请执行安全复位', 'success');
+                });
+
                 this.socket.on('emergency-stop-activated', () => {
                     this.log('紧急停止已激活', 'warning');
                     this.showModal('紧急停止', '机器人已紧急停止，请检查系统状态');
@@ -290,6 +405,65 @@ class RobotControlApp {
         this.scene.add(this.robotModel);
     }
 
+    /**
+     * 渲染安全区线框 (基坐标系 m 换算为场景坐标: z 轴向上对应场景 y 轴)
+     * 限定区绿色、禁入区红色、限速区橙色
+     */
+    renderSafetyZones(zones) {
+        if (!this.scene) return;
+
+        if (this.zoneGroup) {
+            this.scene.remove(this.zoneGroup);
+        }
+        this.zoneGroup = new THREE.Group();
+
+        const scale = 250; // 场景单位 / m
+        const toScene = ({ x, y, z }) => new THREE.Vector3(x * scale, z * scale, -y * scale);
+        const colors = { 'keep-in': 0x4CAF50, 'keep-out': 0xF44336, 'reduced-speed': 0xFF9800 };
+
+        zones.forEach(({ type, shape }) => {
+            const material = new THREE.LineBasicMaterial({ color: colors[type] });
+            let geometry;
+            let position = null;
+            let normal = null;
+
+            switch (shape.type) {
+                case 'box':
+                    geometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(shape.size.x * scale, shape.size.z * scale, shape.size.y * scale));
+                    position = shape.center;
+                    break;
+                case 'cylinder':
+                    geometry = new THREE.EdgesGeometry(new THREE.CylinderGeometry(shape.radius * scale, shape.radius * scale, shape.height * scale, 32));
+                    position = shape.center;
+                    break;
+                case 'sphere':
+                    geometry = new THREE.WireframeGeometry(new THREE.SphereGeometry(shape.radius * scale, 16, 12));
+                    position = shape.center;
+                    break;
+                case 'plane':
+                    geometry = new THREE.EdgesGeometry(new THREE.PlaneGeometry(2 * scale, 2 * scale));
+                    position = shape.point;
+                    normal = toScene(shape.normal).normalize();
+                    break;
+                default:
+                    geometry = new THREE.BufferGeometry().setFromPoints(
+                        shape.edges.flatMap(([a, b]) => [toScene(shape.vertices[a]), toScene(shape.vertices[b])])
+                    );
+            }
+
+            const mesh = new THREE.LineSegments(geometry, material);
+            if (position) {
+                mesh.position.copy(toScene(position));
+            }
+            if (normal) {
+                mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+            }
+            this.zoneGroup.add(mesh);
+        });
+
+        this.scene.add(this.zoneGroup);
+    }
+
     /**
      * 更新机器人3D模型
      */
@@ -355,6 +529,9 @@ class RobotControlApp {
         document.getElementById('btn-home').addEventListener('click', () => this.homeReset());
         document.getElementById('btn-emergency-stop').addEventListener('click', () => this.emergencyStop());
         document.getElementById('btn-safety-reset').addEventListener('click', () => this.safetyReset());
+        document.getElementById('btn-motion-pause').addEventListener('click', () => this.controlMotion('pause'));
+        document.getElementById('btn-motion-resume').addEventListener('click', () => this.controlMotion('resume'));
+        document.getElementById('btn-motion-abort').addEventListener('click', () => this.controlMotion('abort'));
         
         // 关节控制滑块
         for (let i = 0; i < 6; i++) {
@@ -397,6 +574,10 @@ class RobotControlApp {
             });
         });
         
+        document.getElementById('cart-tool').addEventListener('change', (e) => {
+            this.socket.emit('tool-select', { name: e.target.value });
+        });
+        
         document.getElementById('btn-cartesian-move').addEventListener('click', () => {
             const x = parseFloat(document.getElementById('cart-x').value) || 0;
             const y = parseFloat(document.getElementById('cart-y').value) || 0;
@@ -404,8 +585,18 @@ class RobotControlApp {
             const rx = parseFloat(document.getElementById('cart-rx').value) || 0;
             const ry = parseFloat(document.getElementById('cart-ry').value) || 0;
             const rz = parseFloat(document.getElementById('cart-rz').value) || 0;
+            const configuration = {
+                shoulder: document.getElementById('cart-config-shoulder').value,
+                elbow: document.getElementById('cart-config-elbow').value,
+                wrist: document.getElementById('cart-config-wrist').value
+            };
+            const frame = document.getElementById('cart-frame').value;
             
-            this.moveToCartesian(x, y, z, rx, ry, rz);
+            if (document.getElementById('cart-motion').value === 'linear') {
+                this.moveLinear(x, y, z, rx, ry, rz, frame);
+            } else {
+                this.moveToCartesian(x, y, z, rx, ry, rz, configuration, frame);
+            }
         });
         
         // 智能书写
@@ -418,14 +609,19 @@ class RobotControlApp {
             
             const fontSize = parseFloat(document.getElementById('font-size').value) || 20;
             const speed = parseFloat(document.getElementById('write-speed').value) || 20;
+            const frame = document.getElementById('write-frame').value || null;
             
-            this.startHandwriting(text, { fontSize, speed });
+            this.startHandwriting(text, { fontSize, speed, frame });
         });
         
         // 视角控制
         document.getElementById('view-front').addEventListener('click', () => this.setView('front'));
         document.getElementById('view-top').addEventListener('click', () => this.setView('top'));
         document.getElementById('view-side').addEventListener('click', () => this.setView('side'));
+
+        // 安全事件回放与下载
+        document.getElementById('btn-incident-replay').addEventListener('click', () => this.toggleReplay());
+        document.getElementById('incident-select').addEventListener('change', () => this.updateIncidentDownload());
         
         // 模态对话框
         document.getElementById('modal-close').addEventListener('click', () => this.hideModal());
@@ -486,18 +682,90 @@ class RobotControlApp {
                 document.getElementById(`j${i+1}-slider`).value = angleDeg;
             }
             
-            // 更新3D模型
-            this.updateRobotModel(status.joints);
+            // 更新3D模型 (回放期间显示记录的关节角度)
+            if (!this.replay) {
+                this.updateRobotModel(status.joints);
+            }
         }
         
         // 更新末端执行器位置
         if (status.endEffector) {
-            document.getElementById('ee-x').textContent = status.endEffector.x.toFixed(1);
-            document.getElementById('ee-y').textContent = status.endEffector.y.toFixed(1);
-            document.getElementById('ee-z').textContent = status.endEffector.z.toFixed(1);
+            const { position, euler } = this.toDisplayUnits(status.endEffector);
+            for (const axis of ['x', 'y', 'z']) {
+                document.getElementById(`ee-${axis}`).textContent = position[axis].toFixed(1);
+            }
+            for (const axis of ['rx', 'ry', 'rz']) {
+                document.getElementById(`ee-${axis}`).textContent = euler[axis].toFixed(1);
+            }
+        }
+
+        // 更新 TCP 速度估计与速度 / 加速度超限项
+        if (typeof status.tcpSpeed === 'number') {
+            document.getElementById('tcp-speed').textContent = (status.tcpSpeed * 1000).toFixed(1);
+            const violations = (status.safety && status.safety.motionViolations) || [];
+            document.getElementById('motion-violations').textContent = violations.length > 0
+                ? `mm/s (超限: ${violations.map(v => v.joint ? `J${v.joint} ${v.check}` : v.check).join(', ')})`
+                : 'mm/s';
+        }
+
+        // 更新奇异性指标 (条件数为无穷大时序列化为null)
+        if (status.singularity) {
+            const { manipulability, conditionNumber, near } = status.singularity;
+            document.getElementById('manipulability').textContent = manipulability.toFixed(4);
+            document.getElementById('condition-number').textContent =
+                conditionNumber === null ? '∞' : conditionNumber.toFixed(1);
+            document.getElementById('singularity-near').textContent =
+                near.length > 0 ? `接近奇异: ${near.join(', ')}` : '';
+        }
+
+        // 更新自碰撞间距 (不相邻连杆最小间距与最近连杆对)
+        if (status.safety && status.safety.selfCollision && status.safety.selfCollision.links) {
+            const { distance, links } = status.safety.selfCollision;
+            document.getElementById('self-distance').textContent = (distance * 1000).toFixed(1);
+            document.getElementById('self-links').textContent = `mm (${links.join('/')})`;
+        }
+
+        // 更新碰撞残差 (最大残差电流与有效阈值，额定电流 %)
+        if (status.safety && status.safety.collisionResidual && status.safety.collisionResidual.joint) {
+            const { peak, joint, threshold } = status.safety.collisionResidual;
+            document.getElementById('collision-residual').textContent = (peak * 100).toFixed(1);
+            document.getElementById('collision-joint').textContent = `% (J${joint}，阈值 ${(threshold * 100).toFixed(1)}%)`;
+        }
+
+        // 更新待复位的安全故障与运动互锁，存在故障时复位按钮闪烁提示
+        if (status.safety && Array.isArray(status.safety.faults)) {
+            const { faults, interlock } = status.safety;
+            document.getElementById('safety-faults').textContent = faults.length > 0
+                ? faults.map(fault => fault.event).join(', ')
+                : '无';
+            document.getElementById('safety-interlock').textContent = interlock || '';
+            document.getElementById('btn-safety-reset').classList.toggle('pending', faults.length > 0);
+        }
+
+        // 更新驱动器使能状态与最近一次安全停止
+        if (typeof status.drivesEnabled === 'boolean') {
+            document.getElementById('drives-state').textContent = status.drivesEnabled ? '使能' : '已断开';
+            const lastStop = status.safety && status.safety.lastStop;
+            document.getElementById('last-stop').textContent = lastStop ? `(停止类别 ${lastStop.category}: ${lastStop.event})` : '';
         }
     }
 
+    /**
+     * 位姿载荷换算为界面单位 (mm、度)，按载荷声明的单位换算
+     */
+    toDisplayUnits(pose) {
+        const lengthScale = pose.units.length === 'm' ? 1000 : 1;
+        const angleScale = pose.units.angle === 'rad' ? 180 / Math.PI : 1;
+        const scale = (vector, factor) => Object.fromEntries(
+            Object.entries(vector).map(([key, value]) => [key, value * factor])
+        );
+        
+        return {
+            position: scale(pose.position, lengthScale),
+            euler: scale(pose.euler, angleScale)
+        };
+    }
+
     /**
      * 更新通信频率
      */
@@ -533,7 +801,8 @@ class RobotControlApp {
     /**
      * 笛卡尔空间运动
      */
-    moveToCartesian(x, y, z, rx = 0, ry = 0, rz = 0) {
+    moveToCartesian(x, y, z, rx = 0, ry = 0, rz = 0, configuration = 'keep', frame = 'base') {
+        // 输入框单位为 mm 与度
         if (!this.isConnected) {
             this.showModal('连接错误', '机器人未连接');
             return;
@@ -542,7 +811,36 @@ class RobotControlApp {
         this.showLoading('移动到目标位置...');
         
         this.socket.emit('cartesian-move', {
-            x, y, z, rx, ry, rz, speed: 50
+            pose: {
+                position: { x, y, z },
+                orientation: { rx, ry, rz },
+                units: UI_UNITS
+            },
+            speed: 50,
+            configuration,
+            frame
+        });
+    }
+
+    /**
+     * 直线运动 (MoveL)，TCP 速度单位 mm/s
+     */
+    moveLinear(x, y, z, rx = 0, ry = 0, rz = 0, frame = 'base', speed = 50) {
+        if (!this.isConnected) {
+            this.showModal('连接错误', '机器人未连接');
+            return;
+        }
+        
+        this.showLoading('直线运动中...');
+        
+        this.socket.emit('move-linear', {
+            pose: {
+                position: { x, y, z },
+                orientation: { rx, ry, rz },
+                units: UI_UNITS
+            },
+            speed,
+            frame
         });
     }
 
@@ -573,7 +871,8 @@ class RobotControlApp {
         this.socket.emit('handwriting-start', {
             text,
             fontSize: params.fontSize,
-            speed: params.speed
+            speed: params.speed,
+            frame: params.frame
         });
     }
 
@@ -587,12 +886,197 @@ class RobotControlApp {
         this.log('紧急停止已触发', 'warning');
     }
 
+    /**
+     * 暂停 / 恢复 / 中止当前运动任务
+     */
+    controlMotion(action) {
+        if (!this.isConnected) {
+            this.showModal('连接错误', '机器人未连接');
+            return;
+        }
+        
+        this.socket.emit(`motion-${action}`, {});
+    }
+
+    /**
+     * 更新工具下拉列表
+     */
+    updateToolList({ tools, activeTool }) {
+        const select = document.getElementById('cart-tool');
+        select.innerHTML = '';
+        
+        tools.forEach(tool => {
+            const option = document.createElement('option');
+            option.value = tool.name;
+            option.textContent = tool.name;
+            select.appendChild(option);
+        });
+        
+        if (activeTool) {
+            select.value = activeTool;
+        }
+    }
+
+    /**
+     * 更新安全事件记录下拉列表 (最新在前)
+     */
+    updateIncidentList(incidents) {
+        const select = document.getElementById('incident-select');
+        const value = select.value;
+
+        select.innerHTML = incidents.length > 0 ? '' : '<option value="">无安全事件记录</option>';
+        incidents.forEach(incident => {
+            const time = new Date(incident.timestamp).toLocaleString();
+            select.appendChild(new Option(`${time} ${incident.event} (类别 ${incident.category})`, incident.id));
+        });
+
+        if (incidents.some(incident => incident.id === value)) {
+            select.value = value;
+        }
+        this.updateIncidentDownload();
+    }
+
+    updateIncidentDownload() {
+        const id = document.getElementById('incident-select').value;
+        const link = document.getElementById('btn-incident-download');
+
+        if (id) {
+            link.href = `/api/incidents/${encodeURIComponent(id)}/download`;
+        } else {
+            link.removeAttribute('href');
+        }
+    }
+
+    /**
+     * 开始 / 停止回放所选安全事件
+     */
+    toggleReplay() {
+        if (this.replay) {
+            this.stopReplay();
+            return;
+        }
+
+        const id = document.getElementById('incident-select').value;
+        if (id && this.isConnected && this.socket) {
+            this.socket.emit('incident-get', { id });
+        }
+    }
+
+    /**
+     * 按记录时间在 3D 视图中回放实际关节角度 (t = 0 为触发时刻)
+     */
+    startReplay(incident) {
+        this.stopReplay();
+        if (incident.samples.length === 0) return;
+
+        const samples = incident.samples;
+        const startTime = performance.now();
+        const status = document.getElementById('incident-replay-status');
+        let index = 0;
+
+        this.replay = setInterval(() => {
+            const t = samples[0].t + (performance.now() - startTime) / 1000;
+            while (index < samples.length - 1 && samples[index + 1].t <= t) {
+                index++;
+            }
+
+            const sample = samples[index];
+            this.updateRobotModel(sample.actual);
+            status.textContent = `回放 ${incident.event}: t = ${sample.t.toFixed(2)} s (${sample.safety.executor}${sample.safety.drivesEnabled ? '' : '，驱动已断开'})`;
+
+            if (index === samples.length - 1) {
+                this.stopReplay();
+            }
+        }, 20);
+
+        document.getElementById('btn-incident-replay').textContent = '停止';
+        this.log(`回放安全事件 ${incident.id}: ${incident.reason}`, 'info');
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+
+        clearInterval(this.replay);
+        this.replay = null;
+        document.getElementById('incident-replay-status').textContent = '';
+        document.getElementById('btn-incident-replay').textContent = '回放';
+        this.updateRobotModel(this.robotStatus.joints);
+    }
+
+    /**
+     * 更新用户坐标系下拉列表 (笛卡尔控制与书写纸面)
+     */
+    updateFrameList({ frames }) {
+        const cartSelect = document.getElementById('cart-frame');
+        const writeSelect = document.getElementById('write-frame');
+        const cartValue = cartSelect.value;
+        const writeValue = writeSelect.value;
+        
+        cartSelect.innerHTML = '';
+        writeSelect.innerHTML = '<option value="">默认纸面 (配置)</option>';
+        
+        frames.forEach(frame => {
+            cartSelect.appendChild(new Option(frame.name, frame.name));
+            if (frame.name !== 'base') {
+                writeSelect.appendChild(new Option(frame.name, frame.name));
+            }
+        });
+        
+        cartSelect.value = frames.some(frame => frame.name === cartValue) ? cartValue : 'base';
+        writeSelect.value = frames.some(frame => frame.name === writeValue) ? writeValue : '';
+    }
+
+    /**
+     * 更新运动任务状态
+     */
+    updateMotionJob(job) {
+        const statusText = {
+            queued: '排队中',
+            running: '执行中',
+            paused: '已暂停',
+            aborted: '已中止',
+            done: '已完成',
+            failed: '失败'
+        };
+        
+        this.currentJob = job;
+        this.log(`运动任务 ${job.id} (${job.type}) ${statusText[job.status] || job.status}`, 'info');
+        
+        if (job.status === 'paused') {
+            document.querySelector('.loading-spinner span').textContent = '运动已暂停';
+        }
+    }
+
     /**
      * 安全复位
      */
     safetyReset() {
-        this.log('安全系统复位', 'info');
-        // 这里可以添加更多安全复位逻辑
+        if (!this.isConnected || !this.socket) return;
+
+        // 复位须记录确认人，默认沿用上次输入的姓名
+        const operator = window.prompt('请确认故障原因已消除，并输入操作员姓名:', this.operatorName || '');
+        if (!operator || !operator.trim()) {
+            this.log('安全复位已取消', 'warning');
+            return;
+        }
+
+        this.operatorName = operator.trim();
+        this.socket.emit('safety-reset', { operator: this.operatorName });
+        this.log(`请求安全复位 (操作员: ${this.operatorName})`, 'info');
+    }
+
+    /**
+     * 故障恢复 (关节超限 / 自碰撞): 操作员确认后降速移回安全范围，故障保持锁存
+     */
+    safetyRecovery(causes) {
+        const confirmed = window.confirm(`${causes.join('\n')}\n\n是否以降低的速度将机器人移回安全范围？完成后须再次安全复位。`);
+        if (!confirmed) {
+            this.log('故障恢复已取消', 'warning');
+            return;
+        }
+
+        this.socket.emit('safety-recovery', { operator: this.operatorName });
+        this.log(`请求故障恢复 (操作员: ${this.operatorName})`, 'info');
     }
 
     /**
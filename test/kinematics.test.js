@@ -0,0 +1,39 @@
+/**
+ * 运动学测试 - 正逆解往返
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RobotController = require('../backend/controllers/RobotController');
+
+// 可复现的伪随机数 (Park-Miller)
+function random(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+test('inverse kinematics reproduces the pose and recovers the original joints', () => {
+  const { kinematics } = new RobotController();
+  const next = random(42);
+  let worstResidual = 0;
+
+  for (let n = 0; n < 100; n++) {
+    const joints = kinematics.jointLimits.map(({ min, max }) => 0.9 * (min + next() * (max - min)));
+    const pose = kinematics.forwardKinematics(joints);
+    const solutions = kinematics.inverseKinematics(pose);
+
+    assert.ok(solutions.length > 0, `no solution for ${joints.map(q => q.toFixed(3)).join(', ')}`);
+
+    for (const solution of solutions) {
+      const { translation, rotation } = kinematics.forwardKinematics(solution).distanceTo(pose);
+      worstResidual = Math.max(worstResidual, translation, rotation);
+    }
+
+    const distance = Math.min(...solutions.map(solution =>
+      Math.max(...solution.map((q, j) => Math.abs(kinematics.wrapAngle(q - joints[j]))))
+    ));
+    assert.ok(distance < 1e-6, `original joints not among solutions (closest ${distance.toExponential(2)} rad)`);
+  }
+
+  assert.ok(worstResidual < kinematics.epsilon, `worst pose residual ${worstResidual.toExponential(2)}`);
+});
@@ -0,0 +1,97 @@
+/**
+ * 安全互锁与复位流程测试 (仿真模式)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RobotController = require('../backend/controllers/RobotController');
+const SafetyMonitor = require('../backend/controllers/SafetyMonitor');
+const MotionPlanner = require('../backend/controllers/MotionPlanner');
+const MotionJobManager = require('../backend/controllers/MotionJobManager');
+
+// 轮询等待条件成立
+async function waitFor(condition, description, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('safety interlock, reset and recovery workflow', async (t) => {
+  const robotController = new RobotController();
+  await robotController.initialize();
+  const safetyMonitor = new SafetyMonitor(robotController);
+  const motionPlanner = new MotionPlanner();
+  motionPlanner.setValidator(safetyMonitor.trajectoryValidator);
+  const jobManager = new MotionJobManager(robotController);
+  jobManager.setInterlock(type => safetyMonitor.getInterlockReason(type));
+
+  t.after(async () => {
+    safetyMonitor.stop();
+    await robotController.close();
+  });
+
+  const home = [0, -0.5, 0.5, 0, 0.5, 0];
+  const move = target => jobManager.submit('joint-move', { target }, job =>
+    motionPlanner.executeJointMove(robotController, target, 50, job));
+
+  await t.test('emergency stop interlocks motion until an operator resets', async () => {
+    assert.equal(safetyMonitor.getInterlockReason('joint-move'), null);
+
+    safetyMonitor.triggerEmergencyStop('Test button');
+    await waitFor(() => !robotController.drivesEnabled, 'drives disabled');
+
+    assert.throws(() => move(home), /^Error: Motion rejected: Safety reset required: Test button/);
+    await assert.rejects(safetyMonitor.reset('', 'test'), /requires the name of the acknowledging operator/);
+    assert.equal(safetyMonitor.safetyStatus.faults.length, 1);
+
+    const record = await safetyMonitor.reset('Alice', 'test');
+    assert.equal(record.operator, 'Alice');
+    assert.deepEqual(record.faults.map(fault => fault.event), ['emergency-stop']);
+    assert.equal(robotController.drivesEnabled, true);
+    assert.equal(safetyMonitor.safetyStatus.emergencyStopped, false);
+    assert.equal(safetyMonitor.getInterlockReason('joint-move'), null);
+
+    await move(home).promise;
+  });
+
+  await t.test('joint-limit fault is reset after a recovery move', async () => {
+    // 运动到安全范围边缘，设定值再缓慢越过安全余量 (未经轨迹校验的设定值)
+    const { max, margin } = safetyMonitor.jointLimits[0];
+    await move([max - margin - 0.02, ...home.slice(1)]).promise;
+    for (let step = 0; step < 10; step++) {
+      robotController.targetJoints[0] += 0.007;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    await waitFor(() => safetyMonitor.safetyStatus.faults.length > 0, 'safety fault');
+    await waitFor(() => safetyMonitor.getActiveCauses().every(cause => cause.type !== 'motion'), 'standstill');
+    assert.deepEqual(safetyMonitor.safetyStatus.faults.map(fault => fault.event), ['joint-limit']);
+
+    const error = await safetyMonitor.reset('Bob', 'test').catch(e => e);
+    assert.match(error.message, /^Safety reset rejected: J1 at /);
+    assert.equal(error.recoverable, true);
+    assert.throws(() => move(home), /Safety reset required/);
+
+    const { target } = await safetyMonitor.startRecovery('Bob', 'test');
+    assert.ok(target[0] < max - margin);
+    await assert.rejects(safetyMonitor.reset('Bob', 'test'), /recovery move in progress/);
+
+    const job = jobManager.submit('safety-recovery', { target }, job =>
+      motionPlanner.executeRecoveryMove(robotController, target, job));
+    try {
+      await job.promise;
+    } finally {
+      safetyMonitor.endRecovery();
+    }
+
+    await waitFor(() => safetyMonitor.getActiveCauses().length === 0, 'standstill within limits');
+    assert.equal(safetyMonitor.safetyStatus.faults.length, 1);
+
+    const record = await safetyMonitor.reset('Bob', 'test');
+    assert.deepEqual(record.faults.map(fault => fault.event), ['joint-limit']);
+    assert.equal(safetyMonitor.getInterlockReason('joint-move'), null);
+  });
+});
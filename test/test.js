@@ -0,0 +1,11 @@
+/**
+ * 测试入口 (npm test): 加载 test 目录下全部 *.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(__dirname, file)));
@@ -0,0 +1,90 @@
+/**
+ * 轨迹限制测试 - S曲线与时间最优路径参数化不超过关节限制
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RobotController = require('../backend/controllers/RobotController');
+const SCurveTrajectory = require('../backend/controllers/SCurveTrajectory');
+const PathParameterizer = require('../backend/controllers/PathParameterizer');
+
+const { motionLimits } = new RobotController();
+const limits = {
+  maxVelocity: motionLimits.velocity,
+  maxAcceleration: motionLimits.acceleration,
+  maxJerk: motionLimits.jerk
+};
+
+// 关节角逐个比较 (浮点舍入)
+function assertJointsClose(actual, expected, tolerance = 1e-9) {
+  actual.forEach((q, j) => assert.ok(Math.abs(q - expected[j]) < tolerance, `J${j + 1}: ${q} != ${expected[j]}`));
+}
+
+// 各关节绝对值峰值
+function peaks(trajectory, order, sampleTime = 0.001) {
+  const result = new Array(6).fill(0);
+  for (let t = 0; t <= trajectory.duration; t += sampleTime) {
+    trajectory.evaluate(t, order).forEach((value, j) => {
+      result[j] = Math.max(result[j], Math.abs(value));
+    });
+  }
+  return result;
+}
+
+test('S-curve stays within joint limits and reaches them on the leading axis', () => {
+  const start = [-1.0, -0.5, 0.5, 0, 0.5, 0];
+  const end = [2.0, 0.3, -0.2, 1.0, -0.5, 2.0];
+  const trajectory = new SCurveTrajectory(start, end, limits, 100);
+
+  const checks = [[1, limits.maxVelocity], [2, limits.maxAcceleration], [3, limits.maxJerk]];
+  for (const [order, limit] of checks) {
+    const peak = peaks(trajectory, order);
+    peak.forEach((value, j) => assert.ok(value <= limit[j] * (1 + 1e-9), `J${j + 1} order ${order}: ${value} > ${limit[j]}`));
+    assert.ok(peak.some((value, j) => value > limit[j] * 0.99), `order ${order} limit not reached`);
+  }
+
+  assertJointsClose(trajectory.position(trajectory.duration), end);
+  assertJointsClose(trajectory.velocity(trajectory.duration), [0, 0, 0, 0, 0, 0]);
+  assertJointsClose(trajectory.velocity(0), [0, 0, 0, 0, 0, 0]);
+});
+
+test('S-curve speed percentage stretches time without changing the path', () => {
+  const start = [0, 0, 0, 0, 0, 0];
+  const end = [0.8, -0.4, 0.6, 0, 0, 0];
+  const full = new SCurveTrajectory(start, end, limits, 100);
+  const half = new SCurveTrajectory(start, end, limits, 50);
+
+  assert.ok(Math.abs(half.duration - 2 * full.duration) < 1e-9);
+  assertJointsClose(half.position(half.duration / 3), full.position(full.duration / 3));
+
+  assert.throws(() => new SCurveTrajectory(start, end, limits, 0), /out of range/);
+});
+
+test('time-optimal parameterization respects velocity, acceleration and jerk limits', async () => {
+  const path = [];
+  for (let i = 0; i <= 40; i++) {
+    const s = i / 40;
+    path.push([1.2 * Math.sin(Math.PI * s), -0.5 + 0.8 * s, 0.6 * Math.cos(Math.PI * s), 0.4 * s, 0.5, -1.5 * s]);
+  }
+
+  const sampleTime = 0.01;
+  const result = await new PathParameterizer(limits).parameterize(path, { sampleTime });
+  const positions = result.trajectory.map(point => point.position);
+
+  assertJointsClose(positions[0], path[0]);
+  assertJointsClose(positions[positions.length - 1], path[path.length - 1]);
+  assert.ok(result.activeConstraints.length > 0, 'no constraint active on a time-optimal trajectory');
+
+  // 中心差分，起止前后视为静止
+  const p = [positions[0], ...positions, positions[positions.length - 1]];
+  const tolerance = 1 + 1e-3;
+  for (let k = 1; k < p.length - 1; k++) {
+    for (let j = 0; j < 6; j++) {
+      const velocity = (p[k + 1][j] - p[k - 1][j]) / (2 * sampleTime);
+      const acceleration = (p[k + 1][j] - 2 * p[k][j] + p[k - 1][j]) / (sampleTime * sampleTime);
+      assert.ok(Math.abs(velocity) <= limits.maxVelocity[j] * tolerance, `J${j + 1} velocity ${velocity} at sample ${k - 1}`);
+      assert.ok(Math.abs(acceleration) <= limits.maxAcceleration[j] * tolerance, `J${j + 1} acceleration ${acceleration} at sample ${k - 1}`);
+    }
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * 轨迹校验测试 - 超限报告
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RobotController = require('../backend/controllers/RobotController');
+const SafetyMonitor = require('../backend/controllers/SafetyMonitor');
+const SCurveTrajectory = require('../backend/controllers/SCurveTrajectory');
+
+const robotController = new RobotController();
+const safetyMonitor = new SafetyMonitor(robotController);
+const validator = safetyMonitor.trajectoryValidator;
+const limits = {
+  maxVelocity: safetyMonitor.velocityLimits,
+  maxAcceleration: safetyMonitor.accelerationLimits,
+  maxJerk: safetyMonitor.jerkLimits
+};
+
+const start = [0, -0.5, 0.5, 0, 0.5, 0];
+
+test.after(() => safetyMonitor.stop());
+
+test('trajectory within limits is accepted', async () => {
+  const trajectory = new SCurveTrajectory(start, [1.0, -0.2, 0.8, 0.3, 0.8, 0.5], limits, 50);
+  const report = await validator.validate(trajectory);
+
+  assert.equal(report.valid, true, validator.describe(report));
+  assert.deepEqual(report.violations, []);
+  assert.equal(report.samples, Math.ceil(trajectory.duration / validator.sampleTime - 1e-9) + 1);
+  assert.equal(validator.describe(report), 'Trajectory is within limits');
+});
+
+test('consecutive velocity exceedance is reported once with its worst sample', async () => {
+  // J1 速度限制放大 1.5 倍，匀速段超限
+  const fast = { ...limits, maxVelocity: limits.maxVelocity.map(v => v * 1.5) };
+  const trajectory = new SCurveTrajectory(start, [2.5, ...start.slice(1)], fast, 100);
+  const report = await validator.validate(trajectory);
+
+  assert.equal(report.valid, false);
+  const records = report.violations.filter(record => record.check === 'joint-velocity');
+  assert.equal(records.length, 1);
+
+  const [record] = records;
+  assert.equal(record.joint, 1);
+  assert.equal(record.limit, limits.maxVelocity[0]);
+  assert.ok(Math.abs(record.value - 1.5 * limits.maxVelocity[0]) < 1e-6);
+  assert.ok(record.from < record.time && record.time <= record.to);
+  assert.ok(record.to - record.from > 0.1);
+
+  assert.match(validator.describe(report), /^Trajectory rejected: /);
+});
+
+test('joint position beyond the safety margin is reported', async () => {
+  const { max, margin } = safetyMonitor.jointLimits[1];
+  const trajectory = new SCurveTrajectory(start, [0, max - margin / 2, ...start.slice(2)], limits, 50);
+  const report = await validator.validate(trajectory, { skip: ['safety-zone', 'obstacle', 'self-collision'] });
+
+  assert.deepEqual(report.violations.map(({ check, joint }) => ({ check, joint })), [{ check: 'joint-position', joint: 2 }]);
+  assert.equal(report.violations[0].limit, max - margin);
+  assert.equal(report.violations[0].to, report.duration);
+  assert.match(validator.describe(report), /joint-position of joint 2 is .* \(limit /);
+});
+
+test('skipped checks are not evaluated', async () => {
+  const { max, margin } = safetyMonitor.jointLimits[1];
+  const trajectory = new SCurveTrajectory(start, [0, max - margin / 2, ...start.slice(2)], limits, 50);
+  const report = await validator.validate(trajectory, { skip: ['joint-position', 'safety-zone', 'obstacle', 'self-collision'] });
+
+  assert.equal(report.valid, true, validator.describe(report));
+});